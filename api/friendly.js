@@ -1,12 +1,26 @@
 // 📄 api/friendly.js — Fixed version July 29
 
 import express from 'express';
-import OpenAI from 'openai';
-import axios from 'axios';
 import * as cheerio from 'cheerio';
+import { createProvider, llmConfigured, generateJson, usageLine } from '../lib/llm.js';
+import { safeHttp, checkTarget, blockedCause, isTooLargeError, isHtmlType } from '../lib/net-guard.js';
+import { crawlLimits } from '../lib/rate-limit.js';
 
 const router = express.Router();
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+// this route is nothing but the model's output: without one configured it answers 503
+const llm = llmConfigured() ? createProvider({ task: 'friendly' }) : null;
+
+const ENGINES = ['ChatGPT', 'Claude', 'Google Gemini', 'Microsoft Copilot', 'Perplexity'];
+const finding = { type: 'object', required: ['title', 'explanation'], properties: { title: { type: 'string', minLength: 1 }, explanation: { type: 'string', minLength: 1 } } };
+const FRIENDLY_SCHEMA = {
+  type: 'object',
+  required: ['ai_superpowers', 'ai_opportunities', 'ai_engine_insights'],
+  properties: {
+    ai_superpowers: { type: 'array', minItems: 10, items: finding },
+    ai_opportunities: { type: 'array', minItems: 20, items: finding },
+    ai_engine_insights: { type: 'object', required: ENGINES, properties: Object.fromEntries(ENGINES.map(e => [e, { type: 'string', minLength: 1 }])) }
+  }
+};
 
 function extractVisibleText(html) {
   const $ = cheerio.load(html);
@@ -14,35 +28,24 @@ function extractVisibleText(html) {
   return $('body').text().replace(/\s+/g, ' ').trim();
 }
 
-function isValidJson(str) {
-  try {
-    JSON.parse(str);
-    return true;
-  } catch {
-    return false;
-  }
-}
-
-function cleanResponse(text) {
-  const jsonStart = text.indexOf('{');
-  const jsonEnd = text.lastIndexOf('}');
-  if (jsonStart === -1 || jsonEnd === -1) return null;
-  const jsonString = text.slice(jsonStart, jsonEnd + 1);
-  return isValidJson(jsonString) ? JSON.parse(jsonString) : null;
-}
-
-router.get('/friendly', async (req, res) => {
+router.get('/friendly', crawlLimits((req) => [req.query.url]), async (req, res) => {
+  if (!llm) return res.status(503).json({ error: 'AI analysis is not configured on this server.' });
   const url = req.query.url;
   if (!url || !/^https?:\/\//.test(url)) {
     return res.status(400).json({ error: 'Invalid or missing URL parameter' });
   }
+  const bad = await checkTarget(url);
+  if (bad) return res.status(400).json({ error: bad });
 
   try {
-    const htmlResponse = await axios.get(url, {
+    const htmlResponse = await safeHttp.get(url, {
       headers: { 'User-Agent': 'Mozilla/5.0 (compatible; SnipeRankBot/1.0)' },
-      maxRedirects: 5,
+      responseType: 'text',
       timeout: 10000
     });
+    if (!isHtmlType(htmlResponse.headers['content-type'])) {
+      return res.status(415).json({ error: `Expected an HTML page, got ${htmlResponse.headers['content-type']}` });
+    }
 
     const visibleText = extractVisibleText(htmlResponse.data);
 
@@ -84,26 +87,22 @@ Critical requirements:
 - You MUST return exactly 10 ai_superpowers and exactly 20 ai_opportunities. Do not return fewer items under any circumstances.
 - For engine insights, provide platform-specific optimization strategies that leverage each AI's unique characteristics`;
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-3.5-turbo',
-      messages: [{ role: 'user', content: prompt }],
-      temperature: 0.7
-    });
-
-    const raw = completion.choices?.[0]?.message?.content;
-    if (!raw) {
-      console.error('❌ No content returned from OpenAI.');
-      return res.status(502).json({ error: 'No content returned from OpenAI.' });
-    }
-
-    const parsed = cleanResponse(raw);
-    if (!parsed) {
-      console.error('❌ Failed to parse JSON from OpenAI:', raw);
-      return res.status(500).json({ error: 'Invalid JSON format from OpenAI.', raw });
+    let result;
+    try {
+      result = await generateJson(llm, { prompt, schema: FRIENDLY_SCHEMA, temperature: 0.7 });
+    } catch (err) {
+      if (!err.errors) throw err;
+      console.error('❌ Invalid structured output:', err.errors.slice(0, 5).join('; '));
+      console.log(usageLine('friendly', err.usage));
+      return res.status(502).json({ error: `Invalid JSON format from ${llm.name}.`, raw: err.raw, usage: err.usage });
     }
 
-    res.json({ raw, parsed });
+    console.log(usageLine('friendly', result.usage));
+    res.json({ raw: result.raw, parsed: result.data, usage: result.usage });
   } catch (err) {
+    const blocked = blockedCause(err);
+    if (blocked) return res.status(400).json({ error: blocked.message });
+    if (isTooLargeError(err)) return res.status(413).json({ error: 'The page is too large to analyze.' });
     console.error('❌ Analysis error:', err.message);
     res.status(500).json({ error: 'Analysis failed. Try again.', message: err.message });
   }
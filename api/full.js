@@ -1,22 +1,41 @@
 // 📅 Updated: June 30, 2025 at 2:34 PM ET
 
-import OpenAI from "openai";
-import cheerio from "cheerio";
-import axios from "axios";
+import * as cheerio from "cheerio";
+import { createProvider, llmConfigured, generateJson, usageLine } from "../lib/llm.js";
+import { safeHttp, checkTarget, blockedCause, isTooLargeError, isHtmlType } from "../lib/net-guard.js";
+import { crawlLimits } from "../lib/rate-limit.js";
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+const llm = llmConfigured() ? createProvider({ task: "full" }) : null;
+// not mounted behind Express: the limiters answer 429 themselves and only call next() to let the request through
+const limits = crawlLimits((req) => [req.query.url]);
+const withinLimits = (req, res) => limits.every((limit) => { let passed = false; limit(req, res, () => { passed = true; }); return passed; });
+
+const lines = (min) => ({ type: "array", minItems: min, items: { type: "string", minLength: 1 } });
+const FULL_SCHEMA = {
+  type: "object",
+  required: ["whatsWorking", "needsAttention", "engineInsights"],
+  properties: { whatsWorking: lines(7), needsAttention: lines(20), engineInsights: lines(5) }
+};
 
 export default async function handler(req, res) {
+  if (!llm) return res.status(503).json({ error: "AI analysis is not configured on this server." });
+  if (!withinLimits(req, res)) return;
   const { url } = req.query;
   if (!url) return res.status(400).json({ error: "Missing URL" });
+  const bad = await checkTarget(url);
+  if (bad) return res.status(400).json({ error: bad });
 
   try {
-    const response = await axios.get(url, {
+    const response = await safeHttp.get(url, {
       headers: {
         "User-Agent": "Mozilla/5.0 (compatible; SnipeRankBot/1.0)"
       },
+      responseType: "text",
       timeout: 10000
     });
+    if (!isHtmlType(response.headers["content-type"])) {
+      return res.status(415).json({ error: `Expected an HTML page, got ${response.headers["content-type"]}` });
+    }
 
     const html = response.data;
     const $ = cheerio.load(html);
@@ -49,30 +68,23 @@ export default async function handler(req, res) {
     - Avoid repeating phrasing. Use varied sentence openers.
     - Keep tone confident, expert, and succinct (2–3 sentences).
 
-    Use plain English. Format output as a JSON object with three fields: whatsWorking, needsAttention, engineInsights.`;
-
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4-turbo",
-      messages: [
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      temperature: 0.7
-    });
+    Use plain English. Format output as a JSON object with three fields: whatsWorking, needsAttention, engineInsights. Each field is an array of strings, one string per item.`;
 
-    let parsed;
+    let result;
     try {
-      const firstCodeBlock = completion.choices[0].message.content.match(/```json([\s\S]*?)```/);
-      const json = firstCodeBlock ? firstCodeBlock[1] : completion.choices[0].message.content;
-      parsed = JSON.parse(json);
+      result = await generateJson(llm, { prompt, schema: FULL_SCHEMA, temperature: 0.7 });
     } catch (err) {
-      return res.status(500).json({ error: "Failed to parse GPT output.", raw: completion.choices[0].message.content });
+      if (!err.errors) throw err;
+      console.log(usageLine("full", err.usage));
+      return res.status(502).json({ error: "Failed to parse model output.", raw: err.raw, usage: err.usage });
     }
 
-    return res.status(200).json(parsed);
+    console.log(usageLine("full", result.usage));
+    return res.status(200).json({ ...result.data, usage: result.usage });
   } catch (error) {
+    const blocked = blockedCause(error);
+    if (blocked) return res.status(400).json({ error: blocked.message });
+    if (isTooLargeError(error)) return res.status(413).json({ error: "The page is too large to analyze." });
     if (error.response && error.response.status === 403) {
       return res.status(403).json({ error: "The website appears to block automated analysis tools. Try another URL or contact us for help." });
     }
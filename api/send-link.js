@@ -1,18 +1,51 @@
+// api/send-link.js — full-report request from the analyze page
+// - Validates and stores the lead (lib/leads.js), then emails the full-report link (lib/mailer.js)
+// - A failed email never loses the lead: it is saved first and the response says emailed: false.
+//   So does a dev transport (file, console) or no transport at all: only real delivery counts as emailed
+
+import { validateLead, saveLead, markEmailed } from "../lib/leads.js";
+import { createMailer, fullReportEmail, leadNotificationEmail } from "../lib/mailer.js";
+
+const mailer = createMailer();
+if (!mailer.delivers) console.warn(`⚠️ Mail transport "${mailer.name}" does not deliver: full-report links will not be emailed`);
+// where full-report.html is served; links never follow the request's Origin header
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || "https://quontora.com").replace(/\/+$/, "");
+
 export default async function handler(req, res) {
   if (req.method !== "POST") {
     return res.status(405).json({ error: "Method not allowed" });
   }
 
-  const { name, email, phone, company, message, url } = req.body;
+  const { lead: input, errors } = validateLead(req.body || {});
+  if (errors) {
+    return res.status(400).json({ error: "Invalid submission", details: errors });
+  }
 
-  if (!name || !email || !url) {
-    return res.status(400).json({ error: "Missing required fields" });
+  let saved;
+  try {
+    saved = await saveLead(input);
+  } catch (err) {
+    console.error("❌ Lead save failed:", err.message);
+    return res.status(500).json({ error: "Could not save your request. Please try again." });
   }
+  const { lead, duplicate } = saved;
 
-  // Log the submitted payload
-  console.log("📩 Full Report Request Received:");
-  console.log({ name, email, phone, company, message, url });
+  const link = `${PUBLIC_BASE_URL}/full-report.html?url=${encodeURIComponent(lead.url)}`;
+  let emailed = false;
+  try {
+    await mailer.send({ to: lead.email, ...fullReportEmail({ lead, link }) });
+    if (mailer.delivers) {
+      await markEmailed(lead.id);
+      emailed = true;
+    }
+  } catch (err) {
+    console.error(`❌ Full-report email to lead ${lead.id} failed (${mailer.name}):`, err.message);
+  }
+
+  if (mailer.notify) {
+    mailer.send({ to: mailer.notify, ...leadNotificationEmail({ lead, duplicate }) })
+      .catch(err => console.error("❌ Lead notification failed:", err.message));
+  }
 
-  // Simulate a successful submission
-  return res.status(200).json({ success: true });
+  return res.status(200).json({ success: true, id: lead.id, duplicate, emailed, link });
 }
@@ -0,0 +1,124 @@
+// lib/ai-access.js — can the major AI crawlers actually reach the site?
+// - robots.txt verdict for each AI user-agent token (homepage and site-wide "/" block)
+// - live homepage fetch per agent UA to spot WAF/CDN blocks that robots.txt never mentions
+// - /llms.txt and /llms-full.txt discovery
+// - noai / noimageai in meta robots and X-Robots-Tag
+
+import { safeHttp } from './net-guard.js';
+import * as cheerio from 'cheerio';
+import { CRAWLER_UA, isAllowed } from './robots.js';
+
+// ua: null means the token only exists in robots.txt (no separate fetcher to impersonate)
+export const AI_AGENTS = [
+  { name:'GPTBot',            vendor:'OpenAI',     ua:'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; GPTBot/1.2; +https://openai.com/gptbot)' },
+  { name:'OAI-SearchBot',     vendor:'OpenAI',     ua:'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; OAI-SearchBot/1.0; +https://openai.com/searchbot)' },
+  { name:'ChatGPT-User',      vendor:'OpenAI',     ua:'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; ChatGPT-User/1.0; +https://openai.com/bot)' },
+  { name:'ClaudeBot',         vendor:'Anthropic',  ua:'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; ClaudeBot/1.0; +claudebot@anthropic.com)' },
+  { name:'anthropic-ai',      vendor:'Anthropic',  ua:null },
+  { name:'PerplexityBot',     vendor:'Perplexity', ua:'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; PerplexityBot/1.0; +https://perplexity.ai/perplexitybot)' },
+  { name:'Google-Extended',   vendor:'Google',     ua:null },
+  { name:'Applebot-Extended', vendor:'Apple',      ua:null },
+  { name:'CCBot',             vendor:'Common Crawl', ua:'CCBot/2.0 (https://commoncrawl.org/faq/)' },
+];
+
+const BLOCK_STATUSES = new Set([401, 403, 406, 429, 451, 503]);
+const CHALLENGE_RE = /(just a moment\.\.\.|attention required|cf-chl-|captcha|access denied|request blocked)/i;
+
+// directive tokens from meta robots contents or X-Robots-Tag values; agent-prefixed forms ("GPTBot: noai") count too
+export function parseAIDirectives(values=[]){
+  const out = { noai: false, noimageai: false };
+  for (const v of values){
+    const tokens = String(v||'').toLowerCase().split(/[,\s]+/);
+    if (tokens.includes('noai')) out.noai = true;
+    if (tokens.includes('noimageai')) out.noimageai = true;
+  }
+  return out;
+}
+
+async function probe(url, ua, timeout){
+  const started = Date.now();
+  try{
+    const resp = await safeHttp.get(url, {
+      timeout,
+      maxRedirects: 5,
+      responseType: 'text',
+      validateStatus: ()=>true,
+      headers: { 'User-Agent': ua }
+    });
+    const body = typeof resp.data === 'string' ? resp.data : '';
+    return {
+      status: resp.status,
+      challenge: CHALLENGE_RE.test(body.slice(0, 5000)),
+      headers: resp.headers || {},
+      body,
+      ms: Date.now() - started
+    };
+  }catch(e){
+    return { status: 0, error: e.code || e.message, challenge: false, headers: {}, body: '', ms: Date.now() - started };
+  }
+}
+
+async function probeTextFile(startUrl, file, timeout){
+  let url;
+  try{ url = new URL(file, startUrl).href; }catch{ return { present:false, url:'' }; }
+  const r = await probe(url, CRAWLER_UA, timeout);
+  const type = String(r.headers['content-type'] || '');
+  // soft-404 pages come back as 200 HTML; a real llms.txt is markdown/plain text
+  const present = r.status === 200 && !/html/i.test(type) && r.body.trim().length > 0 && !/^\s*</.test(r.body);
+  return { present, url, status: r.status, bytes: present ? r.body.length : 0 };
+}
+
+export async function auditAIAccess(startUrl, robots, { timeout=5000 }={}){
+  let homeUrl, rootUrl;
+  try{ homeUrl = new URL(startUrl).href; rootUrl = new URL('/', startUrl).href; }
+  catch{ return null; }
+
+  const baseline = await probe(homeUrl, CRAWLER_UA, timeout);
+  const baselineOk = baseline.status >= 200 && baseline.status < 400;
+
+  const agents = [];
+  for (const a of AI_AGENTS){
+    const robotsHome = isAllowed(robots, homeUrl, a.name);
+    const robotsSite = isAllowed(robots, rootUrl, a.name);
+    const entry = { name: a.name, vendor: a.vendor, robotsAllowed: robotsHome && robotsSite, status: null, blocked: false, reason: '' };
+    if (!entry.robotsAllowed) entry.reason = 'robots.txt';
+
+    if (a.ua){
+      const r = await probe(homeUrl, a.ua, timeout);
+      entry.status = r.status;
+      // only count it as a block when our own fetch got through and the AI agent did not
+      if (baselineOk && (BLOCK_STATUSES.has(r.status) || r.status === 0 || (r.challenge && !baseline.challenge))){
+        entry.blocked = true;
+        entry.reason = entry.reason ? `${entry.reason}, HTTP ${r.status || r.error}` : `HTTP ${r.status || r.error}`;
+      }
+    }
+    agents.push(entry);
+  }
+
+  const [llmsTxt, llmsFullTxt] = await Promise.all([
+    probeTextFile(startUrl, '/llms.txt', timeout),
+    probeTextFile(startUrl, '/llms-full.txt', timeout)
+  ]);
+
+  const $ = cheerio.load(baseline.body || '');
+  const metaValues = $('meta[name="robots"], meta[name="googlebot"]').map((_, el)=>$(el).attr('content')).get();
+  const headerValue = baseline.headers['x-robots-tag'];
+  const meta = parseAIDirectives(metaValues);
+  const header = parseAIDirectives([].concat(headerValue || []));
+
+  const open = agents.filter(a=>a.robotsAllowed && !a.blocked);
+  return {
+    baselineStatus: baseline.status,
+    agents,
+    robotsBlocked: agents.filter(a=>!a.robotsAllowed).map(a=>a.name),
+    fetchBlocked: agents.filter(a=>a.blocked).map(a=>a.name),
+    allowedShare: agents.length ? open.length / agents.length : 0,
+    llmsTxt,
+    llmsFullTxt,
+    directives: {
+      noai: meta.noai || header.noai,
+      noimageai: meta.noimageai || header.noimageai,
+      source: [meta.noai || meta.noimageai ? 'meta' : null, header.noai || header.noimageai ? 'x-robots-tag' : null].filter(Boolean)
+    }
+  };
+}
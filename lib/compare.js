@@ -0,0 +1,80 @@
+// lib/compare.js — side-by-side comparison matrix for a primary site and its competitors
+// - rows: headline score, the four pillars and key crawl metrics
+// - "lead" when the primary beats every competitor on a metric, "trail" when any competitor beats it
+// - Trailing gaps are ranked as a share of each metric's scale, so word counts do not drown out pillar points
+
+import { FULL_DEPTH_WORDS } from './scoring.js';
+
+const PILLARS = ['access', 'trust', 'clarity', 'alignment'];
+
+export const COMPARE_METRICS = [
+  { key: 'score',          label: 'SnipeRank score',         unit: '/100', scale: 100 },
+  { key: 'access',         label: 'AI Access Readiness',     unit: '/25',  scale: 25 },
+  { key: 'trust',          label: 'Trust & Verification',    unit: '/25',  scale: 25 },
+  { key: 'clarity',        label: 'LLM Interpretability',    unit: '/25',  scale: 25 },
+  { key: 'alignment',      label: 'Prompt-Pattern Alignment', unit: '/25', scale: 25 },
+  { key: 'schemaCoverage', label: 'Schema coverage',         unit: '%',    scale: 100 },
+  // no natural ceiling: the depth that earns full content-depth credit (lib/scoring.js)
+  { key: 'avgWords',       label: 'Average words per page',  unit: '',     scale: FULL_DEPTH_WORDS },
+  { key: 'h1Consistency',  label: 'Single-H1 pages',         unit: '%',    scale: 100 },
+  { key: 'aiBotAccess',    label: 'AI crawlers allowed',     unit: '%',    scale: 100 },
+];
+
+const pctOf = (num, den)=> den ? Math.round((num/den)*100) : 0;
+
+export function siteRow({ url, host, score, reportId=null, analysis }){
+  const pages = analysis.pages || [];
+  const total = pages.length;
+  return {
+    url,
+    host,
+    reportId,
+    failed: !!analysis.failed,
+    values: {
+      score,
+      ...Object.fromEntries(PILLARS.map(k=>[k, analysis.pillars?.[k] ?? 0])),
+      schemaCoverage: pctOf(pages.filter(p=>p.hasSchema).length, total),
+      avgWords: total ? Math.round(pages.reduce((s,p)=>s+(p.wordCount||0),0)/total) : 0,
+      h1Consistency: pctOf(pages.filter(p=>p.h1Count===1).length, total),
+      aiBotAccess: analysis.access ? Math.round(analysis.access.allowedShare*100) : 0,
+    }
+  };
+}
+
+// a failed primary row holds fallback placeholders, not measurements: there is nothing to compare
+export function compareSites(primary, competitors=[]){
+  if (primary.failed) throw new Error(`${primary.host} could not be crawled`);
+  const usable = competitors.filter(c=>!c.failed);
+  const lead = [], trail = [];
+
+  const matrix = COMPARE_METRICS.map(m=>{
+    const mine = primary.values[m.key];
+    const theirs = usable.map(c=>({ host: c.host, value: c.values[m.key] }));
+    const best = theirs.reduce((b,c)=> !b || c.value > b.value ? c : b, null);
+    const compAvg = theirs.length ? Math.round(theirs.reduce((s,c)=>s+c.value,0)/theirs.length) : null;
+    const fmt = (v)=> `${v}${m.unit}`;
+
+    let position = 'even';
+    if (best && mine > best.value){
+      position = 'lead';
+      lead.push({ metric: m.key, label: m.label, text: `${m.label}: ${fmt(mine)} vs ${fmt(best.value)} for the strongest competitor (${best.host}).` });
+    } else if (best && mine < best.value){
+      position = 'trail';
+      trail.push({ metric: m.key, label: m.label, gap: (best.value - mine) / m.scale, text: `${m.label}: ${fmt(mine)} vs ${fmt(best.value)} at ${best.host}${compAvg !== null ? ` (competitor average ${fmt(compAvg)})` : ''}.` });
+    }
+    return { metric: m.key, label: m.label, unit: m.unit, primary: mine, competitors: theirs, competitorAvg: compAvg, position };
+  });
+
+  // biggest gaps first, relative to each metric's scale: that is where the catch-up work is
+  trail.sort((a,b)=>b.gap-a.gap);
+
+  return {
+    primary: { url: primary.url, host: primary.host, reportId: primary.reportId },
+    competitors: competitors.map(c=>({ url: c.url, host: c.host, reportId: c.reportId, failed: c.failed })),
+    metrics: COMPARE_METRICS,
+    sites: [primary, ...competitors],
+    matrix,
+    lead,
+    trail: trail.map(({ gap, ...t })=>t)
+  };
+}
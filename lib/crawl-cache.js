@@ -0,0 +1,72 @@
+// lib/crawl-cache.js — in-process cache of finished analyses, keyed by normalized start URL + crawl profile
+// - Fresh for CRAWL_CACHE_TTL_MS (default 10 min): repeat requests get the stored result, no crawl
+// - Past the TTL an entry is kept for revalidation: the next crawl gets its pageCache, so unchanged pages
+//   come back as 304s to If-None-Match / If-Modified-Since instead of full downloads (lib/site-crawler.js)
+// - Concurrent requests for the same key share one in-flight run; it is aborted only once every caller
+//   that passed a signal has gone, and progress events fan out to all of them
+// - At most CRAWL_CACHE_MAX entries (default 50), least recently used evicted first
+
+import { normalizeUrl } from './crawler.js';
+import { envInt } from './env.js';
+
+export const crawlKey = (url, profile)=> `${profile}:${normalizeUrl(url) || url}`;
+
+// run({ pageCache, signal, onProgress }) -> value; keep(value) decides whether a result is worth storing
+export function createCrawlCache({ ttlMs=envInt('CRAWL_CACHE_TTL_MS', 10*60*1000, { min: 0 }), maxEntries=envInt('CRAWL_CACHE_MAX', 50, { min: 0 }), keep=()=>true }={}){
+  const entries = new Map(); // key -> { value, at, pageCache }
+  const inflight = new Map(); // key -> { promise, listeners, callers, ac }
+
+  const store = (key, entry)=>{
+    entries.delete(key);
+    entries.set(key, entry);
+    while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+  };
+
+  // one caller leaving; the shared run stops when no caller that could cancel is still waiting
+  const join = (run, { signal, onProgress })=>{
+    run.callers++;
+    if (onProgress) run.listeners.add(onProgress);
+    if (!signal) run.pinned = true;
+    else signal.addEventListener('abort', ()=>{
+      run.listeners.delete(onProgress);
+      if (--run.callers === 0 && !run.pinned) run.ac.abort();
+    }, { once: true });
+  };
+
+  // resolves { value, cache: 'hit' | 'shared' | 'revalidated' | 'miss', age? }
+  async function get(key, run, { signal=null, onProgress=null }={}){
+    const hit = entries.get(key);
+    if (ttlMs && hit && Date.now() - hit.at < ttlMs){
+      store(key, hit);
+      return { value: hit.value, cache: 'hit', age: Math.round((Date.now() - hit.at) / 1000) };
+    }
+
+    const shared = inflight.get(key);
+    if (shared){
+      join(shared, { signal, onProgress });
+      return { value: await shared.promise, cache: 'shared' };
+    }
+
+    const pageCache = hit?.pageCache || new Map();
+    const current = { callers: 0, pinned: false, listeners: new Set(), ac: new AbortController() };
+    join(current, { signal, onProgress });
+    const emit = (p)=>{ for (const fn of current.listeners) try{ fn(p); }catch{} };
+    current.promise = (async ()=>{
+      try{
+        const value = await run({ pageCache, signal: current.ac.signal, onProgress: emit });
+        if (ttlMs && keep(value) && !current.ac.signal.aborted) store(key, { value, at: Date.now(), pageCache });
+        return value;
+      }finally{
+        inflight.delete(key);
+      }
+    })();
+    inflight.set(key, current);
+    return { value: await current.promise, cache: hit ? 'revalidated' : 'miss' };
+  }
+
+  return {
+    get,
+    invalidate: (key)=> entries.delete(key),
+    stats: ()=> ({ entries: entries.size, inflight: inflight.size, ttlMs, maxEntries })
+  };
+}
@@ -0,0 +1,132 @@
+// lib/crawler.js — polite concurrent crawl engine (no HTML knowledge; callers supply visit())
+// - Bounded worker pool, per-host concurrency + spacing between request starts
+// - Global time budget: no new fetches after the deadline, in-flight ones get the remaining time
+// - Set-backed frontier keyed by normalized URL (host case, default ports, trailing slash, tracking params)
+
+const sleep = (ms)=>new Promise(r=>setTimeout(r,ms));
+
+const TRACKING_PARAMS = /^(utm_[a-z]+|gclid|dclid|fbclid|msclkid|yclid|mc_cid|mc_eid|_ga|_gl|_hsenc|_hsmi|igshid|ref_src)$/i;
+
+// canonical form used for de-duplication; returns null for anything that is not http(s)
+export function normalizeUrl(input, base){
+  let u;
+  try{ u = base ? new URL(input, base) : new URL(input); }catch{ return null; }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') return null;
+  u.hash = '';
+  u.hostname = u.hostname.toLowerCase();
+  if ((u.protocol === 'http:' && u.port === '80') || (u.protocol === 'https:' && u.port === '443')) u.port = '';
+  // path case is left alone: most servers treat /About and /about as different resources
+  u.pathname = u.pathname.replace(/\/{2,}/g,'/').replace(/%[0-9a-f]{2}/gi, (m)=>m.toUpperCase());
+  if (u.pathname.length > 1 && u.pathname.endsWith('/')) u.pathname = u.pathname.slice(0,-1);
+  const kept = [...u.searchParams.entries()].filter(([k])=>!TRACKING_PARAMS.test(k));
+  kept.sort(([a],[b])=> a < b ? -1 : a > b ? 1 : 0);
+  u.search = kept.length ? '?' + new URLSearchParams(kept).toString() : '';
+  return u.href;
+}
+
+// per-host gate: at most `concurrency` requests in flight, request starts spaced by `delayMs`
+export function hostLimiter({ concurrency=2, delayMs=0 }={}){
+  const hosts = new Map();
+  const state = (h)=>{
+    if (!hosts.has(h)) hosts.set(h, { active: 0, nextAt: 0, waiters: [] });
+    return hosts.get(h);
+  };
+  return {
+    async acquire(h){
+      const s = state(h);
+      // FIFO: a released slot is handed straight to the oldest waiter
+      if (s.active < concurrency) s.active++;
+      else await new Promise(r=>s.waiters.push(r));
+      const now = Date.now();
+      const slot = Math.max(now, s.nextAt);
+      s.nextAt = slot + delayMs;
+      if (slot > now) await sleep(slot - now);
+    },
+    release(h){
+      const s = state(h);
+      const next = s.waiters.shift();
+      if (next) next();
+      else s.active--;
+    }
+  };
+}
+
+// visit(url, ctx) -> { page?, links?[], revalidated? }; throwing counts the URL as failed and the crawl moves on.
+// accept(url) filters discovered links before they enter the frontier; maxQueue caps pending URLs.
+export async function runCrawl({
+  seeds=[],
+  visit,
+  accept=()=>true,
+  maxPages=25,
+  maxQueue=Infinity,
+  concurrency=4,
+  perHost={},
+  budgetMs=60000,
+  signal=null,
+  onEvent=()=>{}
+}={}){
+  const startedAt = Date.now();
+  const deadline = startedAt + budgetMs;
+  const limiter = hostLimiter(perHost);
+  const seen = new Set();
+  const frontier = [];
+  const results = [];
+  const stats = { queued: 0, fetched: 0, failed: 0, revalidated: 0, active: 0 };
+  let seq = 0;
+  let idle = [];
+  const wake = ()=>{ const w = idle; idle = []; w.forEach(f=>f()); };
+  const waitIdle = ()=>new Promise(r=>idle.push(r));
+  const emit = (type, extra={})=>{ try{ onEvent({ type, ...extra, stats: { ...stats } }); }catch{} };
+
+  const enqueue = (raw, depth)=>{
+    const url = normalizeUrl(raw);
+    if (!url || seen.has(url) || frontier.length >= maxQueue || !accept(url)) return;
+    seen.add(url);
+    frontier.push({ url, depth, seq: seq++ });
+    stats.queued++;
+  };
+  seeds.forEach(s=>enqueue(s, 0));
+  emit('start', { seeds: frontier.length });
+
+  const stopped = ()=> signal?.aborted || Date.now() >= deadline;
+
+  async function worker(){
+    while (!stopped()){
+      if (results.length + stats.active >= maxPages || !frontier.length){
+        if (!stats.active || results.length >= maxPages) return;
+        await waitIdle();
+        continue;
+      }
+      const item = frontier.shift();
+      const host = new URL(item.url).host;
+      stats.active++;
+      try{
+        await limiter.acquire(host);
+        if (stopped()) continue;
+        emit('fetch', { url: item.url });
+        const out = await visit(item.url, { depth: item.depth, deadline, signal, pagesSoFar: results.length }) || {};
+        if (out.page){
+          results.push({ seq: item.seq, page: out.page });
+          stats.fetched++;
+          if (out.revalidated) stats.revalidated++;
+          emit('page', { url: item.url, page: out.page });
+        }
+        for (const link of out.links || []) enqueue(link, item.depth + 1);
+      }catch(e){
+        stats.failed++;
+        emit('error', { url: item.url, error: e.message });
+      }finally{
+        limiter.release(host);
+        stats.active--;
+        wake();
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+  const reason = signal?.aborted ? 'aborted' : Date.now() >= deadline ? 'budget' : results.length >= maxPages ? 'limit' : 'exhausted';
+  emit('done', { reason, ms: Date.now() - startedAt });
+
+  // discovery order, not completion order: the homepage stays first
+  return results.sort((a,b)=>a.seq-b.seq).map(r=>r.page).slice(0, maxPages);
+}
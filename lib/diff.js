@@ -0,0 +1,98 @@
+// lib/diff.js — compare two saved analyses of the same host
+// - pillar and headline score deltas
+// - Working / Needs Attention items resolved vs newly introduced (matched by title)
+// - site metrics (schema coverage, thin pages, H1 problems...) and per-URL regressions/fixes
+
+const PILLARS = ['access', 'trust', 'clarity', 'alignment'];
+
+// "Link Trail Density • v2" and "Link Trail Density" are the same finding
+const findingKey = (t)=> String(t||'').replace(/\s*•\s*v\d+$/,'').trim().toLowerCase();
+
+const pctOf = (num, den)=> den ? Math.round((num/den)*100) : 0;
+
+export function siteMetrics(pages=[]){
+  const total = pages.length;
+  const words = pages.map(p=>p.wordCount||0);
+  const images = pages.reduce((s,p)=>s+(p.imageCount||0),0);
+  const alts = pages.reduce((s,p)=>s+(p.imageAltCount||0),0);
+  return {
+    pages: total,
+    schemaCoverage: pctOf(pages.filter(p=>p.hasSchema).length, total),
+    metaCoverage: pctOf(pages.filter(p=>(p.metaDesc||'').length>0).length, total),
+    avgWords: total ? Math.round(words.reduce((s,v)=>s+v,0)/total) : 0,
+    thinPages: pages.filter(p=>(p.wordCount||0)<300).length,
+    h1Missing: pages.filter(p=>p.h1Count===0).length,
+    h1Multiple: pages.filter(p=>p.h1Count>1).length,
+    avgInternalLinks: total ? Math.round(pages.reduce((s,p)=>s+(p.internalLinkCount||0),0)/total) : 0,
+    altCoverage: images ? pctOf(alts, images) : 100,
+  };
+}
+
+// for these, going down is the improvement
+const LOWER_IS_BETTER = new Set(['thinPages', 'h1Missing', 'h1Multiple']);
+
+// page-level conditions tracked across runs
+const PAGE_CHECKS = {
+  thin:        (p)=> (p.wordCount||0) < 300,
+  h1Missing:   (p)=> p.h1Count === 0,
+  h1Multiple:  (p)=> p.h1Count > 1,
+  noSchema:    (p)=> !p.hasSchema,
+  noMetaDesc:  (p)=> !(p.metaDesc||'').length,
+};
+
+function diffFindings(before=[], after=[]){
+  const a = new Map(before.map(x=>[findingKey(x.title), x]));
+  const b = new Map(after.map(x=>[findingKey(x.title), x]));
+  return {
+    resolved: [...a.keys()].filter(k=>!b.has(k)).map(k=>({ title: a.get(k).title })),
+    introduced: [...b.keys()].filter(k=>!a.has(k)).map(k=>({ title: b.get(k).title })),
+    unchanged: [...b.keys()].filter(k=>a.has(k)).length
+  };
+}
+
+function diffPages(before=[], after=[]){
+  const a = new Map(before.map(p=>[p.url, p]));
+  const fixed = [], regressed = [];
+  for (const p of after){
+    const old = a.get(p.url);
+    if (!old) continue;
+    for (const [check, test] of Object.entries(PAGE_CHECKS)){
+      const was = test(old), now = test(p);
+      if (was && !now) fixed.push({ url: p.url, check });
+      if (!was && now) regressed.push({ url: p.url, check });
+    }
+  }
+  const afterUrls = new Set(after.map(p=>p.url));
+  return {
+    added: after.filter(p=>!a.has(p.url)).map(p=>p.url),
+    removed: before.filter(p=>!afterUrls.has(p.url)).map(p=>p.url),
+    fixed,
+    regressed
+  };
+}
+
+export function diffReports(from, to){
+  const pillars = Object.fromEntries(PILLARS.map(k=>{
+    const a = from.pillars?.[k] ?? 0, b = to.pillars?.[k] ?? 0;
+    return [k, { from: a, to: b, delta: b - a }];
+  }));
+
+  const mFrom = siteMetrics(from.pages), mTo = siteMetrics(to.pages);
+  const metrics = Object.fromEntries(Object.keys(mTo).map(k=>{
+    const delta = mTo[k] - mFrom[k];
+    const improved = k === 'pages' || delta === 0 ? null : (LOWER_IS_BETTER.has(k) ? delta < 0 : delta > 0);
+    return [k, { from: mFrom[k], to: mTo[k], delta, improved }];
+  }));
+
+  return {
+    host: to.host,
+    from: { id: from.id, createdAt: from.createdAt, reportType: from.reportType },
+    to: { id: to.id, createdAt: to.createdAt, reportType: to.reportType },
+    score: { from: from.score, to: to.score, delta: (to.score ?? 0) - (from.score ?? 0) },
+    pillars,
+    working: diffFindings(from.working, to.working),
+    needsAttention: diffFindings(from.needsAttention, to.needsAttention),
+    metrics,
+    pages: diffPages(from.pages, to.pages)
+  };
+}
@@ -0,0 +1,14 @@
+// lib/env.js — numeric settings read from the environment
+// - envInt(name, dflt, { min=1 }): a whole number no smaller than min. Unset or empty gives dflt; so does
+//   anything else that is not a plain integer >= min ("10k", "2.5", "-1"), with a warning naming the variable
+// - min 1 (the default) suits counts, concurrency and durations; settings where 0 means "off" or "none"
+//   (RATE_LIMIT_*, CRAWL_CACHE_*, TRUST_PROXY) pass { min: 0 }
+
+export function envInt(name, dflt, { min=1 }={}, env=process.env){
+  const raw = String(env[name] ?? '').trim();
+  if (!raw) return dflt;
+  const n = /^[+-]?\d+$/.test(raw) ? Number(raw) : NaN;
+  if (Number.isSafeInteger(n) && n >= min) return n;
+  console.warn(`${name}="${raw}" is not a whole number >= ${min}; using ${dflt}`);
+  return dflt;
+}
@@ -0,0 +1,312 @@
+// lib/export.js — downloadable versions of a saved report (Markdown, standalone HTML, PDF)
+// - input is a saved report merged with its score card: { url, host, reportType, createdAt, score, band,
+//   pillars, working, needsAttention, insights[{engine,text}], plan?, pages }
+// - HTML inlines its CSS and carries no scripts or remote assets, so it opens (and prints) offline
+// - Needs Attention items list affected pages unless r.details is false
+// - The "AI-visible without JavaScript" share (lib/rendering.js) sits under the pillars when r.rendering is present
+// - Access Integrity (lib/integrity.js) follows Needs Attention when r.integrity is present; its URL lists
+//   are left out by the same rule
+// - The 30-day action plan (lib/plan.js) follows Access Integrity when r.plan is present
+// - A second appendix lists each page's H1-H6 outline with its issues flagged (lib/headings.js)
+// - PDF is drawn locally with pdfkit's built-in Helvetica; characters outside WinAnsi are dropped
+
+import PDFDocument from 'pdfkit';
+import { outlineLines } from './headings.js';
+import { integrityRows, integritySummary } from './integrity.js';
+
+export const EXPORT_FORMATS = {
+  md:   { ext: 'md',   type: 'text/markdown; charset=utf-8' },
+  html: { ext: 'html', type: 'text/html; charset=utf-8' },
+  pdf:  { ext: 'pdf',  type: 'application/pdf' },
+};
+
+const PILLAR_LABELS = [
+  ['access', 'AI Access Readiness'],
+  ['trust', 'Trust & Verification Signals'],
+  ['clarity', 'LLM Interpretability & Clarity'],
+  ['alignment', 'Prompt-Pattern Alignment'],
+  ['freshness', 'Freshness & Engagement Signals'],
+];
+// reports saved before the freshness pillar existed simply omit that row
+const pillarRows = (r)=> PILLAR_LABELS.filter(([k])=>r.pillars[k] != null);
+const jsVisibility = (r)=> r.rendering ? `AI-visible without JavaScript: ${r.rendering.score}% of readable text${r.rendering.shells ? ` (${r.rendering.shells} empty app shell${r.rendering.shells === 1 ? '' : 's'})` : ''}` : '';
+
+const titleOf = (r)=> r.reportType === 'full' ? 'Full AI SEO Report' : 'AI SEO Analysis';
+const dateOf = (r)=> String(r.createdAt || new Date().toISOString()).slice(0,10);
+const paras = (t)=> String(t||'').split(/\n\s*\n/).map(s=>s.trim()).filter(Boolean);
+
+// one row per crawled page for the appendix
+const pageRows = (pages=[])=> pages.map(p=>({
+  url: p.url,
+  title: p.title || '',
+  words: p.wordCount || 0,
+  h1: p.h1Count ?? 0,
+  meta: (p.metaDesc||'').length > 0,
+  schema: (p.schema?.types || []).join(', ')
+}));
+
+// pages crawled before outlines were captured (no p.headings) are left out
+const outlines = (pages=[])=> pages.filter(p=>p.headings?.outline.length).map(p=>({ url: p.url, lines: outlineLines(p.headings) }));
+
+// affected-page lines for a finding
+const detailLines = (d)=>{
+  if (!d) return [];
+  if (d.scope === 'site') return [`Evidence (site-wide): ${d.evidence}`];
+  return [`Affected: ${d.affected} of ${d.total} pages (${d.share}%)`, ...d.pages.map(p=>`${p.url} — ${p.evidence}`)];
+};
+
+// a finding's detail lines; none at all when the report hides page-level detail
+const findingLines = (r, x)=> r.details === false ? [] : detailLines(x.details);
+
+// Access Integrity rows; items emptied when the report hides page-level detail
+const integrityOf = (r)=> r.integrity ? integrityRows(r.integrity).map(x=>r.details === false ? { ...x, items: [] } : x) : [];
+
+export const exportFilename = (r, format)=> `sniperank-${r.host || 'report'}-${dateOf(r)}.${EXPORT_FORMATS[format].ext}`;
+
+// ---- markdown ----
+// "Week 1 · High impact · S · +2.5 pts"
+const planMeta = (t)=> `Week ${t.week} · ${t.impact} impact · ${t.difficulty} · +${t.gain} pts`;
+const planSummary = (p)=> `Estimated gain +${p.gain} points, from ${p.score} to ${p.projectedScore}, across ${p.tasks.length} tasks.`;
+
+const mdCell = (s)=> String(s).replace(/\|/g,'\\|').replace(/\s+/g,' ');
+
+export function toMarkdown(r){
+  const out = [
+    `# SnipeRank ${titleOf(r)}`,
+    '',
+    `**Site:** ${r.url}  `,
+    `**Date:** ${dateOf(r)}  `,
+    `**SnipeRank Score:** ${r.score}/100 — ${r.band}`,
+    '',
+    '## Pillars',
+    '',
+    '| Pillar | Score |',
+    '| --- | ---: |',
+    ...pillarRows(r).map(([k,label])=>`| ${label} | ${r.pillars[k]}/25 |`),
+    '',
+    ...(r.rendering ? [jsVisibility(r), ''] : []),
+    "## ✅ What's Working",
+    '',
+  ];
+  for (const x of r.working) out.push(`### ${x.title}`, '', ...paras(x.description).flatMap(p=>[p,'']));
+  out.push('## 🚨 Needs Attention', '');
+  for (const x of r.needsAttention){
+    out.push(`### ${x.title}`, '', ...paras(x.description).flatMap(p=>[p,'']));
+    const [head, ...lines] = findingLines(r, x);
+    if (head) out.push(`*${head}*`, '', ...lines.map(l=>`- ${l}`), ...(lines.length ? [''] : []));
+  }
+  if (r.integrity){
+    out.push('## 🔗 Access Integrity', '', integritySummary(r.integrity), '');
+    for (const x of integrityOf(r)) out.push(`- **${x.label}:** ${x.text}`, ...x.items.map(i=>`  - ${i.url} — ${i.evidence}`));
+    out.push('');
+  }
+  if (r.plan?.tasks.length){
+    out.push('## 🗓️ 30-Day Action Plan', '', planSummary(r.plan), '');
+    for (const g of r.plan.groups){
+      out.push(`### ${g.group}`, '');
+      for (const t of g.tasks) out.push(`${t.priority}. **${t.title}** — ${planMeta(t)}  `, `   ${t.change}`);
+      out.push('');
+    }
+  }
+  out.push('## 🤖 AI Engine Insights', '');
+  for (const x of r.insights) out.push(`- **${x.engine}:** ${x.text}${x.evidence?.length ? ` _(Evidence: ${x.evidence.join('; ')})_` : ''}`);
+
+  const rows = pageRows(r.pages);
+  if (rows.length){
+    out.push('', `## Appendix: Pages Analyzed (${rows.length})`, '',
+      '| URL | Title | Words | H1s | Meta description | Schema |',
+      '| --- | --- | ---: | ---: | --- | --- |',
+      ...rows.map(p=>`| ${mdCell(p.url)} | ${mdCell(p.title)} | ${p.words} | ${p.h1} | ${p.meta?'yes':'no'} | ${mdCell(p.schema||'—')} |`));
+  }
+  const trees = outlines(r.pages);
+  if (trees.length){
+    out.push('', '## Appendix: Heading Outlines', '');
+    for (const t of trees) out.push(`### ${t.url}`, '', '```', ...t.lines, '```', '');
+  }
+  return out.join('\n') + '\n';
+}
+
+// ---- self-contained html ----
+const esc = (s)=> String(s ?? '').replace(/[&<>"']/g, c=>({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
+
+const HTML_CSS = `
+  *{box-sizing:border-box}
+  body{font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Helvetica,Arial,sans-serif;color:#000;max-width:820px;margin:0 auto;padding:2rem}
+  h1{font-size:2.4rem;margin:0;color:#3182CE}
+  h2{font-size:1.4rem;margin:.25rem 0 1rem}
+  h3{font-size:1.05rem;margin:1.2rem 0 .35rem}
+  .meta{color:#666;font-size:.95rem;margin-bottom:1.25rem}
+  .card{border:1px solid #e5e5e5;border-radius:12px;padding:1rem;margin-bottom:1.5rem}
+  .score{font-size:2.2rem;font-weight:800}
+  .band{color:#666;margin-left:.5rem}
+  .pillars{display:grid;grid-template-columns:1fr 1fr;gap:.6rem;margin-top:.75rem}
+  .pillar{border:1px solid #e5e5e5;border-radius:10px;padding:.5rem .75rem;display:flex;justify-content:space-between}
+  .section-title{font-size:1.25rem;font-weight:700;margin:2rem 0 .4rem;border-bottom:1px solid #e5e5e5;padding-bottom:.3rem}
+  p{line-height:1.65;margin:0 0 .8rem}
+  ul{padding-left:1.1rem} li{line-height:1.6;margin:.45rem 0}
+  table{width:100%;border-collapse:collapse;font-size:.85rem}
+  th,td{text-align:left;padding:.35rem .4rem;border-bottom:1px solid #e5e5e5;vertical-align:top;word-break:break-word}
+  td.num{text-align:right}
+  pre.outline{font-size:.8rem;background:#f7f7f7;border-radius:8px;padding:.6rem .75rem;white-space:pre-wrap;word-break:break-word;margin:0 0 1rem}
+  .detail{color:#555;font-size:.85rem;word-break:break-word} p.detail{font-style:italic;margin-bottom:.2rem} ul.detail li{margin:.15rem 0}
+  .footer{margin-top:2.5rem;color:#666;font-size:.85rem;text-align:center}
+  @media print{body{padding:0} .card,.pillar{break-inside:avoid} h3{break-after:avoid}}
+`;
+
+export function toHtml(r){
+  const finding = (x)=>{
+    const [head, ...lines] = findingLines(r, x);
+    const detail = head ? `<p class="detail">${esc(head)}</p>${lines.length ? `<ul class="detail">${lines.map(l=>`<li>${esc(l)}</li>`).join('')}</ul>` : ''}` : '';
+    return `<h3>${esc(x.title)}</h3>${paras(x.description).map(p=>`<p>${esc(p)}</p>`).join('')}${detail}`;
+  };
+  const integrity = r.integrity ? `
+  <div class="section-title">🔗 Access Integrity</div>
+  <p>${esc(integritySummary(r.integrity))}</p>
+  <ul>${integrityOf(r).map(x=>`<li><strong>${esc(x.label)}:</strong> ${esc(x.text)}${x.items.length ? `<ul class="detail">${x.items.map(i=>`<li>${esc(i.url)} — ${esc(i.evidence)}</li>`).join('')}</ul>` : ''}</li>`).join('')}</ul>` : '';
+  const plan = r.plan?.tasks.length ? `
+  <div class="section-title">🗓️ 30-Day Action Plan</div>
+  <p>${esc(planSummary(r.plan))}</p>
+  ${r.plan.groups.map(g=>`<h3>${esc(g.group)}</h3><ol>${g.tasks.map(t=>`<li value="${t.priority}"><strong>${esc(t.title)}</strong> <span class="detail">${esc(planMeta(t))}</span><br>${esc(t.change)}</li>`).join('')}</ol>`).join('')}` : '';
+  const rows = pageRows(r.pages);
+  const appendix = rows.length ? `
+    <div class="section-title">Appendix: Pages Analyzed (${rows.length})</div>
+    <table><thead><tr><th>URL</th><th>Title</th><th>Words</th><th>H1s</th><th>Meta</th><th>Schema</th></tr></thead><tbody>
+    ${rows.map(p=>`<tr><td>${esc(p.url)}</td><td>${esc(p.title)}</td><td class="num">${p.words}</td><td class="num">${p.h1}</td><td>${p.meta?'yes':'no'}</td><td>${esc(p.schema||'—')}</td></tr>`).join('')}
+    </tbody></table>` : '';
+  const trees = outlines(r.pages);
+  const outlineAppendix = trees.length ? `
+    <div class="section-title">Appendix: Heading Outlines</div>
+    ${trees.map(t=>`<h3>${esc(t.url)}</h3><pre class="outline">${esc(t.lines.join('\n'))}</pre>`).join('')}` : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0"/>
+<title>SnipeRank ${esc(titleOf(r))} - ${esc(r.host)}</title>
+<style>${HTML_CSS}</style>
+</head>
+<body>
+  <h1>SnipeRank</h1>
+  <h2>${esc(titleOf(r))}</h2>
+  <div class="meta">Analysis for <strong>${esc(r.url)}</strong> · ${esc(dateOf(r))}</div>
+  <section class="card">
+    <span class="score">${r.score}/100</span><span class="band">${esc(r.band)}</span>
+    <div class="pillars">${pillarRows(r).map(([k,label])=>`<div class="pillar"><span>${esc(label)}</span><strong>${r.pillars[k]}/25</strong></div>`).join('')}</div>
+    ${r.rendering ? `<div class="meta">${esc(jsVisibility(r))}</div>` : ''}
+  </section>
+  <div class="section-title">✅ What's Working</div>
+  ${r.working.map(finding).join('')}
+  <div class="section-title">🚨 Needs Attention</div>
+  ${r.needsAttention.map(finding).join('')}
+  ${integrity}
+  ${plan}
+  <div class="section-title">🤖 AI Engine Insights</div>
+  <ul>${r.insights.map(x=>`<li><strong>${esc(x.engine)}:</strong> ${esc(x.text)}${x.evidence?.length ? `<div class="detail">Evidence: ${esc(x.evidence.join('; '))}</div>` : ''}</li>`).join('')}</ul>
+  ${appendix}
+  ${outlineAppendix}
+  <div class="footer">© ${dateOf(r).slice(0,4)} SnipeRank by quontora.com</div>
+</body>
+</html>
+`;
+}
+
+// ---- pdf ----
+// the standard PDF fonts only cover WinAnsi; stars, emoji and other symbols would print as garbage
+const latin = (s)=> String(s ?? '').replace(/[★☆]/g,'').replace(/[^\x09\x0a\x20-\x7e\xa0-\xff–—‘’“”•…]/g,'').trim();
+
+export function toPdf(r){
+  return new Promise((resolve, reject)=>{
+    const doc = new PDFDocument({ size: 'LETTER', margin: 54, info: { Title: `SnipeRank ${titleOf(r)} - ${r.host}`, Author: 'SnipeRank' } });
+    const chunks = [];
+    doc.on('data', c=>chunks.push(c));
+    doc.on('end', ()=>resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const section = (t)=>{
+      doc.moveDown(1).font('Helvetica-Bold').fontSize(15).fillColor('#000').text(t);
+      doc.moveTo(doc.x, doc.y + 2).lineTo(doc.x + width, doc.y + 2).strokeColor('#e5e5e5').stroke();
+      doc.moveDown(.5);
+    };
+    const finding = (x)=>{
+      doc.font('Helvetica-Bold').fontSize(11.5).fillColor('#000').text(latin(x.title), { paragraphGap: 3 });
+      for (const p of paras(x.description)) doc.font('Helvetica').fontSize(10.5).fillColor('#222').text(latin(p), { paragraphGap: 6, lineGap: 1.5 });
+      const [head, ...lines] = findingLines(r, x);
+      if (head) doc.font('Helvetica-Oblique').fontSize(9).fillColor('#555').text(latin(head), { paragraphGap: 2 });
+      for (const l of lines) doc.font('Helvetica').fontSize(8.5).fillColor('#555').text(`• ${latin(l)}`, { indent: 8, paragraphGap: 1 });
+      doc.moveDown(.4);
+    };
+
+    doc.font('Helvetica-Bold').fontSize(26).fillColor('#3182CE').text('SnipeRank');
+    doc.font('Helvetica-Bold').fontSize(16).fillColor('#000').text(titleOf(r));
+    doc.font('Helvetica').fontSize(10.5).fillColor('#666').text(`Analysis for ${latin(r.url)}  ·  ${dateOf(r)}`).moveDown(1);
+
+    doc.font('Helvetica-Bold').fontSize(22).fillColor('#000').text(`${r.score}/100`, { continued: true })
+      .font('Helvetica').fontSize(12).fillColor('#666').text(`   ${latin(r.band)}`);
+    doc.moveDown(.4);
+    for (const [k,label] of pillarRows(r)){
+      const y = doc.y;
+      doc.font('Helvetica').fontSize(11).fillColor('#000').text(label, doc.page.margins.left, y);
+      doc.font('Helvetica-Bold').text(`${r.pillars[k]}/25`, doc.page.margins.left, y, { width, align: 'right' });
+    }
+    if (r.rendering) doc.moveDown(.3).font('Helvetica').fontSize(10).fillColor('#555').text(latin(jsVisibility(r)), doc.page.margins.left);
+
+    section("What's Working");
+    r.working.forEach(finding);
+    section('Needs Attention');
+    r.needsAttention.forEach(finding);
+    if (r.integrity){
+      section('Access Integrity');
+      doc.font('Helvetica').fontSize(10.5).fillColor('#222').text(latin(integritySummary(r.integrity)), { paragraphGap: 6 });
+      for (const x of integrityOf(r)){
+        doc.font('Helvetica-Bold').fontSize(10.5).fillColor('#000').text(`${latin(x.label)}: `, { continued: true })
+          .font('Helvetica').fillColor('#222').text(latin(x.text), { paragraphGap: x.items.length ? 2 : 6 });
+        for (const i of x.items) doc.font('Helvetica').fontSize(8.5).fillColor('#555').text(`• ${latin(`${i.url} — ${i.evidence}`)}`, { indent: 8, paragraphGap: 1 });
+        if (x.items.length) doc.moveDown(.4);
+      }
+    }
+    if (r.plan?.tasks.length){
+      section('30-Day Action Plan');
+      doc.font('Helvetica').fontSize(10.5).fillColor('#222').text(latin(planSummary(r.plan)), { paragraphGap: 6 });
+      for (const g of r.plan.groups){
+        doc.font('Helvetica-Bold').fontSize(12).fillColor('#000').text(g.group, { paragraphGap: 3 });
+        for (const t of g.tasks){
+          doc.font('Helvetica-Bold').fontSize(10.5).fillColor('#000').text(`${t.priority}. ${latin(t.title)}`, { paragraphGap: 1 });
+          doc.font('Helvetica').fontSize(9).fillColor('#555').text(latin(planMeta(t)), { paragraphGap: 1 });
+          doc.font('Helvetica').fontSize(10).fillColor('#222').text(latin(t.change), { paragraphGap: 6 });
+        }
+      }
+    }
+    section('AI Engine Insights');
+    for (const x of r.insights){
+      doc.font('Helvetica-Bold').fontSize(10.5).fillColor('#000').text(`${latin(x.engine)}: `, { continued: true })
+        .font('Helvetica').fillColor('#222').text(latin(x.text), { paragraphGap: x.evidence?.length ? 2 : 6 });
+      if (x.evidence?.length) doc.fontSize(9).fillColor('#666').text(latin(`Evidence: ${x.evidence.join('; ')}`), { paragraphGap: 6 });
+    }
+
+    const rows = pageRows(r.pages);
+    if (rows.length){
+      doc.addPage();
+      section(`Appendix: Pages Analyzed (${rows.length})`);
+      for (const p of rows){
+        doc.font('Helvetica-Bold').fontSize(9).fillColor('#000').text(latin(p.url));
+        doc.font('Helvetica').fontSize(8.5).fillColor('#555')
+          .text(`${latin(p.title) || '(no title)'}  ·  ${p.words} words  ·  ${p.h1} H1  ·  meta ${p.meta?'yes':'no'}  ·  schema: ${p.schema || 'none'}`, { paragraphGap: 5 });
+      }
+    }
+
+    const trees = outlines(r.pages);
+    if (trees.length){
+      doc.addPage();
+      section('Appendix: Heading Outlines');
+      for (const t of trees){
+        doc.font('Helvetica-Bold').fontSize(9).fillColor('#000').text(latin(t.url), { paragraphGap: 2 });
+        // latin() trims, so the indent is put back in front of each line
+        doc.font('Courier').fontSize(8).fillColor('#333').text(t.lines.map(l=>l.match(/^ */)[0] + latin(l)).join('\n'), { paragraphGap: 8 });
+      }
+    }
+
+    doc.end();
+  });
+}
@@ -0,0 +1,107 @@
+// lib/freshness.js — evidence for the Freshness & Engagement pillar
+// - Per page: Last-Modified / ETag headers, sitemap lastmod (added by the crawler), schema
+//   datePublished / dateModified, article meta and <time> dates, and the footer copyright year
+// - Per site: the first advertised RSS/Atom feed is fetched for its newest item date
+// - summarizeFreshness() is what the scoring model and the freshness rules read
+// - Dates more than CLOCK_SKEW_MS ahead of now are ignored: a placeholder or mistyped year would otherwise
+//   read as "updated today"
+
+import { safeHttp } from './net-guard.js';
+import * as cheerio from 'cheerio';
+import { CRAWLER_UA, isAllowed } from './robots.js';
+import { templateOf } from './schema.js';
+
+const DAY_MS = 86400000;
+export const RECENT_DAYS = 365; // "updated recently" means within a year
+const CLOCK_SKEW_MS = DAY_MS;   // time zones and a server clock running a little fast
+
+const toIso = (v)=>{ const t = Date.parse(v || ''); return Number.isFinite(t) ? new Date(t).toISOString() : null; };
+const latest = (dates)=> dates.filter(Boolean).sort().pop() || null;
+const notFuture = (iso, now)=> iso && Date.parse(iso) <= now + CLOCK_SKEW_MS ? iso : null;
+
+// datePublished / dateModified anywhere in the JSON-LD blocks (including @graph and nested nodes)
+function jsonLdDates($){
+  const found = { published: [], modified: [] };
+  const walk = (node)=>{
+    if (Array.isArray(node)) return node.forEach(walk);
+    if (!node || typeof node !== 'object') return;
+    if (node.datePublished) found.published.push(toIso(node.datePublished));
+    if (node.dateModified) found.modified.push(toIso(node.dateModified));
+    Object.values(node).forEach(v=>{ if (v && typeof v === 'object') walk(v); });
+  };
+  $('script[type="application/ld+json"]').each((_, el)=>{
+    try{ walk(JSON.parse($(el).contents().text().replace(/^\s*(<!--|<!\[CDATA\[)|(-->|\]\]>)\s*$/g, ''))); }catch{}
+  });
+  return found;
+}
+
+// "© 2019–2023 Acme" -> 2023; the footer is checked first since that is where the notice lives
+function copyrightYear($){
+  const text = ($('footer').text() || $('body').text()).replace(/\s+/g, ' ');
+  const m = text.match(/(?:©|\(c\)|copyright)[^0-9]{0,20}((?:19|20)\d{2})(?:\s*[-–—]\s*((?:19|20)\d{2}))?/i);
+  return m ? parseInt(m[2] || m[1], 10) : null;
+}
+
+export function extractFreshness($, url, headers={}){
+  const ld = jsonLdDates($);
+  const attr = (sel, a='content')=> toIso($(sel).first().attr(a));
+  const feeds = $('link[rel="alternate"][type*="rss"], link[rel="alternate"][type*="atom"]')
+    .map((_, el)=>{ try{ return new URL($(el).attr('href'), url).href; }catch{ return null; } }).get().filter(Boolean);
+  return {
+    lastModified: toIso(headers['last-modified']),
+    etag: !!headers.etag,
+    published: latest([...ld.published, attr('meta[property="article:published_time"]'), attr('[itemprop="datePublished"]', 'content') || attr('[itemprop="datePublished"]', 'datetime')]),
+    modified: latest([...ld.modified, attr('meta[property="article:modified_time"]'), attr('[itemprop="dateModified"]', 'content') || attr('[itemprop="dateModified"]', 'datetime')]),
+    visibleDate: attr('time[datetime]', 'datetime'),
+    sitemapLastmod: null,
+    copyrightYear: copyrightYear($),
+    feeds: [...new Set(feeds)]
+  };
+}
+
+// dates the site itself declares win; a Last-Modified header on a dynamic page is often just "now"
+export function lastUpdated(f, now=Date.now()){
+  if (!f) return null;
+  return latest([f.modified, f.published, f.visibleDate, f.sitemapLastmod].map(d=>notFuture(d, now))) || notFuture(f.lastModified, now);
+}
+
+export const ageDays = (iso, now=Date.now())=> iso ? Math.max(0, Math.floor((now - Date.parse(iso)) / DAY_MS)) : null;
+
+// newest item in the first advertised feed; robots rules apply like any other fetch
+export async function auditFeed(pages, robots, { timeout=5000 }={}){
+  const advertised = [...new Set(pages.flatMap(p=>p.freshness?.feeds || []))];
+  if (!advertised.length) return null;
+  const url = advertised[0];
+  if (robots && !isAllowed(robots, url, CRAWLER_UA)) return { url, advertised, status: null, items: 0, latest: null, error: 'disallowed by robots.txt' };
+  try{
+    const r = await safeHttp.get(url, { timeout, responseType: 'text', headers: { 'User-Agent': CRAWLER_UA } });
+    const $ = cheerio.load(r.data, { xmlMode: true });
+    const dates = [
+      ...$('item').map((_, el)=>toIso($(el).children('pubDate').text() || $(el).children('dc\\:date').text())).get(),
+      ...$('entry').map((_, el)=>toIso($(el).children('updated').text() || $(el).children('published').text())).get()
+    ];
+    return { url, advertised, status: r.status, items: $('item, entry').length, latest: latest(dates), error: null };
+  }catch(e){
+    return { url, advertised, status: e.response?.status || null, items: 0, latest: null, error: e.message };
+  }
+}
+
+export function summarizeFreshness(pages, feed=null, now=Date.now()){
+  const total = pages.length;
+  const updated = pages.map(p=>lastUpdated(p.freshness, now)).filter(Boolean);
+  const ages = updated.map(d=>ageDays(d, now)).sort((a,b)=>a-b);
+  const articles = pages.filter(p=>templateOf(p) === 'article');
+  const years = pages.map(p=>p.freshness?.copyrightYear).filter(Boolean);
+  return {
+    total,
+    dated: updated.length,
+    recent: ages.filter(a=>a <= RECENT_DAYS).length,
+    medianAgeDays: ages.length ? ages[Math.floor(ages.length/2)] : null,
+    validators: pages.filter(p=>p.freshness?.lastModified || p.freshness?.etag).length,
+    articles: articles.length,
+    articlesDated: articles.filter(p=>p.freshness?.published || p.freshness?.modified || p.freshness?.visibleDate).length,
+    copyrightYear: years.length ? Math.max(...years) : null,
+    currentYear: new Date(now).getFullYear(),
+    feed: feed && { ...feed, ageDays: ageDays(notFuture(feed.latest, now), now) }
+  };
+}
@@ -0,0 +1,79 @@
+// lib/headings.js — the H1-H6 outline of each page and what is wrong with it
+// - outline: every heading in document order as { level, text, issues? }, capped at MAX_HEADINGS
+// - Issues per heading: 'skipped' (deeper than the previous heading by more than one level, e.g. H2 -> H4),
+//   'empty' (no text and no image alt), 'duplicate' (same text as an earlier heading) and 'styling'
+//   (one or two characters, or a multi-word ALL CAPS label: a heading tag used for looks)
+// - titleMatch: share of the first H1's words found in the <title>; under TITLE_MATCH the two disagree
+// - outlineLines() renders the outline as indented text for the exports (lib/export.js)
+
+export const MAX_HEADINGS = 60;
+export const TITLE_MATCH = 0.5;
+const MAX_TEXT = 120;
+const STYLING_MAX_CHARS = 2;      // "01", "→", "Hi": too short to name a section
+const CAPS_MIN_LETTERS = 8;       // below this ALL CAPS is usually an acronym (FAQ, USA, B2B)
+const STOP = new Set(['the', 'and', 'for', 'with', 'your', 'our', 'you', 'from', 'are', 'was', 'this', 'that', 'into', 'about', 'how', 'what', 'why']);
+
+const squash = (s)=> String(s || '').replace(/\s+/g, ' ').trim();
+const clip = (s)=> s.length > MAX_TEXT ? `${s.slice(0, MAX_TEXT - 1)}…` : s;
+const words = (s)=> squash(s).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(w=>w.length > 2 && !STOP.has(w));
+
+const isStyling = (t)=>{
+  if (t.length <= STYLING_MAX_CHARS) return true;
+  const letters = t.replace(/[^\p{L}]/gu, '');
+  return t.includes(' ') && letters.length >= CAPS_MIN_LETTERS && letters === letters.toUpperCase() && letters !== letters.toLowerCase();
+};
+
+// null when there is no H1, no title, or nothing in the H1 worth comparing
+export function titleMatch(h1, title){
+  const a = words(h1), b = new Set(words(title));
+  if (!a.length || !b.size) return null;
+  return Math.round(100 * a.filter(w=>b.has(w)).length / a.length) / 100;
+}
+
+export function extractOutline($, title=''){
+  const all = $('body h1, body h2, body h3, body h4, body h5, body h6').toArray();
+  const seen = new Set();
+  let prev = null;
+  const outline = all.slice(0, MAX_HEADINGS).map(el=>{
+    const level = Number(el.name.slice(1));
+    // a logo or wordmark image inside a heading is its text for readers and crawlers alike
+    const text = squash($(el).text()) || squash($(el).find('img[alt]').map((_, img)=>$(img).attr('alt')).get().join(' '));
+    const issues = [];
+    if (prev !== null && level > prev + 1) issues.push('skipped');
+    if (!text) issues.push('empty');
+    else {
+      const key = text.toLowerCase();
+      if (seen.has(key)) issues.push('duplicate');
+      seen.add(key);
+      if (isStyling(text)) issues.push('styling');
+    }
+    prev = level;
+    return issues.length ? { level, text: clip(text), issues } : { level, text: clip(text) };
+  });
+
+  const count = (issue)=> outline.filter(h=>h.issues?.includes(issue)).length;
+  const h1 = outline.find(h=>h.level === 1 && h.text);
+  return {
+    outline,
+    total: all.length,
+    skipped: count('skipped'),
+    empty: count('empty'),
+    duplicates: count('duplicate'),
+    styling: count('styling'),
+    h1: h1 ? h1.text : '',
+    titleMatch: h1 ? titleMatch(h1.text, title) : null
+  };
+}
+
+// headings carrying one issue, for finding evidence; skipped ones also name the level they follow
+export function headingsWith(h, issue){
+  return (h?.outline || []).flatMap((x, i)=>{
+    if (!x.issues?.includes(issue)) return [];
+    const after = issue === 'skipped' ? ` after H${h.outline[i-1].level}` : '';
+    return [`H${x.level} ${x.text ? `"${x.text}"` : '(empty)'}${after}`];
+  });
+}
+
+// "H1 Pricing" / "  H2 Plans [skipped]" lines; indent follows the level
+export const outlineLines = (h)=> (h?.outline || []).map(x=>
+  `${'  '.repeat(x.level - 1)}H${x.level} ${x.text || '(empty)'}${x.issues ? ` [${x.issues.join(', ')}]` : ''}`);
@@ -0,0 +1,216 @@
+// lib/indexability.js — can the pages be indexed, and do their index signals agree?
+// - Per page: canonical (<link rel="canonical"> or a Link header), robots directives from meta robots / googlebot
+//   and X-Robots-Tag (agent-scoped values count only for googlebot, bingbot and robots), hreflang alternates
+// - Site audit: canonical targets must answer 200 without redirecting, be indexable and not canonicalize on
+//   (chains); noindex pages that sit in the sitemap or carry a canonical elsewhere; pages only reachable through
+//   nofollow pages; hreflang codes (ISO 639-1 language, optional script, ISO 3166 region) and return links
+// - Targets the crawl never fetched get a HEAD check, at most CHECK_LIMITS.max of them
+// - Feeds the Access pillar (lib/scoring.js: indexable, indexSignals) and the index-* / canonical-* / hreflang-* rules
+
+import { normalizeUrl } from './crawler.js';
+import { checkUrls } from './integrity.js';
+
+export const CHECK_LIMITS = { max: 50, budgetMs: 10000, concurrency: 4 };
+const MAX_LISTED = 50;
+const AGENTS = new Set(['googlebot', 'bingbot', 'robots']);
+const NOT_REGIONS = { UK: 'GB', EU: null, UN: null, ZZ: null };   // accepted by ICU, not by search engines
+
+// ---- per page ----
+// meta contents / X-Robots-Tag values -> { noindex, nofollow, index, follow }; "none" is noindex + nofollow
+export function parseRobotsDirectives(values=[]){
+  const out = { noindex: false, nofollow: false, index: false, follow: false };
+  for (const v of values){
+    let agent = null;
+    for (const part of String(v || '').toLowerCase().split(',')){
+      const scoped = part.match(/^\s*([a-z0-9_-]+)\s*:\s*(.*)$/);
+      let body = part;
+      if (scoped && scoped[1] !== 'unavailable_after'){ agent = scoped[1]; body = scoped[2]; }
+      if (agent && !AGENTS.has(agent)) continue;
+      for (const t of body.split(/\s+/).filter(Boolean)){
+        if (t === 'none'){ out.noindex = true; out.nofollow = true; }
+        else if (t in out) out[t] = true;
+      }
+    }
+  }
+  return out;
+}
+
+// Link: <https://x/fr>; rel="alternate"; hreflang="fr", <https://x/>; rel="canonical"
+function parseLinkHeader(value){
+  return [].concat(value || []).join(',').split(/,(?=\s*<)/).map(part=>{
+    const m = part.match(/<([^>]*)>(.*)/);
+    if (!m) return null;
+    const params = {};
+    for (const [, k, v] of m[2].matchAll(/;\s*([a-z-]+)\s*=\s*"?([^";]*)"?/gi)) params[k.toLowerCase()] = v.trim();
+    return { href: m[1].trim(), rel: (params.rel || '').toLowerCase().split(/\s+/), hreflang: params.hreflang || null };
+  }).filter(Boolean);
+}
+
+export function extractIndexability($, url, headers={}){
+  const links = parseLinkHeader(headers.link);
+  const canonicals = [
+    ...$('link[rel~="canonical" i][href]').map((_, el)=>$(el).attr('href')).get(),
+    ...links.filter(l=>l.rel.includes('canonical')).map(l=>l.href)
+  ].map(h=>normalizeUrl(h.trim(), url)).filter(Boolean);
+  const meta = $('meta[name="robots" i], meta[name="googlebot" i]').map((_, el)=>$(el).attr('content')).get();
+  const header = [].concat(headers['x-robots-tag'] || []);
+  const hreflang = [
+    ...$('link[rel~="alternate" i][hreflang][href]').map((_, el)=>({ lang: $(el).attr('hreflang').trim(), href: $(el).attr('href') })).get(),
+    ...links.filter(l=>l.rel.includes('alternate') && l.hreflang).map(l=>({ lang: l.hreflang, href: l.href }))
+  ].map(h=>({ lang: h.lang, href: normalizeUrl(String(h.href).trim(), url) })).filter(h=>h.href);
+
+  return {
+    canonical: canonicals[0] || null,
+    // distinct canonical targets; more than one and engines ignore them all
+    canonicalCount: new Set(canonicals).size,
+    robots: { ...parseRobotsDirectives([...meta, ...header]), meta: parseRobotsDirectives(meta), header: parseRobotsDirectives(header) },
+    hreflang
+  };
+}
+
+// ---- hreflang codes ----
+let names = null;
+const displayNames = ()=>{
+  if (names === null){
+    try{ names = { lang: new Intl.DisplayNames('en', { type: 'language', fallback: 'none' }), region: new Intl.DisplayNames('en', { type: 'region', fallback: 'none' }) }; }
+    catch{ names = false; }
+  }
+  return names;
+};
+
+// null when the code is usable, otherwise why not
+export function hreflangProblem(code){
+  if (/^x-default$/i.test(code)) return null;
+  if (code.includes('_')) return `"${code}" uses an underscore; use a hyphen (${code.replace(/_/g, '-')})`;
+  const m = code.match(/^([a-z]{2})(?:-([a-z]{4}))?(?:-([a-z]{2}))?$/i);
+  if (!m) return `"${code}" is not a language[-region] code (ISO 639-1 language, optional ISO 3166-1 region)`;
+  const [, lang, , region] = m;
+  const dn = displayNames();
+  if (dn && !dn.lang.of(lang.toLowerCase())) return `"${lang}" is not an ISO 639-1 language code`;
+  if (region){
+    const r = region.toUpperCase();
+    if (r in NOT_REGIONS) return `"${region}" is not a country code${NOT_REGIONS[r] ? `; use ${NOT_REGIONS[r]}` : ''}`;
+    if (dn && !dn.region.of(r)) return `"${region}" is not an ISO 3166-1 country code`;
+  }
+  return null;
+}
+
+// ---- site audit ----
+const isNoindex = (p)=> !!p.indexability?.robots.noindex;
+const urlList = (list)=> list.slice(0, MAX_LISTED);
+
+// log: createIntegrityLog() from the crawl (fetch traces + who links to what)
+export async function auditIndexability(pages, log, { timeout=5000, signal=null, limits=CHECK_LIMITS }={}){
+  // a page reached through a redirect is the target's content under the requested URL: judged once, as the target
+  const measured = pages.filter(p=>p.indexability && !log?.fetches.get(p.url)?.hops.length);
+  if (!measured.length) return null;
+  const byUrl = new Map(measured.map(p=>[p.url, p]));
+  const linkedFrom = (url)=> [...(log?.sources.get(url) || [])];
+
+  // status of any URL a canonical or hreflang points at: crawl trace first, HEAD check otherwise
+  const wanted = new Map();
+  for (const p of measured){
+    const { canonical, hreflang } = p.indexability;
+    for (const u of [canonical, ...hreflang.map(h=>h.href)]){
+      if (u && u !== p.url && !log?.fetches.has(u)) wanted.set(u, (wanted.get(u) || new Set()).add(p.url));
+    }
+  }
+  const checked = new Map();
+  if (wanted.size){
+    const entries = [...wanted].sort((a,b)=>b[1].size - a[1].size);
+    for (const { trace } of await checkUrls(entries, limits, { timeout, signal })) checked.set(trace.url, trace);
+  }
+  const traceOf = (u)=> log?.fetches.get(u) || checked.get(u) || null;
+  const targetProblem = (u)=>{
+    const t = traceOf(u);
+    if (!t) return null;
+    if (!t.status) return `does not answer (${t.error})`;
+    if (t.hops.length) return `redirects (${t.hops[0].status}) to ${t.finalUrl}`;
+    if (t.status >= 400) return `answers ${t.status}`;
+    return null;
+  };
+
+  // ---- canonicals ----
+  const canonicalIssues = [], chains = [];
+  for (const p of measured){
+    const { canonical, canonicalCount } = p.indexability;
+    if (canonicalCount > 1){ canonicalIssues.push({ url: p.url, canonical, problem: `${canonicalCount} different canonical URLs declared` }); continue; }
+    if (!canonical || canonical === p.url) continue;
+    const problem = targetProblem(canonical);
+    const target = byUrl.get(canonical);
+    if (problem) canonicalIssues.push({ url: p.url, canonical, problem: `canonical ${problem}` });
+    else if (target && isNoindex(target)) canonicalIssues.push({ url: p.url, canonical, problem: 'canonical target is noindex' });
+    else if (p.url.startsWith('https://') && canonical.startsWith('http://')) canonicalIssues.push({ url: p.url, canonical, problem: 'canonical points at the http:// version' });
+    const next = target?.indexability?.canonical;
+    if (next && next !== canonical) chains.push({ url: p.url, canonical, next, problem: `canonical ${canonical} is itself canonicalized to ${next}` });
+  }
+
+  // ---- robots directives vs. internal linking ----
+  const noindex = measured.filter(isNoindex).map(p=>({
+    url: p.url,
+    source: [p.indexability.robots.meta.noindex ? 'meta robots' : null, p.indexability.robots.header.noindex ? 'X-Robots-Tag' : null].filter(Boolean).join(' and '),
+    linkedFrom: linkedFrom(p.url).length,
+    inSitemap: !!p.inSitemap
+  }));
+  const nofollowPages = new Set(measured.filter(p=>p.indexability.robots.nofollow).map(p=>p.url));
+  const conflicts = [];
+  for (const p of measured){
+    const r = p.indexability.robots;
+    const from = linkedFrom(p.url);
+    if (r.noindex && p.inSitemap) conflicts.push({ url: p.url, problem: 'noindex page listed in the XML sitemap' });
+    if (r.noindex && p.indexability.canonical && p.indexability.canonical !== p.url) conflicts.push({ url: p.url, problem: `noindex combined with a canonical to ${p.indexability.canonical}` });
+    if ((r.meta.noindex && r.header.index) || (r.header.noindex && r.meta.index)) conflicts.push({ url: p.url, problem: 'meta robots and X-Robots-Tag disagree on index / noindex' });
+    if (from.length && from.every(u=>nofollowPages.has(u))) conflicts.push({ url: p.url, problem: `only linked from nofollow page${from.length === 1 ? '' : 's'} (${from.slice(0,3).join(', ')})` });
+  }
+  const nofollow = measured.filter(p=>nofollowPages.has(p.url)).map(p=>({ url: p.url, internalLinks: p.internalLinkCount }));
+
+  // ---- hreflang ----
+  const hreflangIssues = [];
+  let returnChecked = 0;
+  for (const p of measured.filter(x=>x.indexability.hreflang.length)){
+    const tags = p.indexability.hreflang;
+    const problems = [];
+    for (const h of tags){
+      const bad = hreflangProblem(h.lang);
+      if (bad) problems.push(bad);
+      const target = byUrl.get(h.href);
+      if (h.href !== p.url && target){
+        returnChecked++;
+        if (!target.indexability.hreflang.some(t=>t.href === p.url)) problems.push(`${h.href} (${h.lang}) does not link back`);
+      }
+      const dead = h.href !== p.url && targetProblem(h.href);
+      if (dead) problems.push(`${h.href} (${h.lang}) ${dead}`);
+    }
+    const langs = tags.map(t=>t.lang.toLowerCase());
+    const dupes = [...new Set(langs.filter((l, i)=>langs.indexOf(l) !== i))];
+    if (dupes.length) problems.push(`${dupes.join(', ')} declared more than once`);
+    if (!tags.some(t=>t.href === p.url)) problems.push('no self-referencing hreflang');
+    if (problems.length) hreflangIssues.push({ url: p.url, problem: problems.slice(0, 4).join('; ') + (problems.length > 4 ? `; and ${problems.length - 4} more` : '') });
+  }
+
+  const flagged = new Set([...canonicalIssues, ...chains, ...hreflangIssues].map(x=>x.url));
+  const clean = measured.filter(p=>!flagged.has(p.url));
+  return {
+    total: measured.length,
+    indexable: measured.length - noindex.length,
+    noindex: urlList(noindex),
+    noindexCount: noindex.length,
+    nofollow: urlList(nofollow),
+    canonical: {
+      present: measured.filter(p=>p.indexability.canonical).length,
+      self: measured.filter(p=>p.indexability.canonical === p.url).length,
+      missing: measured.filter(p=>!p.indexability.canonical).length,
+      issues: urlList(canonicalIssues),
+      chains: urlList(chains)
+    },
+    conflicts: urlList(conflicts),
+    hreflang: {
+      pages: measured.filter(p=>p.indexability.hreflang.length).length,
+      returnChecked,
+      issues: urlList(hreflangIssues)
+    },
+    targetsChecked: checked.size,
+    // pages whose canonical / hreflang raise no issue; those without a canonical earn half in lib/scoring.js
+    clean: { pages: clean.length, noCanonical: clean.filter(p=>!p.indexability.canonical).length }
+  };
+}
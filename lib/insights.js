@@ -0,0 +1,199 @@
+// lib/insights.js — AI Engine Insights, one per engine
+// - With an LLM configured (lib/llm.js), the model gets a compact digest of the crawl (pillars, schema
+//   inventory, heading issues, answer structure, AI-bot access, JavaScript-only content, broken links and
+//   redirects, noindex / canonical / hreflang problems, freshness, sample excerpts) and must cite evidence from it
+// - Without one, or when the model fails, the metric-driven templates below are used
+// - Items are { engine, description, evidence?, source: 'llm'|'template' } in ENGINES order, which the
+//   report pages rely on to pair each bullet with its engine logo
+
+import { generateJson, usageLine } from './llm.js';
+import { summarizeRendering } from './rendering.js';
+import { TITLE_MATCH } from './headings.js';
+
+export const ENGINES = ['ChatGPT', 'Claude', 'Gemini', 'Copilot', 'Perplexity'];
+const SAMPLE_PAGES = 5;
+
+const pct = (num, den)=> den ? Math.round((num/den)*100) : 0;
+const avgOf = (pages, key)=> pages.length ? Math.round(pages.reduce((s,p)=>s+(p[key]||0),0)/pages.length) : 0;
+
+// ---- templates (fallback) ----
+export function templateInsights(pages, host, mode='analyze'){
+  if (!pages || !pages.length){
+    return ENGINES.map(engine => ({
+      engine,
+      description: `Unable to analyze ${host} - ${engine} requires sufficient content access for meaningful evaluation.`
+    }));
+  }
+
+  const total = pages.length;
+  const avgWords = Math.round(pages.reduce((s,p)=>s+p.wordCount,0)/total);
+  const schemaPages = pages.filter(p=>p.hasSchema).length;
+  const properH1 = pages.filter(p=>p.h1Count===1).length;
+  const avgLinks = Math.round(pages.reduce((s,p)=>s+p.internalLinkCount,0)/total);
+  const metaPages = pages.filter(p=>p.metaDesc.length>0).length;
+  const httpsPages = pages.filter(p=>p.hasSSL).length;
+
+  // Different insights per engine
+  const insights = {
+    ChatGPT: `Content structure analysis reveals ${properH1===total?'consistent heading hierarchy':'inconsistent heading patterns'} across the analyzed sections of ${host}. The ${avgWords}-word average content depth ${avgWords>=500?'supports comprehensive topic coverage':'may benefit from expansion'}, while internal linking patterns create ${avgLinks>=5?'strong content relationships':'opportunities for enhanced connectivity'}.`,
+    
+    Claude: `Technical infrastructure assessment shows ${httpsPages===total?'consistent security implementation':'mixed security protocols'} throughout ${host}. Schema markup coverage at ${Math.round((schemaPages/total)*100)}% ${schemaPages>=total*0.7?'provides strong semantic signals':'indicates room for structured data enhancement'}, supporting improved content interpretation.`,
+    
+    Gemini: `Meta description analysis indicates ${metaPages>=total*0.8?'comprehensive preview coverage':'gaps in content previews'} across the evaluated sections of ${host}. Content organization demonstrates ${avgWords>=400?'substantial depth per section':'opportunities for content expansion'} with ${avgLinks} average internal connections per area.`,
+    
+    Copilot: `Accessibility and crawling evaluation of ${host} reveals ${properH1===total && httpsPages===total?'strong foundational signals':'areas requiring optimization attention'}. The current ${avgWords}-word content average ${avgWords>=600?'exceeds recommended thresholds':'approaches minimum depth requirements'} for effective indexing.`,
+    
+    Perplexity: `Information architecture analysis shows ${schemaPages>=total*0.6?'adequate structured data implementation':'limited semantic markup presence'} throughout ${host}. Cross-referencing patterns with ${avgLinks} average internal links per section ${avgLinks>=6?'create strong topical clusters':'suggest opportunities for enhanced content connectivity'}.`
+  };
+
+  if (mode === 'full') {
+    // For full mode, add second paragraphs
+    insights.ChatGPT += `\n\nDeeper content analysis reveals patterns in user experience signals and engagement indicators. The current implementation shows potential for optimization in areas where content depth intersects with navigational clarity.`;
+    
+    insights.Claude += `\n\nAdvanced crawling assessment indicates opportunities for enhanced semantic relationships between content sections. The technical foundation supports improved AI understanding through strategic markup expansion.`;
+    
+    insights.Gemini += `\n\nComprehensive structure evaluation suggests potential improvements in content clustering and internal link distribution. The existing framework provides a solid foundation for enhanced topical authority development.`;
+    
+    insights.Copilot += `\n\nExtended technical analysis reveals opportunities for improved content discoverability and indexing efficiency. The current structure supports optimization initiatives focused on semantic clarity and accessibility enhancement.`;
+    
+    insights.Perplexity += `\n\nDetailed information architecture review identifies potential enhancements in cross-content referencing and topic clustering. The existing foundation enables strategic improvements in content relationship mapping.`;
+  }
+
+  return ENGINES.map(engine => ({
+    engine,
+    description: insights[engine]
+  }));
+}
+
+// ---- crawl digest ----
+// small enough to sit in a prompt for a 300-page crawl; URLs are kept so insights can point at pages
+export function buildDigest({ host, pages, pillars=null, score=null, schema=null, access=null, freshness=null, structure=null, integrity=null, indexability=null }){
+  const total = pages.length;
+  const urls = (list)=> list.slice(0,3).map(p=>p.url);
+  const rendering = summarizeRendering(pages);
+  const mismatched = pages.filter(p=>p.headings?.titleMatch != null && p.headings.titleMatch < TITLE_MATCH);
+  const samples = [...pages].sort((a,b)=> (a.level||0)-(b.level||0) || b.wordCount-a.wordCount).slice(0, SAMPLE_PAGES);
+  return {
+    host,
+    pagesCrawled: total,
+    score,
+    pillars,
+    content: {
+      avgWords: avgOf(pages, 'wordCount'),
+      thinPages: { count: pages.filter(p=>p.wordCount<300).length, examples: urls(pages.filter(p=>p.wordCount<300)) },
+      metaDescriptionCoveragePct: pct(pages.filter(p=>p.metaDesc.length>0).length, total),
+      httpsCoveragePct: pct(pages.filter(p=>p.hasSSL).length, total),
+      avgInternalLinks: avgOf(pages, 'internalLinkCount'),
+      altTextCoveragePct: pct(pages.reduce((s,p)=>s+p.imageAltCount,0), pages.reduce((s,p)=>s+p.imageCount,0))
+    },
+    headings: {
+      singleH1Pages: pages.filter(p=>p.h1Count===1).length,
+      missingH1: { count: pages.filter(p=>p.h1Count===0).length, examples: urls(pages.filter(p=>p.h1Count===0)) },
+      multipleH1: { count: pages.filter(p=>p.h1Count>1).length, examples: pages.filter(p=>p.h1Count>1).slice(0,3).map(p=>({ url: p.url, h1: p.h1Text })) },
+      skippedLevels: { count: pages.filter(p=>p.headings?.skipped).length, examples: urls(pages.filter(p=>p.headings?.skipped)) },
+      emptyOrStylingHeadings: pages.filter(p=>p.headings?.empty || p.headings?.styling).length,
+      h1TitleMismatch: { count: mismatched.length, examples: mismatched.slice(0,3).map(p=>({ url: p.url, h1: p.headings.h1, title: p.title })) }
+    },
+    answerStructure: structure && {
+      pagesWithListsTablesOrQAPct: Math.round(structure.formatsShare*100),
+      pagesWithQuestionHeadingsPct: Math.round(structure.questionShare*100),
+      faqPages: structure.faqPages,
+      sectionsAnsweringFirstPct: structure.answerFirstShare === null ? null : Math.round(structure.answerFirstShare*100),
+      longParagraphPct: Math.round(structure.longParagraphShare*100),
+      readingEase: structure.readability
+    },
+    schema: schema && {
+      coveragePct: Math.round(schema.coverage*100),
+      present: schema.present,
+      absent: schema.absent,
+      gaps: schema.gaps.slice(0,5).map(g=>`${g.template} pages lack ${g.type}`),
+      invalidJsonBlocks: schema.invalidJson.length,
+      entitiesMissingProperties: schema.missingProps.length
+    },
+    aiAccess: access && {
+      blockedByRobots: access.robotsBlocked,
+      refusedAtEdge: access.fetchBlocked,
+      llmsTxt: access.llmsTxt.present,
+      noai: !!(access.directives.noai || access.directives.noimageai)
+    },
+    javascript: rendering && {
+      visibleWithoutJsPct: rendering.score,
+      framework: rendering.framework,
+      emptyShellPages: { count: rendering.shells, examples: urls(pages.filter(p=>p.rendering?.shell)) },
+      contentOnlyInScripts: { count: rendering.jsOnlyPages, examples: urls(pages.filter(p=>p.rendering?.jsOnlyChars > 0)) }
+    },
+    integrity: integrity && {
+      urlsFetched: integrity.checked,
+      brokenInternalLinks: { count: integrity.brokenCount, examples: integrity.broken.slice(0,3).map(b=>({ url: b.url, status: b.status, linkedFrom: b.sources[0] || null })) },
+      redirectChains: integrity.chains.length,
+      redirectLoops: integrity.loops.length,
+      soft404: { missingUrlAnswers: integrity.softNotFound.probe?.status ?? null, notFoundPagesServed200: integrity.softNotFound.pages.length },
+      avgResponseMs: integrity.avgMs
+    },
+    indexability: indexability && {
+      noindexPages: { count: indexability.noindexCount, examples: indexability.noindex.slice(0,3).map(x=>x.url) },
+      canonicalCoveragePct: pct(indexability.canonical.present, indexability.total),
+      canonicalProblems: { count: indexability.canonical.issues.length + indexability.canonical.chains.length, examples: [...indexability.canonical.issues, ...indexability.canonical.chains].slice(0,3).map(x=>({ url: x.url, problem: x.problem })) },
+      conflictingDirectives: indexability.conflicts.length,
+      hreflangPages: indexability.hreflang.pages,
+      hreflangProblems: { count: indexability.hreflang.issues.length, examples: indexability.hreflang.issues.slice(0,3).map(x=>({ url: x.url, problem: x.problem })) }
+    },
+    freshness: freshness && {
+      datedPages: freshness.dated,
+      updatedLastYear: freshness.recent,
+      medianAgeDays: freshness.medianAgeDays,
+      feedNewestItemDays: freshness.feed ? freshness.feed.ageDays : null,
+      copyrightYear: freshness.copyrightYear
+    },
+    samples: samples.map(p=>({ url: p.url, title: p.title, h1: p.h1Text[0] || '', words: p.wordCount, excerpt: p.excerpt || '' }))
+  };
+}
+
+// ---- grounded (LLM) ----
+const INSIGHT_SCHEMA = {
+  type: 'object',
+  required: ['insights'],
+  properties: {
+    insights: { type: 'array', minItems: ENGINES.length, items: {
+      type: 'object',
+      required: ['engine', 'text', 'evidence'],
+      properties: {
+        engine: { type: 'string', enum: ENGINES },
+        text: { type: 'string', minLength: 40 },
+        evidence: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } }
+      }
+    } }
+  }
+};
+
+const promptFor = (digest, mode)=> `You are assessing how AI answer engines (${ENGINES.join(', ')}) will read and cite ${digest.host}.
+Below is a digest of our crawl of ${digest.pagesCrawled} pages, as JSON.
+
+Write one insight per engine, in this order: ${ENGINES.join(', ')}.
+- Ground every insight in the digest: cite at least two specific facts (numbers, URLs, schema types, bot names, page titles) and say what they mean for that engine in particular.
+- Each engine gets a different angle; do not repeat the same facts or phrasing across engines.
+- Length: ${mode === 'full' ? 'two short paragraphs separated by a blank line, 4-6 sentences in total' : '2-3 sentences'}. Plain text, no markdown.
+- Never invent data that is not in the digest. If something was not measured, do not mention it.
+- In "evidence", list the digest facts you relied on, each as a short phrase (e.g. "schema coverage 40%", "GPTBot blocked by robots.txt").
+
+Return JSON only: {"insights":[{"engine":"ChatGPT","text":"...","evidence":["..."]}]}
+
+Digest:
+${JSON.stringify(digest)}`;
+
+// always resolves: templates stand in for any engine the model skipped, or for all of them on failure
+export async function generateInsights(input, { mode='analyze', llm=null }={}){
+  const fallback = templateInsights(input.pages, input.host, mode).map(x=>({ ...x, source: 'template' }));
+  if (!llm || !input.pages?.length) return fallback;
+  try{
+    const { data, usage } = await generateJson(llm, { prompt: promptFor(buildDigest(input), mode), schema: INSIGHT_SCHEMA, temperature: 0.4 });
+    console.log(usageLine(`insights ${input.host}`, usage));
+    return ENGINES.map((engine, i)=>{
+      const x = data.insights.find(d=>d.engine===engine);
+      return x ? { engine, description: x.text.trim(), evidence: x.evidence, source: 'llm' } : fallback[i];
+    });
+  }catch(e){
+    console.error(`Insights for ${input.host} fell back to templates:`, e.message);
+    return fallback;
+  }
+}
@@ -0,0 +1,231 @@
+// lib/integrity.js — Access Integrity: what happened to every URL the crawl touched
+// - tracedGet() follows redirects itself, one safeHttp request per hop (so each hop is still SSRF-checked),
+//   and records status, final URL, the hops and response time; loops and over-long chains fail with that trace
+// - createIntegrityLog() collects traces, internal link sources and outbound links during a crawl (lib/site-crawler.js)
+// - auditIntegrity() adds a soft-404 probe (a made-up URL that should answer 404) and, when asked, HEAD checks
+//   of outbound links (CHECK_OUTBOUND_LINKS=1 in server.js), then rolls it all up for the report and the rules
+// - A soft 404 is a "not found" page served with 200, or a missing URL that redirects to a live page
+
+import crypto from 'crypto';
+import { safeHttp, MAX_REDIRECTS, blockedCause } from './net-guard.js';
+import { CRAWLER_UA, isAllowed } from './robots.js';
+
+export const LONG_CHAIN = 2;          // redirects in a row before a chain is reported
+export const SLOW_MS = 2000;
+export const OUTBOUND_LIMITS = {
+  analyze: { max: 50, budgetMs: 10000, concurrency: 4 },
+  full:    { max: 200, budgetMs: 30000, concurrency: 6 },
+};
+const MAX_LISTED = 50;                // per list in the summary; counts stay exact
+const MAX_OUTBOUND_URLS = 500;        // distinct outbound URLs remembered during a crawl
+const SOFT_404_MAX_WORDS = 300;
+const SOFT_404_RE = /\b(404|page not found|not found|no longer (exists|available)|does(n't| not) exist|can(no|')t be found|could not be found)\b/i;
+const HEAD_REFUSED = new Set([403, 405, 501]);   // servers that answer HEAD badly get a GET instead
+const DEAD_CODES = new Set(['ENOTFOUND', 'ECONNREFUSED', 'ERR_REDIRECT_LOOP', 'ERR_TOO_MANY_REDIRECTS']);
+
+// a streamed body we are not going to read still holds the socket
+const discard = (resp)=>{ if (typeof resp?.data?.destroy === 'function') resp.data.destroy(); };
+
+// resolves { resp, trace }; trace = { url, status, finalUrl, hops[{ url, status }], ms, error?, code? }
+// validateStatus judges the final response only; failures carry the trace on e.trace
+export async function tracedGet(url, { method='get', validateStatus=(s)=>s>=200 && s<300, ...config }={}){
+  const started = Date.now();
+  const hops = [];
+  let current = url;
+  try{
+    for (;;){
+      const resp = await safeHttp.request({ ...config, method, url: current, maxRedirects: 0, validateStatus: ()=>true });
+      const location = resp.headers?.location;
+      if (resp.status >= 300 && resp.status < 400 && resp.status !== 304 && location){
+        discard(resp);
+        hops.push({ url: current, status: resp.status });
+        const next = new URL(location, current).href;
+        if (next === current || hops.some(h=>h.url === next)) throw Object.assign(new Error(`Redirect loop at ${next}`), { code: 'ERR_REDIRECT_LOOP' });
+        if (hops.length >= MAX_REDIRECTS) throw Object.assign(new Error(`More than ${MAX_REDIRECTS} redirects`), { code: 'ERR_TOO_MANY_REDIRECTS' });
+        current = next;
+        continue;
+      }
+      const trace = { url, status: resp.status, finalUrl: current, hops, ms: Date.now() - started };
+      if (!validateStatus(resp.status)){
+        discard(resp);
+        throw Object.assign(new Error(`Request failed with status code ${resp.status}`), { trace, response: resp });
+      }
+      return { resp, trace };
+    }
+  }catch(e){
+    if (!e.trace) e.trace = { url, status: null, finalUrl: current, hops, ms: Date.now() - started, error: e.message, code: blockedCause(e)?.code || e.code || null };
+    throw e;
+  }
+}
+
+// ---- collection during the crawl ----
+export function createIntegrityLog(){
+  const fetches = new Map();   // url -> trace
+  const sources = new Map();   // internal url -> Set of crawled pages linking to it
+  const outbound = new Map();  // external url -> Set of crawled pages linking to it
+  const add = (m, to, from)=>{ if (!m.has(to)) m.set(to, new Set()); m.get(to).add(from); };
+  return {
+    fetches, sources, outbound,
+    fetched: (trace)=>{ if (trace) fetches.set(trace.url, trace); },
+    linked(from, internal=[], external=[]){
+      for (const to of internal) if (to !== from) add(sources, to, from);
+      for (const to of external) if (outbound.has(to) || outbound.size < MAX_OUTBOUND_URLS) add(outbound, to, from);
+    }
+  };
+}
+
+// ---- checks after the crawl ----
+// a URL that cannot exist; a healthy site answers 404 or 410
+async function probeMissing(startUrl, { robots, timeout, signal }){
+  const url = new URL(`/sniperank-missing-${crypto.randomBytes(6).toString('hex')}`, startUrl).href;
+  if (robots && !isAllowed(robots, url, CRAWLER_UA)) return null;
+  try{
+    const { resp, trace } = await tracedGet(url, { timeout, signal: signal || undefined, responseType: 'stream', headers: { 'User-Agent': CRAWLER_UA }, validateStatus: ()=>true });
+    discard(resp);
+    return { url, status: trace.status, finalUrl: trace.finalUrl, redirected: trace.hops.length > 0, soft: trace.status >= 200 && trace.status < 300 };
+  }catch(e){
+    return e.code === 'ERR_CANCELED' ? null : { url, status: null, error: e.message, soft: false };
+  }
+}
+
+async function checkLink(url, { timeout, signal }){
+  const opts = { timeout, signal: signal || undefined, headers: { 'User-Agent': CRAWLER_UA }, validateStatus: ()=>true };
+  try{
+    const head = await tracedGet(url, { ...opts, method: 'head' });
+    if (!HEAD_REFUSED.has(head.trace.status)) return head.trace;
+    const get = await tracedGet(url, { ...opts, responseType: 'stream' });
+    discard(get.resp);
+    return get.trace;
+  }catch(e){
+    return e.trace;
+  }
+}
+
+// a pool over [url, Set of linking pages] entries, first max of them; nothing new starts after the budget
+export async function checkUrls(entries, { max, budgetMs, concurrency }, { timeout, signal }){
+  const deadline = Date.now() + budgetMs;
+  const queue = entries.slice(0, max);
+  const results = [];
+  const worker = async ()=>{
+    while (queue.length && Date.now() < deadline && !signal?.aborted){
+      const [url, from] = queue.shift();
+      const trace = await checkLink(url, { timeout: Math.max(1000, Math.min(timeout, deadline - Date.now())), signal });
+      if (trace) results.push({ trace, from });
+    }
+  };
+  await Promise.all(Array.from({ length: concurrency }, worker));
+  return results;
+}
+
+const isBroken = (t)=> t.status >= 400 || DEAD_CODES.has(t.code);
+// 401/403/429 from someone else's site is usually bot protection, not a dead link
+const isDeadOutbound = (t)=> t.status === 404 || t.status === 410 || t.status >= 500 || DEAD_CODES.has(t.code);
+const linkedFrom = (set)=> set ? [...set] : [];
+const slimTrace = ({ url, status, finalUrl, hops, ms, error })=>
+  ({ url, status, ...(finalUrl !== url ? { finalUrl } : {}), hops: hops.length, ms, ...(error ? { error } : {}) });
+
+// log: createIntegrityLog() after the crawl; outbound: OUTBOUND_LIMITS[profile] to HEAD-check links, or null
+export async function auditIntegrity(log, pages, { startUrl, robots=null, timeout=5000, signal=null, outbound=null }={}){
+  const traces = [...log.fetches.values()].filter(t=>t.code !== 'ERR_CANCELED');
+  // a 304 is a page re-validated against the crawl cache: as healthy as a 200, not a redirect
+  const statuses = { '2xx': 0, revalidated: 0, '3xx': 0, '4xx': 0, '5xx': 0, failed: 0 };
+  for (const t of traces){
+    const bucket = !t.status ? 'failed' : t.status === 304 ? 'revalidated' : `${String(t.status)[0]}xx`;
+    statuses[bucket] = (statuses[bucket] || 0) + 1;
+  }
+  const withSources = (t)=>({ url: t.url, status: t.status, ...(t.error ? { error: t.error } : {}), sources: linkedFrom(log.sources.get(t.url)).slice(0, 10), linkedFrom: log.sources.get(t.url)?.size || 0 });
+
+  const broken = traces.filter(isBroken).sort((a,b)=>(log.sources.get(b.url)?.size || 0) - (log.sources.get(a.url)?.size || 0)).map(withSources);
+  const chains = traces.filter(t=>t.hops.length >= LONG_CHAIN && !t.code).map(t=>({ url: t.url, finalUrl: t.finalUrl, status: t.status, hops: t.hops }));
+  const loops = traces.filter(t=>t.code === 'ERR_REDIRECT_LOOP' || t.code === 'ERR_TOO_MANY_REDIRECTS').map(t=>({ url: t.url, hops: t.hops, error: t.error }));
+  const unreachable = traces.filter(t=>!t.status && !DEAD_CODES.has(t.code)).map(t=>({ url: t.url, error: t.error }));
+  const timed = traces.filter(t=>t.status);
+
+  const softPages = pages
+    .filter(p=>p.wordCount < SOFT_404_MAX_WORDS && (SOFT_404_RE.test(p.title) || SOFT_404_RE.test(p.h1Text?.[0] || '')))
+    .map(p=>({ url: p.url, title: p.title, sources: linkedFrom(log.sources.get(p.url)).slice(0, 10) }));
+  const probe = startUrl ? await probeMissing(startUrl, { robots, timeout, signal }) : null;
+
+  let outboundSummary = null;
+  if (outbound && log.outbound.size){
+    // most-linked first
+    const checked = await checkUrls([...log.outbound].sort((a,b)=>b[1].size - a[1].size), outbound, { timeout, signal });
+    outboundSummary = {
+      found: log.outbound.size,
+      checked: checked.length,
+      broken: checked.filter(c=>isDeadOutbound(c.trace)).slice(0, MAX_LISTED)
+        .map(c=>({ url: c.trace.url, status: c.trace.status, ...(c.trace.error ? { error: c.trace.error } : {}), sources: linkedFrom(c.from).slice(0, 10), linkedFrom: c.from.size }))
+    };
+  }
+
+  return {
+    checked: traces.length,
+    statuses,
+    redirected: traces.filter(t=>t.hops.length).length,
+    avgMs: timed.length ? Math.round(timed.reduce((s,t)=>s+t.ms, 0) / timed.length) : 0,
+    slow: timed.filter(t=>t.ms >= SLOW_MS).sort((a,b)=>b.ms-a.ms).slice(0, 5).map(t=>({ url: t.url, ms: t.ms })),
+    broken: broken.slice(0, MAX_LISTED),
+    brokenCount: broken.length,
+    chains: chains.slice(0, MAX_LISTED),
+    loops: loops.slice(0, MAX_LISTED),
+    unreachable: unreachable.slice(0, MAX_LISTED),
+    softNotFound: { probe, pages: softPages.slice(0, MAX_LISTED) },
+    outbound: outboundSummary,
+    // every URL the crawl touched, in the order it was fetched
+    fetches: traces.map(slimTrace)
+  };
+}
+
+// ---- report rows ----
+const sourceText = (x)=> x.linkedFrom
+  ? `linked from ${x.sources.slice(0,3).join(', ')}${x.linkedFrom > 3 ? ` and ${x.linkedFrom-3} more` : ''}`
+  : 'not linked from a crawled page (sitemap or start URL)';
+const hopList = (hops)=> hops.map(h=>`${h.status} ${h.url}`).join(', then ');
+// evidence lines shared by the report section and the findings in lib/rules.js
+export const brokenEvidence = (b)=> `${b.status || b.error}; ${sourceText(b)}`;
+export const chainEvidence = (c)=> `${c.hops.length} redirects: ${hopList(c.hops)}, ends at ${c.finalUrl} (${c.status})`;
+export const loopEvidence = (l)=> `${l.error}: ${hopList(l.hops)}`;
+export const softEvidence = (p)=> `200 with title "${p.title}"${p.sources.length ? `; linked from ${p.sources.slice(0,3).join(', ')}` : ''}`;
+export const probeEvidence = (probe)=> `${probe.status}${probe.redirected ? ` via redirect to ${probe.finalUrl}` : ''}`;
+export const softProbeBroken = (i)=> !!i?.softNotFound?.probe?.soft;
+export const softCount = (i)=> (i?.softNotFound?.pages.length || 0) + (softProbeBroken(i) ? 1 : 0);
+
+// reports saved before 304s had their own bucket counted them under 3xx
+const okCount = (i)=> i.statuses['2xx'] + (i.statuses.revalidated || 0);
+export const integritySummary = (i)=>
+  `${i.checked} URLs fetched: ${okCount(i)} OK${i.statuses.revalidated ? ` (${i.statuses.revalidated} unchanged since the last crawl)` : ''}, ${i.redirected} redirected, ${i.brokenCount} broken${i.unreachable.length ? `, ${i.unreachable.length} unreachable` : ''}. Average response ${i.avgMs} ms.`;
+
+// { label, text, items[{ url, evidence }] } for the Access Integrity section (server.js report HTML, lib/export.js)
+export function integrityRows(i){
+  if (!i) return [];
+  const probe = i.softNotFound.probe;
+  const rows = [
+    { label: 'Broken internal links',
+      text: i.brokenCount ? `${i.brokenCount} URL${i.brokenCount === 1 ? '' : 's'} answered with an error.` : 'None found.',
+      items: i.broken.map(b=>({ url: b.url, evidence: brokenEvidence(b) })) },
+    { label: 'Redirect chains',
+      text: i.chains.length + i.loops.length ? `${i.chains.length} chain${i.chains.length === 1 ? '' : 's'} of ${LONG_CHAIN}+ redirects${i.loops.length ? `, ${i.loops.length} loop${i.loops.length === 1 ? '' : 's'}` : ''}.` : 'None found.',
+      items: [
+        ...i.loops.map(l=>({ url: l.url, evidence: loopEvidence(l) })),
+        ...i.chains.map(c=>({ url: c.url, evidence: chainEvidence(c) }))
+      ] },
+    { label: 'Soft 404s',
+      text: [
+        !probe ? 'Missing-page probe not run.'
+          : probe.soft ? `A missing URL answered ${probe.status}${probe.redirected ? ` after redirecting to ${probe.finalUrl}` : ''} instead of 404.`
+          : probe.status ? `Missing pages answer ${probe.status}.` : 'Missing-page probe failed.',
+        i.softNotFound.pages.length ? `${i.softNotFound.pages.length} crawled page${i.softNotFound.pages.length === 1 ? '' : 's'} read as "not found" but returned 200.` : ''
+      ].filter(Boolean).join(' '),
+      items: [
+        ...(probe?.soft ? [{ url: probe.url, evidence: probeEvidence(probe) }] : []),
+        ...i.softNotFound.pages.map(p=>({ url: p.url, evidence: softEvidence(p) }))
+      ] }
+  ];
+  if (i.outbound) rows.push({ label: 'Outbound links',
+    text: `${i.outbound.checked} of ${i.outbound.found} checked; ${i.outbound.broken.length} broken.`,
+    items: i.outbound.broken.map(b=>({ url: b.url, evidence: brokenEvidence(b) })) });
+  if (i.slow.length) rows.push({ label: 'Slow responses',
+    text: `${i.slow.length} URL${i.slow.length === 1 ? '' : 's'} took ${SLOW_MS / 1000}s or longer.`,
+    items: i.slow.map(s=>({ url: s.url, evidence: `${s.ms} ms` })) });
+  return rows;
+}
@@ -0,0 +1,143 @@
+// lib/jobs.js — in-process analysis job queue with local persistence
+// - Bounded concurrency (JOB_CONCURRENCY, default 1); jobs run FIFO
+// - Queue state is written to DATA_DIR/jobs.json on every status change; on restart, queued and
+//   interrupted (running) jobs are queued again from scratch, unless a job has already been started
+//   MAX_ATTEMPTS times (it is probably what keeps taking the process down): that one is marked failed
+// - Enqueues wait for restore() to finish, so a new job can never overwrite the saved queue
+// - Cancellation aborts a running job through its AbortSignal; queued jobs are simply dropped
+// - Finished jobs are kept for JOB_TTL_HOURS (default 24) so clients can still collect results
+
+import path from 'path';
+import crypto from 'crypto';
+import { DATA_DIR, readJson, writeJsonAtomic } from './store.js';
+import { envInt } from './env.js';
+
+const FINISHED = new Set(['done', 'failed', 'cancelled']);
+export const MAX_ATTEMPTS = 3;
+const JOB_ID_RE = /^job-[a-z0-9]+-[a-f0-9]{6}$/;
+
+export const isJobId = (id)=> JOB_ID_RE.test(String(id||''));
+
+// run(job, { signal, onProgress }) does the work and resolves with the job result
+export function createJobQueue({ run, concurrency=envInt('JOB_CONCURRENCY', 1), file=path.join(DATA_DIR, 'jobs.json'), ttlMs=envInt('JOB_TTL_HOURS', 24)*3600*1000 }={}){
+  const jobs = new Map();
+  const pending = [];
+  const controllers = new Map();
+  let active = 0;
+  let saving = Promise.resolve();
+  let restoring = null;
+
+  const publicView = (j)=> j && ({ ...j });
+
+  // serialized so overlapping status changes never interleave writes
+  const persist = ()=>{
+    saving = saving.then(()=>writeJsonAtomic(file, [...jobs.values()])).catch(e=>console.error('Job store write failed:', e.message));
+    return saving;
+  };
+
+  const prune = ()=>{
+    const cutoff = Date.now() - ttlMs;
+    for (const [id, j] of jobs) if (FINISHED.has(j.status) && Date.parse(j.finishedAt) < cutoff) jobs.delete(id);
+  };
+
+  const update = (job, patch)=>{
+    Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+    return persist();
+  };
+
+  async function execute(job){
+    const ac = new AbortController();
+    controllers.set(job.id, ac);
+    await update(job, { status: 'running', startedAt: new Date().toISOString(), attempts: (job.attempts||0) + 1 });
+    try{
+      // progress is memory-only; it changes too often to be worth a disk write
+      const result = await run(job, { signal: ac.signal, onProgress: (p)=>{ job.progress = p; } });
+      if (ac.signal.aborted) return;
+      await update(job, { status: 'done', result, finishedAt: new Date().toISOString() });
+    }catch(e){
+      if (ac.signal.aborted) return;
+      await update(job, { status: 'failed', error: e.message, finishedAt: new Date().toISOString() });
+    }finally{
+      controllers.delete(job.id);
+    }
+  }
+
+  function pump(){
+    while (active < concurrency && pending.length){
+      const job = jobs.get(pending.shift());
+      if (!job || job.status !== 'queued') continue;
+      active++;
+      execute(job).finally(()=>{ active--; pump(); });
+    }
+  }
+
+  return {
+    // reload persisted state; anything not finished goes back in line. Resolves with the number resumed
+    restore(){
+      restoring ||= (async ()=>{
+        const saved = await readJson(file, []);
+        const now = new Date().toISOString();
+        for (const j of saved){
+          if (!isJobId(j.id)) continue;
+          if (!FINISHED.has(j.status) && (j.attempts || 0) >= MAX_ATTEMPTS){
+            Object.assign(j, { status: 'failed', error: 'interrupted too many times', progress: null, finishedAt: now, updatedAt: now });
+          }else if (!FINISHED.has(j.status)){
+            j.status = 'queued';
+            j.progress = null;
+            pending.push(j.id);
+          }
+          jobs.set(j.id, j);
+        }
+        prune();
+        await persist();
+        const resumed = pending.length;
+        pump();
+        return resumed;
+      })();
+      return restoring;
+    },
+
+    async enqueue(params){
+      // a store that could not be read stays untouched: writing now would drop every saved job
+      if (restoring) await restoring;
+      prune();
+      const now = new Date().toISOString();
+      const job = {
+        id: `job-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`,
+        status: 'queued',
+        params,
+        createdAt: now,
+        updatedAt: now,
+        progress: null,
+        result: null,
+        error: null
+      };
+      jobs.set(job.id, job);
+      pending.push(job.id);
+      await persist();
+      pump();
+      return publicView(job);
+    },
+
+    get(id){
+      const job = jobs.get(id);
+      if (!job) return null;
+      return { ...publicView(job), position: job.status === 'queued' ? pending.indexOf(id) + 1 : 0 };
+    },
+
+    // false when the job is unknown or already finished
+    async cancel(id){
+      const job = jobs.get(id);
+      if (!job || FINISHED.has(job.status)) return false;
+      const idx = pending.indexOf(id);
+      if (idx !== -1) pending.splice(idx, 1);
+      controllers.get(id)?.abort();
+      await update(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+      return true;
+    },
+
+    stats(){
+      return { active, queued: pending.length, concurrency };
+    }
+  };
+}
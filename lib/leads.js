@@ -0,0 +1,89 @@
+// lib/leads.js — full-report requests captured from the analyze page
+// - DATA_DIR/leads.json holds every lead; writes are serialized and atomic (see lib/store.js)
+// - One lead per email + site: a repeat request updates the record and bumps `submissions`
+// - leadsToCsv() guards against spreadsheet formula injection, since the export is opened in Excel/Sheets
+
+import path from 'path';
+import crypto from 'crypto';
+import { DATA_DIR, writeJsonAtomic, readJson, normalizeHost } from './store.js';
+
+const LEADS_FILE = path.join(DATA_DIR, 'leads.json');
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const LIMITS = { name: 120, email: 254, phone: 40, company: 160, message: 2000, url: 2048 };
+export const LEAD_FIELDS = ['id', 'createdAt', 'updatedAt', 'submissions', 'name', 'email', 'phone', 'company', 'message', 'url', 'host', 'emailedAt'];
+
+const clean = (v, max)=> String(v ?? '').replace(/\s+/g, ' ').trim().slice(0, max);
+
+// { lead } when the submission is usable, { errors } otherwise
+export function validateLead(body={}){
+  const lead = {
+    name: clean(body.name, LIMITS.name),
+    email: clean(body.email, LIMITS.email).toLowerCase(),
+    phone: clean(body.phone, LIMITS.phone),
+    company: clean(body.company, LIMITS.company),
+    message: String(body.message ?? body.context ?? '').trim().slice(0, LIMITS.message),
+    url: clean(body.url, LIMITS.url)
+  };
+  const errors = [];
+  if (!lead.name) errors.push('name is required');
+  if (!EMAIL_RE.test(lead.email)) errors.push('a valid email is required');
+  if (lead.phone && !/^[+()\d\s.-]{7,}$/.test(lead.phone)) errors.push('phone may only contain digits, spaces and + ( ) . -');
+  try{
+    const u = new URL(lead.url);
+    if (!/^https?:$/.test(u.protocol)) throw 0;
+    lead.host = normalizeHost(u.hostname);
+  }catch{ errors.push('url must be an http(s) address'); }
+  return errors.length ? { errors } : { lead };
+}
+
+// every read-modify-write goes through one chain so concurrent submissions cannot drop each other
+let lock = Promise.resolve();
+const serialized = (fn)=>{ const next = lock.then(fn, fn); lock = next.catch(()=>{}); return next; };
+
+// resolves { lead, duplicate }
+export function saveLead(input){
+  return serialized(async ()=>{
+    const leads = await readJson(LEADS_FILE, []);
+    const now = new Date().toISOString();
+    const existing = leads.find(l=>l.email === input.email && l.host === input.host);
+    if (existing){
+      // keep what we had when the repeat leaves a field blank
+      for (const k of ['name', 'phone', 'company', 'message', 'url']) if (input[k]) existing[k] = input[k];
+      existing.updatedAt = now;
+      existing.submissions = (existing.submissions || 1) + 1;
+      await writeJsonAtomic(LEADS_FILE, leads);
+      return { lead: existing, duplicate: true };
+    }
+    const lead = { id: `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`, createdAt: now, updatedAt: now, submissions: 1, ...input, emailedAt: null };
+    leads.push(lead);
+    await writeJsonAtomic(LEADS_FILE, leads);
+    return { lead, duplicate: false };
+  });
+}
+
+export function markEmailed(id){
+  return serialized(async ()=>{
+    const leads = await readJson(LEADS_FILE, []);
+    const lead = leads.find(l=>l.id === id);
+    if (!lead) return null;
+    lead.emailedAt = new Date().toISOString();
+    await writeJsonAtomic(LEADS_FILE, leads);
+    return lead;
+  });
+}
+
+// newest first; since is an ISO date/time
+export async function listLeads({ since=null, limit=null }={}){
+  const leads = (await readJson(LEADS_FILE, [])).filter(l=>!since || l.updatedAt >= since);
+  leads.sort((a,b)=>b.updatedAt.localeCompare(a.updatedAt));
+  return limit ? leads.slice(0, limit) : leads;
+}
+
+const csvCell = (v)=>{
+  let s = String(v ?? '');
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export const leadsToCsv = (leads)=>
+  [LEAD_FIELDS, ...leads.map(l=>LEAD_FIELDS.map(k=>l[k]))].map(row=>row.map(csvCell).join(',')).join('\r\n') + '\r\n';
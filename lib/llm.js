@@ -0,0 +1,191 @@
+// lib/llm.js — one interface over the LLM back ends used by the api/ handlers
+// - LLM_PROVIDER picks openai | anthropic | openai-compatible | mock; without it, openai when
+//   OPENAI_API_KEY is set. Nothing falls back to the mock: offline runs ask for it with LLM_PROVIDER=mock
+// - Model: LLM_MODEL_<TASK> (e.g. LLM_MODEL_FULL) > LLM_MODEL > provider default; LLM_API_KEY and
+//   LLM_BASE_URL cover keys and self-hosted OpenAI-compatible endpoints (Ollama, vLLM, LM Studio ...)
+// - Providers only turn messages into { text, usage }; JSON extraction, schema checks and retry live here
+// - The mock is deterministic (same prompt -> same reply) and fabricates output from the schema;
+//   LLM_MOCK_FAIL_FIRST=n makes its first n replies too short, to exercise the retry path
+// - Every generateJson() call reports tokens in/out and an estimated USD cost (PRICES, LLM_PRICES overrides)
+
+import OpenAI from 'openai';
+import axios from 'axios';
+import crypto from 'crypto';
+
+export const PROVIDERS = ['openai', 'anthropic', 'openai-compatible', 'mock'];
+const DEFAULT_MODELS = { openai: 'gpt-4o-mini', anthropic: 'claude-3-5-haiku-latest', 'openai-compatible': 'llama3.1', mock: 'mock-1' };
+// what the handlers used before the model was configurable
+const OPENAI_TASK_MODELS = { friendly: 'gpt-3.5-turbo', full: 'gpt-4-turbo' };
+
+// USD per 1M tokens [input, output]; matched by longest prefix so dated snapshots resolve too
+const PRICES = {
+  'gpt-3.5-turbo': [0.5, 1.5],
+  'gpt-4-turbo': [10, 30],
+  'gpt-4o': [2.5, 10],
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4.1': [2, 8],
+  'gpt-4.1-mini': [0.4, 1.6],
+  'claude-3-5-haiku': [0.8, 4],
+  'claude-3-5-sonnet': [3, 15],
+  'claude-3-7-sonnet': [3, 15],
+  'claude-sonnet-4': [3, 15],
+  'mock': [0, 0],
+};
+
+const estimateTokens = (s)=> Math.ceil(String(s || '').length / 4);
+
+function priceFor(model){
+  let table = PRICES;
+  try{ table = { ...PRICES, ...JSON.parse(process.env.LLM_PRICES || '{}') }; }catch{}
+  const key = Object.keys(table).filter(k=>model.startsWith(k)).sort((a,b)=>b.length-a.length)[0];
+  return key ? table[key] : null;
+}
+
+// null when the model is not in the table (local models, new releases)
+export function costOf(model, { inputTokens=0, outputTokens=0 }={}){
+  const p = priceFor(model);
+  return p ? Number(((inputTokens*p[0] + outputTokens*p[1]) / 1e6).toFixed(6)) : null;
+}
+
+// ---- providers: (request) => { text, usage: { inputTokens, outputTokens } } ----
+function openaiProvider({ model, apiKey, baseURL, timeout, jsonMode }){
+  let client = null; // created on first use so a missing key fails the request, not the import
+  return async ({ messages, temperature, maxTokens, json })=>{
+    client ||= new OpenAI({ apiKey: apiKey || 'unused', baseURL, timeout });
+    const r = await client.chat.completions.create({
+      model, messages, temperature, max_tokens: maxTokens,
+      ...(json && jsonMode ? { response_format: { type: 'json_object' } } : {})
+    });
+    return { text: r.choices?.[0]?.message?.content || '', usage: { inputTokens: r.usage?.prompt_tokens || 0, outputTokens: r.usage?.completion_tokens || 0 } };
+  };
+}
+
+function anthropicProvider({ model, apiKey, baseURL, timeout }){
+  return async ({ messages, temperature, maxTokens })=>{
+    const system = messages.filter(m=>m.role==='system').map(m=>m.content).join('\n\n') || undefined;
+    const r = await axios.post(`${baseURL || 'https://api.anthropic.com'}/v1/messages`,
+      { model, system, max_tokens: maxTokens, temperature, messages: messages.filter(m=>m.role!=='system') },
+      { timeout, headers: { 'x-api-key': apiKey, 'anthropic-version': '2023-06-01', 'content-type': 'application/json' } });
+    const text = (r.data.content || []).filter(b=>b.type==='text').map(b=>b.text).join('');
+    return { text, usage: { inputTokens: r.data.usage?.input_tokens || 0, outputTokens: r.data.usage?.output_tokens || 0 } };
+  };
+}
+
+// fills a schema with placeholder values (enums cycle with the item index); short=true stops arrays one item below minItems
+function sample(schema, seed, short=false, label='item', i=0){
+  switch (schema.type){
+    case 'object':
+      return Object.fromEntries(Object.entries(schema.properties || {}).map(([k,s])=>[k, sample(s, seed, short, k, i)]));
+    case 'array': {
+      const min = schema.minItems ?? 3;
+      const n = short ? Math.max(0, min-1) : min;
+      return Array.from({ length: n }, (_, n)=>sample(schema.items || { type: 'string' }, seed, false, `${label} ${n+1}`, n));
+    }
+    case 'number': case 'integer': return schema.minimum ?? 0;
+    case 'boolean': return true;
+    default: return schema.enum ? schema.enum[i % schema.enum.length] : `Mock ${label} (${seed}).`.padEnd(schema.minLength || 0, '.');
+  }
+}
+
+function mockProvider({ failFirst=0 }){
+  let calls = 0;
+  return async ({ messages, schema })=>{
+    const prompt = messages.map(m=>m.content).join('\n');
+    const seed = crypto.createHash('sha1').update(prompt).digest('hex').slice(0, 8);
+    const text = schema ? JSON.stringify(sample(schema, seed, calls++ < failFirst)) : `Mock reply ${seed}.`;
+    return { text, usage: { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(text) } };
+  };
+}
+
+// an explicit LLM_PROVIDER or an OpenAI key; callers with a non-LLM fallback check this first
+export const llmConfigured = (env=process.env)=> !!(env.LLM_PROVIDER || env.OPENAI_API_KEY);
+
+// task names a handler (friendly, full ...) so each can be pointed at its own model
+export function createProvider({ task='', provider, model, apiKey, baseURL, timeout=60000 }={}, env=process.env){
+  const name = provider || env.LLM_PROVIDER || (env.OPENAI_API_KEY ? 'openai' : null);
+  if (!name) throw new Error('No LLM configured: set OPENAI_API_KEY or LLM_PROVIDER (mock for offline runs)');
+  if (!PROVIDERS.includes(name)) throw new Error(`LLM_PROVIDER must be one of ${PROVIDERS.join(', ')} (got "${name}")`);
+  const url = baseURL || env.LLM_BASE_URL;
+  if (name === 'openai-compatible' && !url) throw new Error('LLM_BASE_URL is required for the openai-compatible provider');
+  const m = model || env[`LLM_MODEL_${task.toUpperCase()}`] || env.LLM_MODEL || (name === 'openai' && OPENAI_TASK_MODELS[task]) || DEFAULT_MODELS[name];
+  const key = apiKey || env.LLM_API_KEY || (name === 'anthropic' ? env.ANTHROPIC_API_KEY : env.OPENAI_API_KEY);
+
+  const send = name === 'anthropic' ? anthropicProvider({ model: m, apiKey: key, baseURL: url, timeout })
+    : name === 'mock' ? mockProvider({ failFirst: parseInt(env.LLM_MOCK_FAIL_FIRST, 10) || 0 })
+    : openaiProvider({ model: m, apiKey: key, baseURL: url, timeout, jsonMode: name === 'openai' });
+
+  return {
+    name,
+    model: m,
+    // messages: [{ role: 'system'|'user'|'assistant', content }]; schema is only read by the mock
+    complete: ({ messages, temperature=0.7, maxTokens=4096, json=false, schema=null })=>
+      send({ messages, temperature, maxTokens, json, schema })
+  };
+}
+
+// ---- structured output ----
+// fenced ```json blocks first, then the outermost {...} span; undefined when nothing parses
+export function extractJson(text){
+  const s = String(text || '').trim();
+  const fenced = s.match(/```(?:json)?\s*([\s\S]*?)```/i)?.[1];
+  for (const c of [fenced, s].filter(Boolean)){
+    try{ return JSON.parse(c); }catch{}
+    const a = c.indexOf('{'), b = c.lastIndexOf('}');
+    if (a !== -1 && b > a) try{ return JSON.parse(c.slice(a, b+1)); }catch{}
+  }
+  return undefined;
+}
+
+const TYPE_CHECKS = {
+  object: (v)=> !!v && typeof v === 'object' && !Array.isArray(v),
+  array: Array.isArray,
+  string: (v)=> typeof v === 'string',
+  number: (v)=> typeof v === 'number' && Number.isFinite(v),
+  integer: Number.isInteger,
+  boolean: (v)=> typeof v === 'boolean',
+};
+
+// the JSON-schema subset the prompts need: type, required, properties, items, min/maxItems, minLength, enum
+export function validate(schema, value, path='$'){
+  if (schema.type && !TYPE_CHECKS[schema.type]?.(value)) return [`${path} should be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}`];
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+  if (schema.type === 'object'){
+    for (const k of schema.required || []) if (!(k in value)) errors.push(`${path}.${k} is missing`);
+    for (const [k,s] of Object.entries(schema.properties || {})) if (k in value) errors.push(...validate(s, value[k], `${path}.${k}`));
+  }
+  if (schema.type === 'array'){
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${path} has ${value.length} items; at least ${schema.minItems} are required`);
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${path} has ${value.length} items; at most ${schema.maxItems} are allowed`);
+    if (schema.items) value.forEach((v,i)=>errors.push(...validate(schema.items, v, `${path}[${i}]`)));
+  }
+  if (schema.type === 'string' && schema.minLength != null && value.trim().length < schema.minLength) errors.push(`${path} is too short`);
+  return errors;
+}
+
+// parse + validate; on failure the model sees its reply and the problems and gets `retries` more tries.
+// Resolves { data, raw, usage }; rejects with err.raw / err.errors / err.usage once attempts run out
+export async function generateJson(llm, { prompt, system, schema, retries=2, temperature=0.7, maxTokens=4096 }){
+  const messages = [...(system ? [{ role: 'system', content: system }] : []), { role: 'user', content: prompt }];
+  const usage = { provider: llm.name, model: llm.model, calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+  const priced = ()=> ({ ...usage, costUsd: costOf(llm.model, usage) });
+  let raw = '', errors = [];
+  for (let attempt = 0; attempt <= retries; attempt++){
+    const r = await llm.complete({ messages, temperature, maxTokens, json: true, schema });
+    usage.calls++;
+    usage.inputTokens += r.usage.inputTokens;
+    usage.outputTokens += r.usage.outputTokens;
+    raw = r.text;
+    const data = extractJson(raw);
+    errors = data === undefined ? ['the reply is not valid JSON'] : validate(schema, data);
+    if (!errors.length) return { data, raw, usage: priced() };
+    messages.push(
+      { role: 'assistant', content: raw || '(empty reply)' },
+      { role: 'user', content: `That reply does not match the required format:\n- ${errors.slice(0,10).join('\n- ')}\nReturn the complete, corrected JSON object only, with no commentary.` }
+    );
+  }
+  throw Object.assign(new Error(`${llm.name} returned invalid structured output after ${retries+1} attempts`), { raw, errors, usage: priced() });
+}
+
+export const usageLine = (label, u)=>
+  `LLM ${label}: ${u.provider}/${u.model} ${u.calls} call(s), ${u.inputTokens} in + ${u.outputTokens} out tokens${u.costUsd != null ? `, ~$${u.costUsd.toFixed(4)}` : ''}`;
@@ -0,0 +1,119 @@
+// lib/mailer.js — outbound email behind one send() interface
+// - MAIL_TRANSPORT picks smtp | sendgrid | file | console; without it, sendgrid when SENDGRID_API_KEY is
+//   set, smtp when SMTP_HOST is set, otherwise none: send() rejects, so nobody is told an email is coming
+// - file and console are explicit opt-ins for local development and never count as delivered (delivers: false)
+// - smtp: SMTP_HOST, SMTP_PORT (587), SMTP_USER, SMTP_PASS, SMTP_SECURE=1 for implicit TLS (port 465)
+// - sendgrid: SENDGRID_API_KEY against the v3 mail/send endpoint
+// - file: each message lands in DATA_DIR/outbox/ as JSON; console: logs the message id and subject only,
+//   never the recipient or the body
+// - MAIL_FROM is the sender; LEADS_NOTIFY (optional) receives a copy of every new lead
+
+import path from 'path';
+import crypto from 'crypto';
+import axios from 'axios';
+import nodemailer from 'nodemailer';
+import { DATA_DIR, writeJsonAtomic } from './store.js';
+
+export const TRANSPORTS = ['smtp', 'sendgrid', 'file', 'console'];
+const DEFAULT_FROM = 'SnipeRank <reports@quontora.com>';
+
+// "Name <a@b.c>" -> { name, email }
+const parseAddress = (s)=>{
+  const m = String(s).match(/^\s*(.*?)\s*<([^>]+)>\s*$/);
+  return m ? { name: m[1].replace(/^"|"$/g, '') || undefined, email: m[2] } : { email: String(s).trim() };
+};
+const messageId = ()=> `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+
+function smtpTransport(env){
+  if (!env.SMTP_HOST) throw new Error('SMTP_HOST is required for MAIL_TRANSPORT=smtp');
+  const transporter = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port: parseInt(env.SMTP_PORT, 10) || 587,
+    secure: env.SMTP_SECURE === '1',
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+  });
+  return async (msg)=>{
+    const info = await transporter.sendMail(msg);
+    return { id: info.messageId };
+  };
+}
+
+function sendgridTransport(env){
+  if (!env.SENDGRID_API_KEY) throw new Error('SENDGRID_API_KEY is required for MAIL_TRANSPORT=sendgrid');
+  return async ({ from, to, replyTo, subject, text, html })=>{
+    const r = await axios.post('https://api.sendgrid.com/v3/mail/send', {
+      personalizations: [{ to: [parseAddress(to)] }],
+      from: parseAddress(from),
+      ...(replyTo ? { reply_to: parseAddress(replyTo) } : {}),
+      subject,
+      content: [{ type: 'text/plain', value: text }, ...(html ? [{ type: 'text/html', value: html }] : [])]
+    }, { timeout: 15000, headers: { Authorization: `Bearer ${env.SENDGRID_API_KEY}` } });
+    return { id: r.headers['x-message-id'] || messageId() };
+  };
+}
+
+const fileTransport = ()=> async (msg)=>{
+  const id = messageId();
+  await writeJsonAtomic(path.join(DATA_DIR, 'outbox', `${id}.json`), { id, sentAt: new Date().toISOString(), ...msg });
+  return { id };
+};
+
+const consoleTransport = ()=> async (msg)=>{
+  const id = messageId();
+  console.log(`📧 [mail ${id}] ${msg.subject}`);
+  return { id };
+};
+
+const noTransport = ()=> async ()=>{
+  throw new Error('no mail transport configured (set MAIL_TRANSPORT, SENDGRID_API_KEY or SMTP_HOST)');
+};
+
+export function createMailer(env=process.env){
+  const name = env.MAIL_TRANSPORT || (env.SENDGRID_API_KEY ? 'sendgrid' : env.SMTP_HOST ? 'smtp' : 'none');
+  if (name !== 'none' && !TRANSPORTS.includes(name)) throw new Error(`MAIL_TRANSPORT must be one of ${TRANSPORTS.join(', ')} (got "${name}")`);
+  const deliver = name === 'smtp' ? smtpTransport(env) : name === 'sendgrid' ? sendgridTransport(env)
+    : name === 'file' ? fileTransport() : name === 'console' ? consoleTransport() : noTransport();
+  const from = env.MAIL_FROM || DEFAULT_FROM;
+  return {
+    name,
+    // whether a sent message actually reaches the recipient's inbox
+    delivers: name === 'smtp' || name === 'sendgrid',
+    notify: env.LEADS_NOTIFY || null,
+    // { to, subject, text, html?, replyTo? } -> { id }
+    send: (msg)=> deliver({ from, ...msg })
+  };
+}
+
+// ---- messages ----
+const esc = (s)=> String(s ?? '').replace(/[&<>"']/g, c=>({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
+
+export function fullReportEmail({ lead, link }){
+  const first = lead.name.split(' ')[0];
+  const subject = `Your SnipeRank full report for ${lead.host}`;
+  const text = `Hi ${first},
+
+Your full AI SEO report for ${lead.url} is ready:
+${link}
+
+The full crawl covers up to 300 pages, so the report can take a few minutes to build when you open it.
+
+Questions, or want to walk through it together? Reply to this email or book a free consultation at https://calendly.com/quontora.
+
+— The SnipeRank team at quontora`;
+  const html = `<p>Hi ${esc(first)},</p>
+<p>Your full AI SEO report for <strong>${esc(lead.url)}</strong> is ready:</p>
+<p><a href="${esc(link)}" style="display:inline-block;background:#dc3545;color:#fff;padding:12px 24px;border-radius:999px;text-decoration:none;font-weight:700">Open my full report</a></p>
+<p style="color:#666">The full crawl covers up to 300 pages, so the report can take a few minutes to build when you open it.</p>
+<p>Questions, or want to walk through it together? Reply to this email or <a href="https://calendly.com/quontora">book a free consultation</a>.</p>
+<p>— The SnipeRank team at quontora</p>`;
+  return { subject, text, html };
+}
+
+export function leadNotificationEmail({ lead, duplicate }){
+  const lines = ['name', 'email', 'phone', 'company', 'url', 'message'].filter(k=>lead[k]).map(k=>`${k}: ${lead[k]}`);
+  return {
+    subject: `${duplicate ? 'Repeat' : 'New'} full-report lead: ${lead.name} (${lead.host})`,
+    text: `${lines.join('\n')}\n\nsubmissions: ${lead.submissions}`,
+    replyTo: lead.email
+  };
+}
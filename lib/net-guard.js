@@ -0,0 +1,123 @@
+// lib/net-guard.js — outbound fetches for visitor-supplied URLs (SSRF protection)
+// - safeHttp is an axios instance whose agents resolve DNS themselves and refuse private, loopback,
+//   link-local, CGNAT, multicast and other reserved addresses; every connection (so every redirect hop)
+//   goes through that lookup, which also closes the DNS-rebinding gap between check and connect
+// - Literal IPs skip DNS, so they are checked before the first request and again on each redirect
+// - Responses are capped at MAX_FETCH_BYTES (default 5 MB); redirects at 5
+// - ALLOW_PRIVATE_TARGETS=1 turns the address check off for local development only
+
+import dns from 'dns';
+import net from 'net';
+import http from 'http';
+import https from 'https';
+import axios from 'axios';
+import { envInt } from './env.js';
+
+export const BLOCKED_CODE = 'ERR_BLOCKED_TARGET';
+export const MAX_FETCH_BYTES = envInt('MAX_FETCH_BYTES', 5 * 1024 * 1024);
+export const MAX_REDIRECTS = 5;
+const allowPrivate = ()=> process.env.ALLOW_PRIVATE_TARGETS === '1';
+
+const RESERVED = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([a, p])=>RESERVED.addSubnet(a, p, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['100::', 64], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([a, p])=>RESERVED.addSubnet(a, p, 'ipv6'));
+
+// IPv4 smuggled inside IPv6 (::ffff:10.0.0.1, ::10.0.0.1, 64:ff9b::a00:1) is judged as the IPv4 it carries
+function embeddedV4(ip){
+  const m = ip.toLowerCase().match(/^(?:::ffff:(?:0:)?|::|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/);
+  if (m) return m[1];
+  const h = ip.toLowerCase().match(/^(?:::ffff:(?:0:)?|64:ff9b::)([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (!h) return null;
+  const n = (parseInt(h[1], 16) << 16 >>> 0) + parseInt(h[2], 16);
+  return [n >>> 24, (n >>> 16) & 255, (n >>> 8) & 255, n & 255].join('.');
+}
+
+export function isReservedAddress(ip){
+  const family = net.isIP(ip);
+  if (!family) return false;
+  if (family === 6){
+    const v4 = embeddedV4(ip);
+    if (v4) return RESERVED.check(v4, 'ipv4');
+  }
+  return RESERVED.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+const blocked = (host, ip)=> Object.assign(
+  new Error(ip === host ? `${host} is a private or reserved address` : `${host} resolves to a private or reserved address (${ip})`),
+  { code: BLOCKED_CODE }
+);
+
+// our own refusal, however deep axios / follow-redirects wrapped it; null for any other failure
+export function blockedCause(e){
+  for (let i = 0; e && i < 5; i++, e = e.cause) if (e.code === BLOCKED_CODE) return e;
+  return null;
+}
+// axios gives up on a body past maxContentLength with a plain ERR_BAD_RESPONSE
+export const isTooLargeError = (e)=> !!e && /maxContentLength/.test(e.message || '');
+
+// dns.lookup with the same signature, minus anything that lands on a reserved address
+export function guardedLookup(hostname, options, callback){
+  if (typeof options === 'function'){ callback = options; options = {}; }
+  if (typeof options === 'number') options = { family: options };
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses)=>{
+    if (err) return callback(err);
+    if (!allowPrivate()){
+      const bad = addresses.find(a=>isReservedAddress(a.address));
+      if (bad) return callback(blocked(hostname, bad.address));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const unbracket = (h)=> String(h || '').replace(/^\[|\]$/g, '');
+
+// follow-redirects hands us each hop before it connects; literal IPs never reach guardedLookup
+// (the hook reads `protocol` and `hostname` off the options it passes)
+export function checkRedirect(options){
+  if (!/^https?:$/.test(options.protocol || '')) throw Object.assign(new Error(`Redirect to unsupported protocol ${options.protocol}`), { code: BLOCKED_CODE });
+  const host = unbracket(options.hostname || options.host);
+  if (!allowPrivate() && isReservedAddress(host)) throw blocked(host, host);
+}
+
+export const safeHttp = axios.create({
+  httpAgent: new http.Agent({ lookup: guardedLookup, keepAlive: true }),
+  httpsAgent: new https.Agent({ lookup: guardedLookup, keepAlive: true }),
+  maxRedirects: MAX_REDIRECTS,
+  maxContentLength: MAX_FETCH_BYTES,
+  beforeRedirect: checkRedirect
+});
+// the first hop to a literal IP never reaches guardedLookup either
+safeHttp.interceptors.request.use((config)=>{
+  const u = new URL(config.url, config.baseURL);
+  checkRedirect({ protocol: u.protocol, hostname: u.hostname });
+  return config;
+});
+
+// a visitor-supplied target: null when it may be fetched, otherwise the reason (for a 400)
+export async function checkTarget(input){
+  let u;
+  try{ u = new URL(input); }catch{ return 'Invalid URL format'; }
+  if (!/^https?:$/.test(u.protocol)) return 'Only http and https URLs can be analyzed';
+  if (u.username || u.password) return 'URLs with embedded credentials cannot be analyzed';
+  if (allowPrivate()) return null;
+  const host = unbracket(u.hostname);
+  if (net.isIP(host)) return isReservedAddress(host) ? 'This address is on a private or reserved network and cannot be analyzed' : null;
+  if (/^(localhost|.*\.localhost|.*\.local|.*\.internal)$/i.test(host)) return 'Internal hostnames cannot be analyzed';
+  try{
+    const addresses = await dns.promises.lookup(host, { all: true });
+    if (addresses.some(a=>isReservedAddress(a.address))) return 'This host resolves to a private or reserved network and cannot be analyzed';
+  }catch{
+    return `Could not resolve ${host}`;
+  }
+  return null;
+}
+
+// text/html or application/xhtml+xml; a missing header is given the benefit of the doubt
+export const isHtmlType = (ct)=> !ct || /text\/html|application\/xhtml\+xml/i.test(String(ct));
@@ -0,0 +1,250 @@
+// lib/plan.js — prioritized 30-day action plan built from the Needs Attention findings
+// - Every rule in lib/rules.js that can fire as "needs" has a playbook entry: group (Technical, Content,
+//   Schema), difficulty (S/M/L), the scoring signals it moves, and the exact change to make
+// - Estimated gain = the points those signals are still missing in the score breakdown, split evenly
+//   between tasks that share a signal; reports without a breakdown fall back to severity
+// - Order is headline gain per day of effort; tasks are then packed into weeks 1-4. Same report in, same plan out
+// - rewritePlan() optionally lets an LLM reword titles and changes; ids, numbers and order never change
+
+import { generateJson, usageLine } from './llm.js';
+
+export const PLAN_GROUPS = ['Technical', 'Content', 'Schema'];
+const EFFORT_DAYS = { S: 1, M: 3, L: 5 };
+const SEVERITY_POINTS = { high: 3, medium: 2, low: 1, info: 0 };
+const SEVERITY_RANK = { high: 3, medium: 2, low: 1, info: 0 };
+const DAYS_PER_WEEK = 5;
+export const PLAN_GOAL = 10; // points the plan aims to add within 30 days
+
+const round1 = (n)=> Math.round(n*10)/10;
+
+// " on a, b, c and 4 more" from the finding's page evidence; nothing for site-wide findings
+const where = (f)=>{
+  const urls = (f.details?.pages || []).map(p=>p.url);
+  if (!urls.length) return '';
+  return ` on ${urls.slice(0,3).join(', ')}${urls.length > 3 ? ` and ${urls.length-3} more` : ''}`;
+};
+const evidence = (f)=> f.details?.evidence ? ` (${f.details.evidence})` : '';
+const distinctEvidence = (f, n=3)=> [...new Set((f.details?.pages || []).map(p=>p.evidence))].slice(0, n).join('; ');
+
+const PLAYBOOK = {
+  // ---- Technical ----
+  'ai-robots-blocked': { group: 'Technical', difficulty: 'S', signals: ['aiAgentsAllowed'],
+    change: (f)=> `In /robots.txt, remove the Disallow rules that apply to AI crawlers, or add a "User-agent: <bot>" group with "Allow: /"${evidence(f)}.` },
+  'ai-edge-blocked': { group: 'Technical', difficulty: 'M', signals: ['aiAgentsAllowed'],
+    change: (f)=> `Allowlist the AI crawler user agents in the CDN / WAF bot rules so they receive the same 200 response as browsers${evidence(f)}.` },
+  'ai-noai': { group: 'Technical', difficulty: 'S', signals: ['noaiAbsent'],
+    change: (f)=> `Remove "noai" / "noimageai" from <meta name="robots"> and the X-Robots-Tag response header${where(f) || evidence(f)}.` },
+  'ai-no-llms-txt': { group: 'Technical', difficulty: 'S', signals: ['llmsTxt'],
+    change: ()=> 'Publish /llms.txt at the site root: a one-paragraph summary of the business followed by markdown links to the 10-20 most important pages.' },
+  'render-js-only': { group: 'Technical', difficulty: 'L', signals: ['contentDepth', 'linkDepth'],
+    change: (f)=> `Server-render or pre-render the main content (SSR, static generation or a prerender service) so text and links are in the initial HTML, not only in hydration data${where(f)}.` },
+  'index-noindex': { group: 'Technical', difficulty: 'S', signals: ['indexable'],
+    change: (f)=> `Remove noindex from <meta name="robots"> and the X-Robots-Tag header on pages meant to be found${where(f)}; keep it only on utility pages such as cart, login and thank-you.` },
+  'index-directive-conflicts': { group: 'Technical', difficulty: 'S', signals: ['indexable'],
+    change: (f)=> `Make each page's signals agree: drop noindex pages from sitemap.xml, do not pair noindex with a canonical elsewhere, and link important pages from followed pages${where(f)}.` },
+  'index-nofollow': { group: 'Technical', difficulty: 'S', signals: ['linkDepth'],
+    change: (f)=> `Remove the page-level nofollow from <meta name="robots"> / X-Robots-Tag; use rel="nofollow" on individual untrusted links instead${where(f)}.` },
+  'canonical-invalid': { group: 'Technical', difficulty: 'S', signals: ['indexSignals'],
+    change: (f)=> `Point each <link rel="canonical"> at the final, indexable 200 URL of the preferred version, once per page${where(f)}.` },
+  'canonical-chains': { group: 'Technical', difficulty: 'S', signals: ['indexSignals'],
+    change: (f)=> `Point canonicals straight at the end of the chain so no canonical target declares a different canonical${where(f)}.` },
+  'canonical-missing': { group: 'Technical', difficulty: 'S', signals: ['indexSignals'],
+    change: (f)=> `Add a self-referencing <link rel="canonical" href="..."> with the absolute preferred URL${where(f)}.` },
+  'hreflang-issues': { group: 'Technical', difficulty: 'M', signals: ['indexSignals'],
+    change: (f)=> `Fix the hreflang sets: ISO 639-1 language codes with optional ISO 3166-1 regions (en-GB, not en_UK), a self-reference on every page and matching return links from each alternate${where(f)}.` },
+  'integrity-broken-links': { group: 'Technical', difficulty: 'M', signals: [],
+    change: (f)=> `Fix or 301-redirect the broken URLs, then update the pages that link to them${where(f)}.` },
+  'integrity-redirect-chains': { group: 'Technical', difficulty: 'S', signals: [],
+    change: (f)=> `Point each redirect straight at its final URL, break any loops, and update internal links to the final URL${where(f)}.` },
+  'integrity-soft-404': { group: 'Technical', difficulty: 'M', signals: [],
+    change: (f)=> `Return a real 404 (or 410) status for missing pages instead of a 200 or a redirect to a live page${where(f)}.` },
+  'integrity-outbound-broken': { group: 'Content', difficulty: 'S', signals: [],
+    change: (f)=> `Replace or remove outbound links that return 404, 410 or server errors${where(f)}.` },
+  'https-gaps': { group: 'Technical', difficulty: 'M', signals: ['https'],
+    change: (f)=> `301-redirect every http:// URL to https:// and update internal links to the https form${where(f)}.` },
+  'links-sparse': { group: 'Technical', difficulty: 'M', signals: ['connectedPages', 'linkDepth'],
+    change: (f)=> `Add contextual links to related pages inside body copy, aiming for 6+ internal links per page${where(f)}.` },
+  'links-isolated': { group: 'Technical', difficulty: 'M', signals: ['connectedPages'],
+    change: (f)=> `Link to these pages from related articles and hub pages so each has at least 3 internal links${where(f)}.` },
+  'breadcrumbs-limited': { group: 'Technical', difficulty: 'M', signals: ['breadcrumbs'],
+    change: (f)=> `Add a breadcrumb trail (<nav aria-label="breadcrumb">) to inner page templates, backed by BreadcrumbList JSON-LD${where(f)}.` },
+  'template-inconsistent': { group: 'Technical', difficulty: 'M', signals: ['navigation'],
+    change: (f)=> `Render the shared <nav> and <footer> partials on every template${where(f)}.` },
+  'freshness-undated': { group: 'Technical', difficulty: 'S', signals: ['datedPages', 'cacheValidators'],
+    change: (f)=> `Expose update dates: <lastmod> in sitemap.xml, dateModified in JSON-LD and Last-Modified / ETag response headers${where(f)}.` },
+  'freshness-no-feed': { group: 'Technical', difficulty: 'M', signals: ['feed'],
+    change: ()=> 'Publish an RSS or Atom feed of articles and advertise it in <head> with <link rel="alternate" type="application/rss+xml" href="/feed.xml">.' },
+  'freshness-feed-stale': { group: 'Technical', difficulty: 'S', signals: ['feed'],
+    change: (f)=> `Fix the feed so it lists current posts with pubDate / updated values${evidence(f)}.` },
+  'freshness-copyright': { group: 'Technical', difficulty: 'S', signals: ['copyrightYear'],
+    change: (f)=> `Render the footer copyright year from the current date instead of a hard-coded year${where(f)}.` },
+
+  // ---- Content ----
+  'titles-missing': { group: 'Content', difficulty: 'S', signals: ['titles'],
+    change: (f)=> `Add a unique <title> of 50-60 characters, primary topic first${where(f)}.` },
+  'titles-overlong': { group: 'Content', difficulty: 'S', signals: ['titles'],
+    change: (f)=> `Shorten <title> to 60 characters or fewer, keeping the key phrase at the front${where(f)}.` },
+  'titles-duplicate': { group: 'Content', difficulty: 'S', signals: ['titles'],
+    change: (f)=> `Rewrite duplicated <title> tags so each page names its own topic${where(f)}.` },
+  'meta-thin': { group: 'Content', difficulty: 'M', signals: ['metaDescriptions'],
+    change: (f)=> `Add <meta name="description"> with a 140-160 character summary of the page${where(f)}.` },
+  'content-thin': { group: 'Content', difficulty: 'L', signals: ['contentDepth'],
+    change: (f)=> `Expand body copy to 300+ words with specifics (who it is for, how it works, proof points)${where(f)}.` },
+  'content-shallow': { group: 'Content', difficulty: 'L', signals: ['contentDepth'],
+    change: (f)=> `Raise average page depth, starting with the thinnest templates; break long answers into lists or Q&A blocks${where(f)}.` },
+  'structure-walls': { group: 'Content', difficulty: 'M', signals: ['extractableFormats'],
+    change: (f)=> `Refactor key sections into bulleted steps, comparison tables or <dl> definitions so answers can be lifted without parsing long paragraphs${where(f)}.` },
+  'structure-no-questions': { group: 'Content', difficulty: 'M', signals: ['questionHeadings'],
+    change: ()=> 'Add a concise FAQ of 4-6 questions that mirror buyer "how" and "compare" prompts, with H2/H3 questions and 1-2 sentence answers (mark up as FAQPage).' },
+  'structure-answer-late': { group: 'Content', difficulty: 'M', signals: ['answerFirst'],
+    change: (f)=> `Open each H2/H3 section with a one-sentence answer to its heading, then add the detail${where(f)}.` },
+  'structure-long-paragraphs': { group: 'Content', difficulty: 'S', signals: ['paragraphLength'],
+    change: (f)=> `Split paragraphs over 100 words into 2-3 shorter ones, one idea each${where(f)}.` },
+  'structure-readability': { group: 'Content', difficulty: 'M', signals: ['readability'],
+    change: (f)=> `Shorten sentences to under 20 words and swap jargon for plain terms to lift reading ease above 60${where(f)}.` },
+  'h1-missing': { group: 'Content', difficulty: 'S', signals: ['singleH1'],
+    change: (f)=> `Add exactly one <h1> that states the page topic${where(f)}.` },
+  'h1-multiple': { group: 'Content', difficulty: 'S', signals: ['singleH1'],
+    change: (f)=> `Keep one <h1> per page and demote the others to <h2>${where(f)}.` },
+  'h1-title-mismatch': { group: 'Content', difficulty: 'S', signals: ['titles'],
+    change: (f)=> `Reword the <h1> or the <title> so both name the same topic, with the title adding the brand at most${where(f)}.` },
+  // outline fixes move no scored signal; with a breakdown they rank after the tasks that do
+  'headings-skipped': { group: 'Content', difficulty: 'S', signals: [],
+    change: (f)=> `Renumber headings so each level steps down by one (H2 under H1, H3 under H2), styling with CSS instead of tag choice${where(f)}.` },
+  'headings-empty': { group: 'Content', difficulty: 'S', signals: [],
+    change: (f)=> `Give every heading visible text, or alt text on the image it wraps, and remove heading tags used as spacers${where(f)}.` },
+  'headings-duplicate': { group: 'Content', difficulty: 'S', signals: [],
+    change: (f)=> `Rename repeated headings so each section has its own label${where(f)}.` },
+  'headings-styling': { group: 'Content', difficulty: 'S', signals: [],
+    change: (f)=> `Move eyebrow labels, numbers and ALL CAPS taglines out of <h1>-<h6> into styled <p> or <span> elements${where(f)}.` },
+  'alt-gaps': { group: 'Content', difficulty: 'S', signals: ['altText'],
+    change: (f)=> `Add descriptive alt text to content images (alt="" only for decorative ones)${where(f)}.` },
+  'contact-limited': { group: 'Content', difficulty: 'S', signals: ['contactPaths'],
+    change: ()=> 'Add a persistent contact block to the footer: tel: and mailto: links plus the postal address.' },
+  'social-minimal': { group: 'Content', difficulty: 'S', signals: ['socialProfiles'],
+    change: ()=> 'Link the official social profiles from the footer and list the same URLs in the Organization sameAs property.' },
+  'external-dense': { group: 'Content', difficulty: 'M', signals: ['outboundBalance'],
+    change: (f)=> `Trim outbound links to the references that support the page and move link roundups off content pages${where(f)}.` },
+  'freshness-stale': { group: 'Content', difficulty: 'L', signals: ['recentUpdates'],
+    change: (f)=> `Review and update the oldest pages, then bump dateModified and the sitemap <lastmod>${where(f)}.` },
+  'freshness-article-dates': { group: 'Content', difficulty: 'S', signals: ['articleDates'],
+    change: (f)=> `Show a visible <time datetime="..."> publish date and add datePublished / dateModified to the Article JSON-LD${where(f)}.` },
+
+  // ---- Schema ----
+  'schema-gaps': { group: 'Schema', difficulty: 'M', signals: ['schemaCoverage', 'keyTypes', 'entityIdentity'],
+    change: (f)=> `Add <script type="application/ld+json"> blocks for the missing types${distinctEvidence(f) ? ` (${distinctEvidence(f)})` : ''}${where(f)}; validate in the Rich Results Test.` },
+  'schema-errors': { group: 'Schema', difficulty: 'S', signals: ['schemaValidity'],
+    change: (f)=> `Fix the JSON-LD so every block parses and carries its required properties${distinctEvidence(f, 2) ? ` (${distinctEvidence(f, 2)})` : ''}${where(f)}.` },
+};
+
+// signal id -> { pillar, headline, gap } from a scoreSite() breakdown
+function signalGaps(breakdown){
+  const out = {};
+  for (const [pillar, b] of Object.entries(breakdown || {})){
+    for (const s of b.signals) out[s.id] = { pillar, headline: b.headline !== false, gap: Math.max(0, s.available - s.points) };
+  }
+  return out;
+}
+
+const impactOf = (points)=> points >= 3 ? 'High' : points >= 1.5 ? 'Medium' : 'Low';
+
+// report: { url, host, score, needsAttention, breakdown, reportId|id }
+export function buildPlan(report){
+  const findings = (report.needsAttention || []).filter(f=>f.id && PLAYBOOK[f.id]);
+  const gaps = report.breakdown ? signalGaps(report.breakdown) : null;
+  const claims = {};
+  for (const f of findings) for (const id of PLAYBOOK[f.id].signals) claims[id] = (claims[id] || 0) + 1;
+
+  const tasks = findings.map((f, order)=>{
+    const play = PLAYBOOK[f.id];
+    let gain = 0;
+    const gains = {};
+    if (gaps){
+      for (const id of play.signals){
+        const g = gaps[id];
+        if (!g) continue;
+        const share = g.gap / claims[id];
+        gains[g.pillar] = round1((gains[g.pillar] || 0) + share);
+        if (g.headline) gain += share;
+      }
+    } else {
+      gain = SEVERITY_POINTS[f.severity] || 0;
+      gains[f.pillar] = gain;
+    }
+    const moved = Object.values(gains).reduce((s,v)=>s+v, 0);
+    return {
+      id: f.id,
+      group: play.group,
+      title: f.title,
+      pillar: f.pillar,
+      severity: f.severity,
+      impact: impactOf(moved),
+      difficulty: play.difficulty,
+      gain: round1(gain),
+      gains,
+      change: play.change(f),
+      affected: f.details ? { pages: f.details.affected, total: f.details.total, share: f.details.share, scope: f.details.scope } : null,
+      order, moved
+    };
+  });
+
+  // headline points per day first; pillar-only movement (freshness) breaks ties
+  const perDay = (t, v)=> v / EFFORT_DAYS[t.difficulty];
+  tasks.sort((a,b)=>
+    perDay(b, b.gain) - perDay(a, a.gain) ||
+    perDay(b, b.moved) - perDay(a, a.moved) ||
+    (SEVERITY_RANK[b.severity]||0) - (SEVERITY_RANK[a.severity]||0) ||
+    a.order - b.order);
+  let day = 0;
+  const ordered = tasks.map(({ order, moved, ...t }, i)=>{
+    const week = Math.min(4, Math.floor(day / DAYS_PER_WEEK) + 1);
+    day += EFFORT_DAYS[t.difficulty];
+    return { priority: i+1, week, ...t };
+  });
+
+  const gain = round1(ordered.reduce((s,t)=>s+t.gain, 0));
+  return {
+    url: report.url,
+    host: report.host,
+    reportId: report.reportId || report.id || null,
+    score: report.score,
+    projectedScore: Math.min(100, Math.round(report.score + gain)),
+    gain,
+    goal: PLAN_GOAL,
+    meetsGoal: gain >= PLAN_GOAL,
+    estimate: gaps ? 'breakdown' : 'severity',
+    wording: 'rules',
+    groups: PLAN_GROUPS.map(group=>({ group, tasks: ordered.filter(t=>t.group===group) })).filter(g=>g.tasks.length),
+    tasks: ordered
+  };
+}
+
+// ---- optional LLM wording ----
+export async function rewritePlan(plan, llm){
+  if (!plan.tasks.length) return plan;
+  const ids = plan.tasks.map(t=>t.id);
+  const schema = { type: 'object', required: ['tasks'], properties: { tasks: { type: 'array', minItems: ids.length, items: {
+    type: 'object', required: ['id', 'title', 'change'],
+    properties: { id: { type: 'string', enum: ids }, title: { type: 'string', minLength: 3 }, change: { type: 'string', minLength: 10 } }
+  } } } };
+  const prompt = `Rewrite the wording of this website action plan for ${plan.host} so it reads like a senior consultant wrote it for the site owner.
+- Keep every task and its id. Return one entry per id.
+- "title": a short imperative task name. "change": the exact change to make, in one or two sentences.
+- Keep every URL, file name, HTML element, selector and number exactly as given. Do not add tasks, facts or estimates.
+
+Return JSON only: {"tasks":[{"id":"...","title":"...","change":"..."}]}
+
+Tasks:
+${JSON.stringify(plan.tasks.map(t=>({ id: t.id, title: t.title, change: t.change })))}`;
+  try{
+    const { data, usage } = await generateJson(llm, { prompt, schema, temperature: 0.3 });
+    console.log(usageLine(`plan ${plan.host}`, usage));
+    const byId = new Map(data.tasks.map(t=>[t.id, t]));
+    const reword = (t)=> byId.has(t.id) ? { ...t, title: byId.get(t.id).title.trim(), change: byId.get(t.id).change.trim() } : t;
+    const tasks = plan.tasks.map(reword);
+    return { ...plan, wording: 'llm', tasks, groups: plan.groups.map(g=>({ ...g, tasks: g.tasks.map(reword) })) };
+  }catch(e){
+    console.error(`Plan rewrite for ${plan.host} kept the rule wording:`, e.message);
+    return plan;
+  }
+}
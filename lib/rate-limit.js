@@ -0,0 +1,64 @@
+// lib/rate-limit.js — in-memory fixed-window rate limiting for Express routes (and plain (req, res) handlers)
+// - rateLimit({ name, windowMs, max, key }) -> middleware; key(req) picks the bucket, null/'' skips the limit.
+//   An array of keys charges one unit per entry, so a request that crawls three sites can cost three
+// - crawlLimits(urls) -> the per-IP and per-target-host pair every crawling route uses (RATE_LIMIT_*)
+// - Over the limit: 429 { error, retryAfter } plus Retry-After / RateLimit-* headers
+// - Per process: behind several instances each one counts on its own
+
+import { normalizeHost } from './store.js';
+import { envInt } from './env.js';
+
+export const RATE_WINDOW_MS = envInt('RATE_LIMIT_WINDOW_MS', 10 * 60 * 1000);
+const CRAWL_MAX = { ip: envInt('RATE_LIMIT_IP', 20, { min: 0 }), host: envInt('RATE_LIMIT_HOST', 10, { min: 0 }) };
+
+const buckets = new Map(); // `${name}:${key}` -> { count, resetAt }
+let lastPrune = 0;
+
+function prune(now){
+  if (now - lastPrune < 60000) return;
+  lastPrune = now;
+  for (const [k, b] of buckets) if (b.resetAt <= now) buckets.delete(k);
+}
+
+// client address as Express sees it (honours 'trust proxy')
+export const clientIp = (req)=> req.ip || req.socket?.remoteAddress || 'unknown';
+const hostOf = (u)=>{ try{ return normalizeHost(new URL(u).hostname); }catch{ return ''; } };
+
+export function rateLimit({ name, windowMs=60000, max=10, key=clientIp, message }){
+  return (req, res, next)=>{
+    if (!max) return next();
+    const keys = [].concat(key(req) || []).filter(Boolean);
+    if (!keys.length) return next();
+    const now = Date.now();
+    prune(now);
+    const charged = keys.map((k)=>{
+      const id = `${name}:${k}`;
+      let b = buckets.get(id);
+      if (!b || b.resetAt <= now){ b = { count: 0, resetAt: now + windowMs }; buckets.set(id, b); }
+      b.count++;
+      return b;
+    });
+    // the fullest bucket decides, and is the one the headers describe
+    const b = charged.reduce((a, x)=> x.count > a.count ? x : a);
+    const retryAfter = Math.ceil((b.resetAt - now) / 1000);
+    res.setHeader('RateLimit-Limit', String(max));
+    res.setHeader('RateLimit-Remaining', String(Math.max(0, max - b.count)));
+    res.setHeader('RateLimit-Reset', String(retryAfter));
+    if (b.count <= max) return next();
+    res.setHeader('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: message || `Too many requests. Try again in ${retryAfter}s.`, retryAfter });
+  };
+}
+
+// ---- crawl limits ----
+// urls(req) lists every site the request will crawl: each one costs the visitor's IP a unit and its host a unit.
+// An empty list (a saved-report lookup) skips both; 0 turns a limit off
+export function crawlLimits(urls, { windowMs=RATE_WINDOW_MS, ip=CRAWL_MAX.ip, host=CRAWL_MAX.host }={}){
+  const list = (req)=> [].concat(urls(req) || []).filter(Boolean);
+  return [
+    rateLimit({ name: 'ip', windowMs, max: ip, key: (req)=> list(req).map(()=>clientIp(req)),
+      message: 'Too many analyses from your network. Please wait a few minutes and try again.' }),
+    rateLimit({ name: 'host', windowMs, max: host, key: (req)=> list(req).map(hostOf),
+      message: 'This site has been analyzed many times recently. Please wait a few minutes and try again.' })
+  ];
+}
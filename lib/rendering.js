@@ -0,0 +1,125 @@
+// lib/rendering.js — what a crawler that does not run JavaScript actually sees
+// - visibleText() is the page text minus <script>, <style>, <template> and friends (cheerio's .text() keeps them)
+// - Per page: visible text vs inline script payload, framework root shells (#root, #__next, #app, ...) left
+//   empty in the HTML, and hydration blobs (__NEXT_DATA__, __NUXT__, ...) carrying prose the HTML never shows
+// - visibility (0-100) is the share of the page's readable text present without JavaScript; an empty
+//   shell scores 0. The site score is the page average, reported as "AI-visible without JS"
+
+const NON_TEXT = 'script, style, noscript, template, svg, iframe, object';
+const SHELL_TEXT_CHARS = 200;    // a framework root with less visible text than this counts as an empty shell
+const MIN_PROSE_CHARS = 40;      // shorter JSON strings are labels, ids and slugs, not content
+const MAX_BLOB_CHARS = 2000000;  // hydration blobs past this are not parsed
+
+// framework roots: selector -> framework
+const ROOTS = [
+  ['#__next', 'Next.js'], ['#__nuxt', 'Nuxt'], ['#___gatsby', 'Gatsby'], ['[ng-version], app-root', 'Angular'],
+  ['#svelte, [data-sveltekit-hydrate]', 'SvelteKit'], ['#root, [data-reactroot]', 'React'], ['#app', 'Vue']
+];
+// hydration / state blobs: name -> test against an inline script (element, text)
+const BLOBS = [
+  ['__NEXT_DATA__', (el)=> el.attribs?.id === '__NEXT_DATA__'],
+  ['__next_f', (_, t)=> t.includes('self.__next_f.push')],
+  ['__NUXT__', (el, t)=> el.attribs?.id === '__NUXT_DATA__' || /window\.__NUXT__\s*=/.test(t)],
+  ['__INITIAL_STATE__', (_, t)=> /window\.__(INITIAL|PRELOADED)_STATE__\s*=/.test(t)],
+  ['__APOLLO_STATE__', (_, t)=> /window\.__APOLLO_STATE__\s*=/.test(t)],
+  ['__remixContext', (_, t)=> /window\.__remixContext\s*=/.test(t)],
+];
+const FRAMEWORK_OF_BLOB = { __NEXT_DATA__: 'Next.js', __next_f: 'Next.js', __NUXT__: 'Nuxt', __remixContext: 'Remix' };
+
+const squash = (s)=> String(s || '').replace(/\s+/g, ' ').trim();
+
+export function visibleText($, root='body'){
+  const el = $(root).first().clone();
+  el.find(NON_TEXT).remove();
+  return squash(el.text());
+}
+
+// string values that read like sentences: long enough, several words, not a URL / path / markup
+const looksLikeProse = (s)=> s.length >= MIN_PROSE_CHARS && (s.match(/ /g) || []).length >= 5 && !/^(https?:|\/|data:|[{[])/.test(s);
+const stripTags = (s)=> squash(String(s).replace(/<[^>]+>/g, ' '));
+
+function proseIn(text){
+  const out = [];
+  const walk = (v)=>{
+    if (typeof v === 'string'){ const s = stripTags(v); if (looksLikeProse(s)) out.push(s); }
+    else if (Array.isArray(v)) v.forEach(walk);
+    else if (v && typeof v === 'object') Object.values(v).forEach(walk);
+  };
+  try{
+    walk(JSON.parse(text));
+  }catch{
+    // assignments and RSC pushes are JS, not JSON: fall back to the quoted string literals
+    for (const m of text.matchAll(/"((?:[^"\\]|\\.){40,})"/g)){
+      let s;
+      try{ s = JSON.parse(`"${m[1]}"`); }catch{ continue; }
+      s = stripTags(s);
+      if (looksLikeProse(s)) out.push(s);
+    }
+  }
+  return out;
+}
+
+// text: the page's visibleText(), when the caller already has it
+export function extractRendering($, text=visibleText($)){
+  const inline = $('script:not([src])').toArray().filter(el=>!/ld\+json/i.test(el.attribs?.type || ''));
+  const scriptChars = inline.reduce((s, el)=> s + $(el).text().length, 0);
+
+  let framework = null, shellRoot = null;
+  for (const [sel, name] of ROOTS){
+    const root = $(sel).first();
+    if (!root.length) continue;
+    framework = framework || name;
+    if (visibleText($, root).length < SHELL_TEXT_CHARS){ shellRoot = sel.split(',')[0]; framework = name; break; }
+  }
+
+  const hydration = [];
+  let jsOnlyChars = 0, jsOnlySample = '';
+  const seen = new Set();
+  for (const el of inline){
+    const t = $(el).text();
+    const hit = BLOBS.find(([, test])=>test(el, t));
+    if (!hit) continue;
+    if (!hydration.includes(hit[0])) hydration.push(hit[0]);
+    framework = framework || FRAMEWORK_OF_BLOB[hit[0]] || null;
+    if (t.length > MAX_BLOB_CHARS) continue;
+    for (const s of proseIn(t)){
+      if (seen.has(s) || text.includes(s.slice(0, 60))) continue;
+      seen.add(s);
+      jsOnlyChars += s.length;
+      if (!jsOnlySample) jsOnlySample = s.length > 120 ? `${s.slice(0, 119)}…` : s;
+    }
+  }
+
+  const shell = !!shellRoot && text.length < SHELL_TEXT_CHARS;
+  const visibility = shell ? 0 : text.length + jsOnlyChars ? Math.round(100 * text.length / (text.length + jsOnlyChars)) : 100;
+  return {
+    framework,
+    shell,
+    shellRoot: shell ? shellRoot : null,
+    textChars: text.length,
+    scriptChars,
+    externalScripts: $('script[src]').length,
+    // share of visible text vs inline script characters; SPAs often sit far below 0.1
+    textRatio: text.length + scriptChars ? Math.round(100 * text.length / (text.length + scriptChars)) / 100 : 1,
+    hydration,
+    jsOnlyChars,
+    jsOnlySample,
+    noscript: squash($('noscript').text()).length > 0,
+    visibility
+  };
+}
+
+// site-level view; pages crawled before this existed (no p.rendering) are left out
+export function summarizeRendering(pages){
+  const measured = pages.filter(p=>p.rendering);
+  if (!measured.length) return null;
+  const counts = measured.reduce((m, p)=> p.rendering.framework ? m.set(p.rendering.framework, (m.get(p.rendering.framework) || 0) + 1) : m, new Map());
+  return {
+    score: Math.round(measured.reduce((s, p)=>s + p.rendering.visibility, 0) / measured.length),
+    total: measured.length,
+    shells: measured.filter(p=>p.rendering.shell).length,
+    jsOnlyPages: measured.filter(p=>p.rendering.jsOnlyChars > 0).length,
+    framework: [...counts].sort((a, b)=>b[1] - a[1])[0]?.[0] || null,
+    avgTextRatio: Math.round(100 * measured.reduce((s, p)=>s + p.rendering.textRatio, 0) / measured.length) / 100
+  };
+}
@@ -0,0 +1,184 @@
+// lib/robots.js — robots.txt rules, Crawl-delay and sitemap discovery for the crawler
+// - Group matching and longest-path precedence follow RFC 9309 (ties go to Allow)
+// - Sitemaps come from robots.txt plus the conventional /sitemap.xml and /sitemap_index.xml
+// - Sitemap index files are followed one level down, capped so a huge index cannot stall a crawl
+
+import { safeHttp } from './net-guard.js';
+import * as cheerio from 'cheerio';
+
+export const CRAWLER_UA = 'SnipeRank SEO Analyzer Bot';
+
+const hostOf = (u)=>{ try{ return new URL(u).hostname.replace(/^www\./,''); }catch{ return ''; } };
+
+// ---- robots.txt ----
+export function parseRobots(text=''){
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const raw of String(text).split(/\r?\n/)){
+    const line = raw.replace(/#.*$/,'').trim();
+    if (!line) continue;
+    const idx = line.indexOf(':');
+    if (idx === -1) continue;
+    const key = line.slice(0, idx).trim().toLowerCase();
+    const value = line.slice(idx + 1).trim();
+
+    if (key === 'user-agent'){
+      // consecutive user-agent lines share one group
+      if (!current || !lastWasAgent){
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+
+    if (key === 'sitemap'){ if (value) sitemaps.push(value); continue; }
+    if (!current) continue;
+    if (key === 'allow' || key === 'disallow'){
+      // an empty Disallow means "allow everything" and carries no rule
+      if (value) current.rules.push({ allow: key === 'allow', path: value });
+    } else if (key === 'crawl-delay'){
+      const n = parseFloat(value);
+      if (Number.isFinite(n) && n >= 0) current.crawlDelay = n;
+    }
+  }
+  return { groups, sitemaps };
+}
+
+// most specific matching agent token wins; all groups naming it are merged
+function groupFor(robots, userAgent){
+  const ua = String(userAgent||'').toLowerCase();
+  let best = null, bestLen = -1;
+  for (const g of robots?.groups || []){
+    for (const a of g.agents){
+      const len = a === '*' ? 0 : (ua.includes(a) ? a.length : -1);
+      if (len > bestLen){ best = a; bestLen = len; }
+    }
+  }
+  if (best === null) return null;
+  const merged = { rules: [], crawlDelay: null };
+  for (const g of robots.groups){
+    if (!g.agents.includes(best)) continue;
+    merged.rules.push(...g.rules);
+    if (g.crawlDelay !== null && merged.crawlDelay === null) merged.crawlDelay = g.crawlDelay;
+  }
+  return merged;
+}
+
+const patternCache = new Map();
+function ruleRegex(pattern){
+  if (patternCache.has(pattern)) return patternCache.get(pattern);
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0,-1) : pattern)
+    .split('*').map(s=>s.replace(/[.+?^${}()|[\]\\]/g,'\\$&')).join('.*');
+  const re = new RegExp('^' + body + (anchored ? '$' : ''));
+  patternCache.set(pattern, re);
+  return re;
+}
+
+export function isAllowed(robots, url, userAgent=CRAWLER_UA){
+  const group = groupFor(robots, userAgent);
+  if (!group || !group.rules.length) return true;
+  let target;
+  try{ const u = new URL(url); target = u.pathname + u.search; }catch{ target = String(url||'/'); }
+  if (target === '/robots.txt') return true;
+
+  let verdict = true, bestLen = -1;
+  for (const r of group.rules){
+    if (!ruleRegex(r.path).test(target)) continue;
+    const len = r.path.length;
+    if (len > bestLen || (len === bestLen && r.allow)){ verdict = r.allow; bestLen = len; }
+  }
+  return verdict;
+}
+
+export function crawlDelayFor(robots, userAgent=CRAWLER_UA){
+  return groupFor(robots, userAgent)?.crawlDelay ?? null;
+}
+
+export async function fetchRobots(startUrl, { timeout=5000 }={}){
+  let robotsUrl;
+  try{ robotsUrl = new URL('/robots.txt', startUrl).href; }catch{ return { url:'', status:0, groups:[], sitemaps:[] }; }
+  try{
+    const resp = await safeHttp.get(robotsUrl, {
+      timeout,
+      responseType: 'text',
+      validateStatus: ()=>true,
+      headers: { 'User-Agent': CRAWLER_UA }
+    });
+    // 4xx/5xx and non-text answers are treated as "no rules", same as a missing file
+    const isText = /text\/plain/i.test(resp.headers?.['content-type'] || 'text/plain');
+    const body = (resp.status >= 200 && resp.status < 300 && isText) ? String(resp.data||'') : '';
+    return { url: robotsUrl, status: resp.status, ...parseRobots(body) };
+  }catch(e){
+    return { url: robotsUrl, status: 0, error: e.message, groups: [], sitemaps: [] };
+  }
+}
+
+// ---- sitemaps ----
+export function parseSitemap(xml=''){
+  const $ = cheerio.load(String(xml), { xmlMode: true });
+  const num = (s)=>{ const n = parseFloat(s); return Number.isFinite(n) ? n : null; };
+  const sitemaps = $('sitemapindex > sitemap').map((_, el)=>({
+    loc: $(el).children('loc').text().trim(),
+    lastmod: $(el).children('lastmod').text().trim() || null
+  })).get().filter(s=>s.loc);
+  const urls = $('urlset > url').map((_, el)=>({
+    loc: $(el).children('loc').text().trim(),
+    lastmod: $(el).children('lastmod').text().trim() || null,
+    priority: num($(el).children('priority').text().trim())
+  })).get().filter(u=>u.loc);
+  return { sitemaps, urls };
+}
+
+// highest priority first, then most recently modified; missing priority counts as the spec default 0.5
+export function rankSitemapEntries(entries=[]){
+  const time = (s)=>{ const t = Date.parse(s||''); return Number.isFinite(t) ? t : 0; };
+  return [...entries].sort((a,b)=>
+    ((b.priority ?? 0.5) - (a.priority ?? 0.5)) || (time(b.lastmod) - time(a.lastmod))
+  );
+}
+
+export async function fetchSitemapEntries(startUrl, robots, { timeout=5000, maxFiles=10, maxUrls=5000 }={}){
+  const host = hostOf(startUrl);
+  const candidates = [...(robots?.sitemaps || [])];
+  for (const p of ['/sitemap.xml','/sitemap_index.xml']){
+    try{ candidates.push(new URL(p, startUrl).href); }catch{}
+  }
+
+  const seenFiles = new Set();
+  const found = [];
+  const entries = new Map();
+  const queue = candidates.map(loc=>({ loc, depth: 0 }));
+
+  while (queue.length && seenFiles.size < maxFiles && entries.size < maxUrls){
+    const { loc, depth } = queue.shift();
+    if (seenFiles.has(loc) || /\.gz$/i.test(loc)) continue;
+    seenFiles.add(loc);
+    try{
+      const resp = await safeHttp.get(loc, {
+        timeout,
+        responseType: 'text',
+        validateStatus: (s)=>s>=200 && s<300,
+        headers: { 'User-Agent': CRAWLER_UA }
+      });
+      const { sitemaps, urls } = parseSitemap(resp.data);
+      if (!sitemaps.length && !urls.length) continue;
+      found.push(loc);
+      if (depth < 1) sitemaps.forEach(s=>queue.push({ loc: s.loc, depth: depth + 1 }));
+      for (const u of urls){
+        if (hostOf(u.loc) !== host || entries.has(u.loc)) continue;
+        entries.set(u.loc, u);
+        if (entries.size >= maxUrls) break;
+      }
+    }catch{
+      // a missing conventional sitemap is the common case, not an error
+    }
+  }
+  return { sitemaps: found, entries: rankSitemapEntries([...entries.values()]) };
+}
@@ -0,0 +1,559 @@
+// lib/rules.js — rule registry behind the Working / Needs Attention lists
+// - Each rule declares id, kind (working|needs), pillar, severity, tunable params, a predicate over the
+//   crawl context, title/message templates ({name} is filled from params + the rule's vars) and,
+//   for needs, the page-level evidence
+// - Registry order is report order: AI crawler access leads both lists
+// - RULES_CONFIG points at a JSON file that overrides rules without touching code:
+//     { "rules":    { "content-thin": { "params": { "minWords": 500 } }, "social-minimal": { "enabled": false } },
+//       "profiles": { "ecommerce": { "rules": { "content-depth": { "params": { "minAvgWords": 350 } } } } },
+//       "hosts":    { "client.com": { "profile": "ecommerce", "rules": { ... } } } }
+//   Precedence: defaults < rules < the host's profile < hosts[host].rules. Overridable keys: enabled,
+//   severity, pillar, title, message, params
+
+import fs from 'fs';
+import { summarizeSchema, templateOf, hasType } from './schema.js';
+import { lastUpdated, ageDays } from './freshness.js';
+import { summarizeRendering } from './rendering.js';
+import { summarizeStructure, hasFormats, LONG_PARAGRAPH_WORDS } from './structure.js';
+import { headingsWith, TITLE_MATCH } from './headings.js';
+import { brokenEvidence, chainEvidence, loopEvidence, softEvidence, probeEvidence, softCount, LONG_CHAIN } from './integrity.js';
+
+const pct = (num,den)=> den ? Math.round((num/den)*100) : 0;
+const avg = (arr)=> arr.length ? Math.round(arr.reduce((s,v)=>s+v,0)/arr.length) : 0;
+const typeList = (arr)=> arr.length > 1 ? `${arr.slice(0,-1).join(', ')} and ${arr[arr.length-1]}` : arr.join('');
+const agentList = (names)=> names.length > 3 ? `${names.slice(0,3).join(', ')} and others` : names.join(', ');
+const quote = (t)=> `"${t.length > 90 ? `${t.slice(0,89)}…` : t}"`;
+
+export const RULE_KINDS = ['working', 'needs'];
+export const SEVERITIES = ['info', 'low', 'medium', 'high'];
+const OVERRIDABLE = ['enabled', 'severity', 'pillar', 'title', 'message'];
+
+// site-level aggregates every rule can read; thresholds live on the rules, not here
+export function buildContext(pages, host, access=null, freshness=null, integrity=null, indexability=null){
+  const total = pages.length;
+  // an empty JS shell is a rendering problem, not a writing one; depth is judged on pages that render
+  const rendered = pages.filter(p=>!p.rendering?.shell);
+  const titleGroups = pages.reduce((m,p)=>m.set(p.title, [...(m.get(p.title)||[]), p]), new Map());
+  return {
+    pages,
+    host,
+    access,
+    freshness,
+    integrity,
+    indexability,
+    total,
+    httpsPages: pages.filter(p=>p.hasSSL).length,
+    titleGroups,
+    dupTitle: total - titleGroups.size,
+    rendered,
+    rendering: summarizeRendering(pages),
+    structure: summarizeStructure(pages),
+    avgWords: avg(rendered.map(p=>p.wordCount)),
+    avgInt: avg(pages.map(p=>p.internalLinkCount)),
+    avgAltPct: avg(pages.map(p=>p.imageCount ? Math.round((p.imageAltCount/p.imageCount)*100) : 100)),
+    schemaPages: pages.filter(p=>p.hasSchema).length,
+    schema: summarizeSchema(pages),
+    crumbs: pages.filter(p=>p.breadcrumbs).length,
+    navPct: pct(pages.filter(p=>p.hasNav).length, total),
+    footPct: pct(pages.filter(p=>p.hasFooter).length, total),
+    extLinksAvg: avg(pages.map(p=>p.externalLinkCount)),
+    socialAvg: avg(pages.map(p=>p.socialLinkCount)),
+    contactSignals: pages.filter(p=>p.contactInfo.phone).length + pages.filter(p=>p.contactInfo.email).length + pages.filter(p=>p.contactInfo.address).length,
+    noaiPages: pages.filter(p=>p.aiDirectives?.noai || p.aiDirectives?.noimageai),
+  };
+}
+
+// evidence behind a Needs Attention item: which pages, why, and what share of the crawl
+const onUrls = (list, total, evidence)=>({
+  scope: 'page', affected: list.length, total, share: pct(list.length, total),
+  pages: list.map(p=>({ url: p.url, evidence: evidence(p) }))
+});
+const onPages = (c, list, evidence)=> onUrls(list, c.total, evidence);
+const siteWide = (c, evidence)=>({ scope: 'site', affected: c.total, total: c.total, share: 100, pages: [], evidence });
+
+const lowAlt = (p, minPct)=> p.imageCount && pct(p.imageAltCount, p.imageCount) < minPct;
+const missingAlt = (p)=>{
+  const srcs = p.imagesMissingAlt || [];
+  return `${p.imageCount - p.imageAltCount} of ${p.imageCount} images lack alt${srcs.length ? `: ${srcs.join(', ')}` : ''}`;
+};
+const headingEvidence = (issue)=> (p)=>{
+  const list = headingsWith(p.headings, issue);
+  return `${list.slice(0,3).join('; ')}${list.length > 3 ? ` and ${list.length-3} more` : ''}`;
+};
+const titleMismatch = (p, minMatch)=> p.headings?.titleMatch != null && p.headings.titleMatch < minMatch;
+const shellEvidence = (r)=> r.shell
+  ? `empty ${r.shellRoot} shell${r.framework ? ` (${r.framework})` : ''}; ${r.textChars} characters of text without JavaScript`
+  : `${r.visibility}% visible without JavaScript`;
+const renderEvidence = (p)=>{
+  const r = p.rendering;
+  const blob = r.jsOnlyChars ? `; ${r.jsOnlyChars} characters only in ${r.hydration.join(', ') || 'inline scripts'}${r.jsOnlySample ? `, e.g. ${quote(r.jsOnlySample)}` : ''}` : '';
+  return `${shellEvidence(r)}${blob}`;
+};
+// pages long enough that an unbroken wall of prose hurts
+const wallOfText = (p, minWords)=> p.structure && p.wordCount >= minWords && !hasFormats(p.structure);
+const slowEvidence = (p)=> p.structure.slowSections.map(x=>`${quote(x.heading)} opens with a ${x.words}-word sentence`).join('; ');
+const noindexEvidence = (x)=> `noindex via ${x.source}; linked from ${x.linkedFrom} crawled page${x.linkedFrom === 1 ? '' : 's'}${x.inSitemap ? '; listed in the sitemap' : ''}`;
+const aiFlags = (d)=> ['noai','noimageai'].filter(k=>d?.[k]).join(', ');
+const pageAge = (p)=> ageDays(lastUpdated(p.freshness));
+const isArticle = (p)=> templateOf(p) === 'article';
+const articleDated = (p)=> !!(p.freshness?.published || p.freshness?.modified || p.freshness?.visibleDate);
+// template gaps that apply to this particular page (it may carry the type even if its siblings do not)
+const gapsFor = (c, p)=> c.schema.gaps.filter(g=>g.template===templateOf(p) && !hasType(p.schema?.types || [], g.type)).map(g=>g.type);
+
+export const RULES = [
+  // ---- AI crawler access ----
+  { id: 'ai-robots-blocked', kind: 'needs', pillar: 'access', severity: 'high', params: {},
+    when: (c)=> !!c.access && c.access.robotsBlocked.length > 0,
+    vars: (c)=> ({ agents: agentList(c.access.robotsBlocked) }),
+    title: 'AI Crawlers Disallowed',
+    message: 'robots.txt shuts out {agents}. Whatever those engines know about {host} comes second-hand, if at all.',
+    details: (c)=> siteWide(c, `robots.txt disallows ${c.access.robotsBlocked.join(', ')}`) },
+  { id: 'ai-edge-blocked', kind: 'needs', pillar: 'access', severity: 'high', params: {},
+    when: (c)=> !!c.access && c.access.fetchBlocked.length > 0,
+    vars: (c)=> ({ agents: agentList(c.access.fetchBlocked) }),
+    title: 'AI Crawlers Refused at the Edge',
+    message: "Requests identifying as {agents} are turned away before reaching content, even where robots.txt would allow them. The firewall is saying no on the site's behalf.",
+    details: (c)=> siteWide(c, c.access.agents.filter(a=>a.robotsAllowed && a.blocked).map(a=>`${a.name}: ${a.reason}`).join('; ')) },
+  { id: 'ai-noai', kind: 'needs', pillar: 'access', severity: 'high', params: {},
+    when: (c)=> !!c.access && (c.access.directives.noai || c.access.directives.noimageai || c.noaiPages.length > 0),
+    vars: (c)=> ({ directive: c.access.directives.noai || c.noaiPages.length ? 'noai' : 'noimageai' }),
+    title: 'noai Directives Present',
+    message: '{directive} directives appear in robots meta or X-Robots-Tag headers. Engines that honor them will leave the content out of answers.',
+    details: (c)=> c.noaiPages.length
+      ? onPages(c, c.noaiPages, p=>`robots directives: ${aiFlags(p.aiDirectives)}`)
+      : siteWide(c, `${aiFlags(c.access.directives)} via ${c.access.directives.source.join(' and ')}`) },
+  { id: 'ai-no-llms-txt', kind: 'needs', pillar: 'access', severity: 'low', params: {},
+    when: (c)=> !!c.access && !c.access.llmsTxt.present,
+    title: 'No llms.txt Guide',
+    message: 'No /llms.txt file is published. Models arrive without a map of what matters most on the site.',
+    details: (c)=> siteWide(c, `${c.access.llmsTxt.url} returned ${c.access.llmsTxt.status || 'no response'}`) },
+  { id: 'ai-open-door', kind: 'working', pillar: 'access', severity: 'info', params: {},
+    when: (c)=> !!c.access && !c.access.robotsBlocked.length && !c.access.fetchBlocked.length,
+    title: 'Open Door for AI Crawlers',
+    message: 'Major AI agents are allowed by robots.txt and receive the same response as any other visitor. Nothing stands between the engines and the content.' },
+  { id: 'ai-llms-txt', kind: 'working', pillar: 'access', severity: 'info', params: {},
+    when: (c)=> !!c.access && c.access.llmsTxt.present,
+    vars: (c)=> ({ fullNote: c.access.llmsFullTxt.present ? ' alongside llms-full.txt' : '' }),
+    title: 'llms.txt Published',
+    message: 'An llms.txt guide is available{fullNote}. Models get a curated entry point instead of guessing.' },
+
+  // ---- rendering: what crawlers that do not run JavaScript see ----
+  { id: 'render-js-only', kind: 'needs', pillar: 'access', severity: 'high', params: { minScore: 80 },
+    when: (c, p)=> !!c.rendering && c.rendering.score < p.minScore,
+    vars: (c)=> ({
+      visible: c.rendering.score,
+      shellNote: c.rendering.shells ? `; ${c.rendering.shells} of ${c.rendering.total} pages arrive as empty ${c.rendering.framework || 'app'} shells` : ''
+    }),
+    title: 'Content Hidden Behind JavaScript',
+    message: 'Only {visible}% of the readable text is AI-visible without JavaScript{shellNote}. Crawlers that read the raw HTML and skip the scripts find a stage with the lights off.',
+    details: (c, p)=> onPages(c, c.pages.filter(x=>x.rendering && x.rendering.visibility < p.minScore), renderEvidence) },
+  { id: 'render-server-side', kind: 'working', pillar: 'access', severity: 'info', params: { minScore: 95 },
+    when: (c, p)=> !!c.rendering && c.rendering.score >= p.minScore,
+    vars: (c)=> ({ visible: c.rendering.score }),
+    title: 'Content Served Without JavaScript',
+    message: '{visible}% of the readable text arrives in the HTML itself. Engines that never run a script still get the whole story.' },
+
+  // ---- access integrity: status codes, redirects and soft 404s across every fetched URL ----
+  { id: 'integrity-broken-links', kind: 'needs', pillar: 'access', severity: 'high', params: {},
+    when: (c)=> c.integrity?.brokenCount > 0,
+    vars: (c)=> ({ count: c.integrity.brokenCount, urls: c.integrity.brokenCount === 1 ? 'URL answers' : 'URLs answer' }),
+    title: 'Broken Internal Links',
+    message: '{count} linked {urls} with an error status. Crawlers that follow those links hit a dead end, and the pages pointing at them look unmaintained.',
+    details: (c)=> onUrls(c.integrity.broken, c.integrity.checked, brokenEvidence) },
+  { id: 'integrity-redirect-chains', kind: 'needs', pillar: 'access', severity: 'medium', params: {},
+    when: (c)=> !!c.integrity && c.integrity.chains.length + c.integrity.loops.length > 0,
+    vars: ()=> ({ hops: LONG_CHAIN }),
+    title: 'Redirect Chains',
+    message: 'Some URLs pass through {hops} or more redirects, or loop, before reaching a page. Every extra hop costs crawl budget, and some crawlers stop following well before the end.',
+    details: (c)=> onUrls([...c.integrity.loops.map(l=>({ ...l, loop: true })), ...c.integrity.chains], c.integrity.checked, x=>x.loop ? loopEvidence(x) : chainEvidence(x)) },
+  { id: 'integrity-soft-404', kind: 'needs', pillar: 'access', severity: 'medium', params: {},
+    when: (c)=> softCount(c.integrity) > 0,
+    title: 'Soft 404s',
+    message: 'Missing pages answer as if they exist. Engines cannot tell dead URLs from real content, so empty "not found" pages can stay indexed and get quoted.',
+    details: (c)=>{
+      const { probe, pages } = c.integrity.softNotFound;
+      if (!pages.length) return siteWide(c, `a made-up URL (${probe.url}) answered ${probeEvidence(probe)} instead of 404`);
+      return onUrls([...(probe?.soft ? [{ ...probe, probe: true }] : []), ...pages], c.integrity.checked, x=>x.probe ? `made-up URL answered ${probeEvidence(x)}` : softEvidence(x));
+    } },
+  { id: 'integrity-outbound-broken', kind: 'needs', pillar: 'trust', severity: 'low', params: {},
+    when: (c)=> c.integrity?.outbound?.broken.length > 0,
+    vars: (c)=> ({ count: c.integrity.outbound.broken.length }),
+    title: 'Broken Outbound Links',
+    message: '{count} outbound links point at pages that no longer answer. Citations that lead nowhere weaken the evidence a page leans on.',
+    details: (c)=> onUrls(c.integrity.outbound.broken, c.integrity.outbound.checked, brokenEvidence) },
+  { id: 'integrity-clean', kind: 'working', pillar: 'access', severity: 'info', params: {},
+    when: (c)=> c.integrity?.checked > 0 && !c.integrity.brokenCount && !c.integrity.chains.length && !c.integrity.loops.length && !softCount(c.integrity),
+    vars: (c)=> ({ checked: c.integrity.checked }),
+    title: 'Clean Crawl Paths',
+    message: 'All {checked} fetched URLs resolved without errors, redirect chains or soft 404s. Crawlers spend their visit on content, not detours.' },
+
+  // ---- indexability: robots directives, canonicals and hreflang (lib/indexability.js) ----
+  { id: 'index-noindex', kind: 'needs', pillar: 'access', severity: 'high', params: { maxShare: 10 },
+    when: (c, p)=> !!c.indexability && pct(c.indexability.noindexCount, c.indexability.total) > p.maxShare,
+    vars: (c)=> ({ count: c.indexability.noindexCount, total: c.indexability.total }),
+    title: 'Pages Kept Out of the Index',
+    message: '{count} of {total} crawled pages carry noindex in meta robots or the X-Robots-Tag header. Search-backed engines drop them, however well they read.',
+    details: (c)=> onUrls(c.indexability.noindex, c.indexability.total, noindexEvidence) },
+  { id: 'index-directive-conflicts', kind: 'needs', pillar: 'access', severity: 'medium', params: {},
+    when: (c)=> c.indexability?.conflicts.length > 0,
+    title: 'Conflicting Index Signals',
+    message: 'Some pages say one thing in their robots directives and another in the sitemap, canonical tags or internal links. Crawlers resolve the contradiction their own way, rarely the intended one.',
+    details: (c)=> onUrls(c.indexability.conflicts, c.indexability.total, x=>x.problem) },
+  { id: 'index-nofollow', kind: 'needs', pillar: 'access', severity: 'medium', params: {},
+    when: (c)=> c.indexability?.nofollow.some(x=>x.internalLinks > 0),
+    title: 'Internal Links Marked nofollow',
+    message: 'Pages with a page-level nofollow tell crawlers not to follow any of their links, internal ones included. Whatever sits behind them is discovered late or not at all.',
+    details: (c)=> onUrls(c.indexability.nofollow.filter(x=>x.internalLinks > 0), c.indexability.total, x=>`nofollow; ${x.internalLinks} internal link${x.internalLinks === 1 ? '' : 's'} not followed`) },
+  { id: 'canonical-invalid', kind: 'needs', pillar: 'access', severity: 'medium', params: {},
+    when: (c)=> c.indexability?.canonical.issues.length > 0,
+    title: 'Canonicals Pointing at the Wrong Place',
+    message: 'Canonical tags name URLs that fail, redirect, are noindexed or compete with each other. Engines ignore a canonical they cannot trust and pick a version themselves.',
+    details: (c)=> onUrls(c.indexability.canonical.issues, c.indexability.total, x=>x.problem) },
+  { id: 'canonical-chains', kind: 'needs', pillar: 'access', severity: 'medium', params: {},
+    when: (c)=> c.indexability?.canonical.chains.length > 0,
+    title: 'Canonical Chains',
+    message: 'Some canonicals point at pages that are themselves canonicalized elsewhere. Each step is a hint engines may stop following before the end.',
+    details: (c)=> onUrls(c.indexability.canonical.chains, c.indexability.total, x=>x.problem) },
+  { id: 'canonical-missing', kind: 'needs', pillar: 'access', severity: 'low', params: { minCoverage: 50 },
+    when: (c, p)=> !!c.indexability && pct(c.indexability.canonical.present, c.indexability.total) < p.minCoverage,
+    title: 'Canonical Tags Missing',
+    message: 'Most pages declare no canonical URL. Tracking parameters, trailing slashes and mirrors can each pass as a separate page, splitting the signals.',
+    details: (c)=> onPages(c, c.pages.filter(x=>x.indexability && !x.indexability.canonical), ()=>'no <link rel="canonical"> or canonical Link header') },
+  { id: 'hreflang-issues', kind: 'needs', pillar: 'access', severity: 'medium', params: {},
+    when: (c)=> c.indexability?.hreflang.issues.length > 0,
+    title: 'hreflang Errors',
+    message: 'Language alternates use invalid codes, skip the return link or point at dead URLs. Engines discard hreflang sets that do not agree, and the wrong language version gets served.',
+    details: (c)=> onUrls(c.indexability.hreflang.issues, c.indexability.total, x=>x.problem) },
+  { id: 'index-clean', kind: 'working', pillar: 'access', severity: 'info', params: {},
+    when: (c)=>{
+      const x = c.indexability;
+      return !!x && !x.noindexCount && !x.conflicts.length && !x.canonical.issues.length && !x.canonical.chains.length && !x.hreflang.issues.length && x.canonical.present === x.total;
+    },
+    title: 'Consistent Index Signals',
+    message: 'Every crawled page is open to indexing and names a canonical that resolves. Engines get one clear version of each page.' },
+
+  // ---- working: site-wide page signals ----
+  { id: 'https-complete', kind: 'working', pillar: 'trust', severity: 'info', params: {},
+    when: (c)=> c.httpsPages === c.total,
+    title: 'Complete HTTPS Security',
+    message: 'All analyzed sections resolve over HTTPS. The foundation feels solid; readers do not step around mixed locks to get the gist.' },
+  { id: 'titles-distinct', kind: 'working', pillar: 'clarity', severity: 'info', params: { minCoverage: 95, maxLength: 60 },
+    when: (c, p)=> pct(c.pages.filter(x=>x.title.length>0).length, c.total) >= p.minCoverage && !c.pages.some(x=>x.title.length>p.maxLength) && c.dupTitle === 0,
+    title: 'Title Coverage & Differentiation',
+    message: 'Strong title presence with distinct, scannable labels. Previews hold their edges without colliding.' },
+  { id: 'meta-coverage', kind: 'working', pillar: 'clarity', severity: 'info', params: { minCoverage: 80 },
+    when: (c, p)=> pct(c.pages.filter(x=>x.metaDesc.length>0).length, c.total) >= p.minCoverage,
+    title: 'Meta Description Presence',
+    message: 'Strong meta description coverage provides consistent previews. Most entries arrive with a hint rather than a cold open.' },
+  { id: 'schema-footprint', kind: 'working', pillar: 'clarity', severity: 'info', params: { minShare: 0.7 },
+    when: (c, p)=> c.schemaPages >= Math.ceil(c.total*p.minShare),
+    vars: (c)=> ({ typesNote: c.schema.present.length ? `, including ${typeList(c.schema.present)}` : '' }),
+    title: 'Structured Data Footprint',
+    message: 'Comprehensive structured data implementation declares typed context{typesNote}. Names and roles tend to keep their shape when lifted elsewhere.' },
+  { id: 'entity-identity', kind: 'working', pillar: 'trust', severity: 'info', params: {},
+    when: (c)=> c.schema.present.includes('Organization') && c.schema.present.includes('WebSite'),
+    title: 'Entity Identity Declared',
+    message: 'Organization and WebSite entities are declared in markup. Engines can tie the brand name, URL and pages together without guessing.' },
+  { id: 'internal-paths', kind: 'working', pillar: 'alignment', severity: 'info', params: { minAvgLinks: 6, minPageLinks: 3 },
+    when: (c, p)=> c.avgInt >= p.minAvgLinks && !c.pages.some(x=>x.internalLinkCount<p.minPageLinks),
+    title: 'Internal Path Consistency',
+    message: 'Cross-links maintain strong density with consistent patterns. Nearby ideas do not feel far away.' },
+  { id: 'alt-coverage', kind: 'working', pillar: 'clarity', severity: 'info', params: { minAvgPct: 85 },
+    when: (c, p)=> c.avgAltPct >= p.minAvgPct,
+    title: 'Image Alt Coverage',
+    message: 'Alt text covers most imagery comprehensively. When visuals drop out, the thread usually remains intact.' },
+  { id: 'content-depth', kind: 'working', pillar: 'clarity', severity: 'info', params: { minAvgWords: 600 },
+    when: (c, p)=> c.avgWords >= p.minAvgWords,
+    title: 'Substantial Content Depth',
+    message: 'Content depth maintains substantial coverage throughout. Sections read like chapters, not captions.' },
+  { id: 'answer-ready', kind: 'working', pillar: 'clarity', severity: 'info', params: { minFormatsShare: 0.7, minAnswerFirst: 0.7 },
+    when: (c, p)=> !!c.structure && c.structure.formatsShare >= p.minFormatsShare && (c.structure.answerFirstShare ?? 0) >= p.minAnswerFirst,
+    title: 'Answer-Ready Structure',
+    message: 'Sections open with the answer and lean on lists, tables and Q&A blocks. A model can lift a passage without rewriting it first.' },
+  { id: 'heading-spine', kind: 'working', pillar: 'clarity', severity: 'info', params: {},
+    when: (c)=> c.pages.every(x=>x.h1Count===1 && !x.headings?.skipped),
+    title: 'Clear Heading Spine',
+    message: 'Consistent single H1 structure throughout. Primary topics stand alone instead of competing for the mic.' },
+  { id: 'template-consistency', kind: 'working', pillar: 'alignment', severity: 'info', params: { minPct: 90 },
+    when: (c, p)=> c.navPct >= p.minPct && c.footPct >= p.minPct,
+    title: 'Template Consistency',
+    message: 'Global furniture shows up reliably throughout the site. Orientation tends to persist from section to section.' },
+  { id: 'breadcrumbs', kind: 'working', pillar: 'alignment', severity: 'info', params: { minShare: 0.6 },
+    when: (c, p)=> c.crumbs >= Math.ceil(c.total*p.minShare),
+    title: 'Breadcrumb Traces',
+    message: 'Strong breadcrumb implementation exposes clear trails. Sections announce where they live in the larger map.' },
+  { id: 'freshness-recent', kind: 'working', pillar: 'freshness', severity: 'info', params: { minShare: 0.6 },
+    when: (c, p)=> !!c.freshness?.dated && c.freshness.recent >= Math.ceil(c.freshness.dated*p.minShare),
+    title: 'Recently Maintained Content',
+    message: 'Dated pages show recent care. Engines weighing what is current have reason to lean on {host}.' },
+  { id: 'freshness-feed', kind: 'working', pillar: 'freshness', severity: 'info', params: { maxAgeDays: 90 },
+    when: (c, p)=> c.freshness?.feed?.ageDays != null && c.freshness.feed.ageDays <= p.maxAgeDays,
+    title: 'Active Update Feed',
+    message: 'A live RSS/Atom feed announces new material as it lands. New pages do not have to wait to be stumbled upon.' },
+
+  // ---- needs: site-wide page signals; affected pages and counts go in details ----
+  { id: 'https-gaps', kind: 'needs', pillar: 'trust', severity: 'high', params: {},
+    when: (c)=> c.httpsPages !== c.total,
+    title: 'HTTPS Gaps',
+    message: 'Some sections travel without security locks. The tone changes when they do, affecting trust signals.',
+    details: (c)=> onPages(c, c.pages.filter(x=>!x.hasSSL), ()=>'served over plain HTTP') },
+  { id: 'titles-missing', kind: 'needs', pillar: 'clarity', severity: 'high', params: {},
+    when: (c)=> c.pages.some(x=>!x.title.length),
+    title: 'Missing Titles',
+    message: 'Some sections publish without nameplates. Untitled entries tend to blur at the doorway.',
+    details: (c)=> onPages(c, c.pages.filter(x=>!x.title.length), ()=>'empty or missing <title>') },
+  { id: 'titles-overlong', kind: 'needs', pillar: 'clarity', severity: 'low', params: { maxLength: 60 },
+    when: (c, p)=> c.pages.some(x=>x.title.length>p.maxLength),
+    title: 'Overlong Titles',
+    message: 'Some titles run too long. Edges get trimmed, and the key phrase can fall outside the frame.',
+    details: (c, p)=> onPages(c, c.pages.filter(x=>x.title.length>p.maxLength), x=>`${x.title.length} characters: ${quote(x.title)}`) },
+  { id: 'titles-duplicate', kind: 'needs', pillar: 'clarity', severity: 'medium', params: {},
+    when: (c)=> c.dupTitle > 0,
+    title: 'Duplicate Titles',
+    message: 'Title collisions appear across the site. Different rooms sharing the same label invite mix-ups.',
+    details: (c)=> onPages(c, c.pages.filter(x=>x.title && c.titleGroups.get(x.title).length>1), x=>`${quote(x.title)} shared by ${c.titleGroups.get(x.title).length} pages`) },
+  { id: 'meta-thin', kind: 'needs', pillar: 'clarity', severity: 'medium', params: { minCoverage: 80 },
+    when: (c, p)=> pct(c.pages.filter(x=>x.metaDesc.length>0).length, c.total) < p.minCoverage,
+    title: 'Thin Previews',
+    message: 'Meta description coverage needs enhancement. Without that preface, the first line has to do extra work.',
+    details: (c)=> onPages(c, c.pages.filter(x=>!x.metaDesc.length), ()=>'no meta description') },
+  { id: 'content-thin', kind: 'needs', pillar: 'clarity', severity: 'medium', params: { minWords: 300 },
+    when: (c, p)=> c.rendered.some(x=>x.wordCount<p.minWords),
+    title: 'Thin Content Sections',
+    message: 'Some sections fall short of substantial depth. Skimming turns into skipping when the thread is that short.',
+    details: (c, p)=> onPages(c, c.rendered.filter(x=>x.wordCount<p.minWords), x=>`${x.wordCount} words`) },
+  { id: 'content-shallow', kind: 'needs', pillar: 'clarity', severity: 'medium', params: { minAvgWords: 400 },
+    when: (c, p)=> c.rendered.length > 0 && c.avgWords < p.minAvgWords,
+    title: 'Shallow Average Depth',
+    message: 'Overall content coverage could be more substantial. Ideas arrive, but they do not stay long.',
+    details: (c, p)=> onPages(c, c.rendered.filter(x=>x.wordCount<p.minAvgWords), x=>`${x.wordCount} words (site average ${c.avgWords})`) },
+  { id: 'structure-walls', kind: 'needs', pillar: 'clarity', severity: 'medium', params: { minWords: 300 },
+    when: (c, p)=> c.pages.some(x=>wallOfText(x, p.minWords)),
+    title: 'Answers Buried in Paragraphs',
+    message: 'Key sections run as unbroken prose. Refactor them with lists and Q&A tables so AI can extract answers without parsing long paragraphs.',
+    details: (c, p)=> onPages(c, c.pages.filter(x=>wallOfText(x, p.minWords)), x=>`${x.wordCount} words with no lists, tables or Q&A blocks`) },
+  { id: 'structure-no-questions', kind: 'needs', pillar: 'clarity', severity: 'low', params: { minShare: 0.2 },
+    when: (c, p)=> !!c.structure && c.structure.questionShare < p.minShare,
+    title: 'No Question-Led Sections',
+    message: 'Few headings are phrased the way people ask. A concise FAQ aimed at "how" and "compare" prompts gives engines ready-made question and answer pairs.',
+    details: (c)=> siteWide(c, `${c.pages.filter(x=>x.structure?.questionHeadings > 0).length} of ${c.total} pages have a question-style H2/H3; FAQ blocks on ${c.structure.faqPages}`) },
+  { id: 'structure-answer-late', kind: 'needs', pillar: 'clarity', severity: 'medium', params: { minShare: 0.6 },
+    when: (c, p)=> c.structure?.answerFirstShare != null && c.structure.answerFirstShare < p.minShare,
+    vars: (c)=> ({ share: Math.round(c.structure.answerFirstShare * 100) }),
+    title: 'Answers Arrive Late',
+    message: 'Only {share}% of sections answer their heading in the opening sentence. Engines quote the first lines under a heading; when those lines are preamble, the answer gets left behind.',
+    details: (c)=> onPages(c, c.pages.filter(x=>x.structure?.slowSections?.length), slowEvidence) },
+  { id: 'structure-long-paragraphs', kind: 'needs', pillar: 'clarity', severity: 'low', params: { maxShare: 0.25 },
+    when: (c, p)=> !!c.structure && c.structure.longParagraphShare > p.maxShare,
+    vars: ()=> ({ words: LONG_PARAGRAPH_WORDS }),
+    title: 'Dense Paragraphs',
+    message: 'Many paragraphs run past {words} words. Long blocks blur where one point ends and the next begins.',
+    details: (c)=> onPages(c, c.pages.filter(x=>x.structure?.longParagraphs > 0), x=>`${x.structure.longParagraphs} of ${x.structure.paragraphs} paragraphs over ${LONG_PARAGRAPH_WORDS} words (longest ${x.structure.longestParagraph})`) },
+  { id: 'structure-readability', kind: 'needs', pillar: 'clarity', severity: 'low', params: { minEase: 40 },
+    when: (c, p)=> c.structure?.readability != null && c.structure.readability < p.minEase,
+    vars: (c)=> ({ ease: c.structure.readability }),
+    title: 'Hard-to-Read Copy',
+    message: 'Copy scores {ease} on the Flesch reading-ease scale. Long sentences and dense vocabulary make clean excerpts harder to cut.',
+    details: (c, p)=> onPages(c, c.pages.filter(x=>x.structure?.readability != null && x.structure.readability < p.minEase), x=>`reading ease ${x.structure.readability}`) },
+  { id: 'h1-missing', kind: 'needs', pillar: 'clarity', severity: 'medium', params: {},
+    when: (c)=> c.pages.some(x=>x.h1Count===0),
+    title: 'Missing H1 Headers',
+    message: 'Some sections step onstage without lead headings. The scene opens mid-conversation.',
+    details: (c)=> onPages(c, c.pages.filter(x=>x.h1Count===0), ()=>'no <h1> element') },
+  { id: 'h1-multiple', kind: 'needs', pillar: 'clarity', severity: 'low', params: {},
+    when: (c)=> c.pages.some(x=>x.h1Count>1),
+    title: 'Multiple H1 Anchors',
+    message: 'Some sections carry more than one lead heading. Two spotlights on the same stage split attention.',
+    details: (c)=> onPages(c, c.pages.filter(x=>x.h1Count>1), x=>`${x.h1Count} H1s: ${(x.h1Text||[]).map(quote).join(', ')}`) },
+  { id: 'h1-title-mismatch', kind: 'needs', pillar: 'clarity', severity: 'low', params: { minMatch: TITLE_MATCH },
+    when: (c, p)=> c.pages.some(x=>titleMismatch(x, p.minMatch)),
+    title: 'H1 and Title Disagree',
+    message: 'On some pages the lead heading and the <title> describe different things. Engines pick one to name the page, and the other stops reinforcing it.',
+    details: (c, p)=> onPages(c, c.pages.filter(x=>titleMismatch(x, p.minMatch)), x=>`H1 ${quote(x.headings.h1)} vs title ${quote(x.title)}`) },
+  { id: 'headings-skipped', kind: 'needs', pillar: 'clarity', severity: 'low', params: {},
+    when: (c)=> c.pages.some(x=>x.headings?.skipped),
+    title: 'Skipped Heading Levels',
+    message: 'Some outlines jump levels, an H2 followed straight by an H4. Sections lose their parent, and the page reads as a different tree than the one intended.',
+    details: (c)=> onPages(c, c.pages.filter(x=>x.headings?.skipped), headingEvidence('skipped')) },
+  { id: 'headings-empty', kind: 'needs', pillar: 'clarity', severity: 'low', params: {},
+    when: (c)=> c.pages.some(x=>x.headings?.empty),
+    title: 'Empty Headings',
+    message: 'Some heading tags hold no text. They open a section in the outline with nothing to name it.',
+    details: (c)=> onPages(c, c.pages.filter(x=>x.headings?.empty), headingEvidence('empty')) },
+  { id: 'headings-duplicate', kind: 'needs', pillar: 'clarity', severity: 'low', params: {},
+    when: (c)=> c.pages.some(x=>x.headings?.duplicates),
+    title: 'Repeated Headings',
+    message: 'Some pages reuse the same heading text for different sections. Excerpts cut under either one arrive without a distinct label.',
+    details: (c)=> onPages(c, c.pages.filter(x=>x.headings?.duplicates), headingEvidence('duplicate')) },
+  { id: 'headings-styling', kind: 'needs', pillar: 'clarity', severity: 'low', params: {},
+    when: (c)=> c.pages.some(x=>x.headings?.styling),
+    title: 'Headings Used for Styling',
+    message: 'Some heading tags carry labels, numbers or ALL CAPS taglines rather than section names. They add noise to the outline engines read for structure.',
+    details: (c)=> onPages(c, c.pages.filter(x=>x.headings?.styling), headingEvidence('styling')) },
+  { id: 'links-sparse', kind: 'needs', pillar: 'alignment', severity: 'medium', params: { minAvgLinks: 6 },
+    when: (c, p)=> c.avgInt < p.minAvgLinks,
+    title: 'Sparse Internal Trails',
+    message: 'Internal linking could be stronger throughout. Hops between related ideas feel longer than they need to.',
+    details: (c, p)=> onPages(c, c.pages.filter(x=>x.internalLinkCount<p.minAvgLinks), x=>`${x.internalLinkCount} internal links`) },
+  { id: 'links-isolated', kind: 'needs', pillar: 'alignment', severity: 'medium', params: { minPageLinks: 3 },
+    when: (c, p)=> c.pages.some(x=>x.internalLinkCount<p.minPageLinks),
+    title: 'Isolated Content Areas',
+    message: 'Some sections sit with few connections. They read like side paths that do not loop back.',
+    details: (c, p)=> onPages(c, c.pages.filter(x=>x.internalLinkCount<p.minPageLinks), x=>`${x.internalLinkCount} internal links`) },
+  { id: 'schema-gaps', kind: 'needs', pillar: 'clarity', severity: 'medium', params: { minShare: 0.7 },
+    when: (c, p)=> c.schemaPages < Math.ceil(c.total*p.minShare) || c.schema.gaps.length > 0,
+    vars: (c)=>{
+      const gapText = c.schema.gaps.slice(0,3).map(g=>`${g.template} templates lack ${g.type}`);
+      return {
+        absentNote: c.schema.absent.length ? `; no ${typeList(c.schema.absent)} markup was found site-wide` : '',
+        gapNote: gapText.length ? `Notably, ${typeList(gapText)}. ` : ''
+      };
+    },
+    title: 'Typed Context Gaps',
+    message: 'Structured data signals need broader implementation{absentNote}. {gapNote}Where typing fades, names and roles smudge at the edges.',
+    details: (c)=> onPages(c, c.pages.filter(x=>!x.hasSchema || gapsFor(c, x).length), x=> x.hasSchema ? `${templateOf(x)} page without ${gapsFor(c, x).join(', ')}` : 'no structured data') },
+  { id: 'schema-errors', kind: 'needs', pillar: 'clarity', severity: 'medium', params: {},
+    when: (c)=> c.schema.invalidJson.length > 0 || c.schema.missingProps.length > 0,
+    vars: (c)=>{
+      const broken = [...new Set(c.schema.missingProps.map(e=>e.type))].slice(0,3);
+      return {
+        invalidNote: c.schema.invalidJson.length ? 'Some JSON-LD blocks do not parse, so engines discard them entirely. ' : '',
+        missingNote: broken.length ? `${typeList(broken)} entities are missing required properties. ` : ''
+      };
+    },
+    title: 'Structured Data Errors',
+    message: '{invalidNote}{missingNote}Markup that half-declares an entity can read as noise rather than signal.',
+    details: (c)=> onPages(c, c.pages.filter(x=>x.schema?.errors?.length), x=>x.schema.errors.map(e=>e.message).join('; ')) },
+  { id: 'alt-gaps', kind: 'needs', pillar: 'clarity', severity: 'low', params: { minAvgPct: 70 },
+    when: (c, p)=> c.avgAltPct < p.minAvgPct,
+    title: 'Alt-Text Coverage Gaps',
+    message: 'Alt attribute coverage needs improvement across imagery. When captions go missing, pictures turn into placeholders.',
+    details: (c, p)=> onPages(c, c.pages.filter(x=>lowAlt(x, p.minAvgPct)), missingAlt) },
+  { id: 'breadcrumbs-limited', kind: 'needs', pillar: 'alignment', severity: 'low', params: { minShare: 0.4 },
+    when: (c, p)=> c.crumbs < Math.ceil(c.total*p.minShare),
+    title: 'Limited Breadcrumb Trails',
+    message: 'Breadcrumb implementation could be expanded. Without that line, sections float more than they stack.',
+    details: (c)=> onPages(c, c.pages.filter(x=>!x.breadcrumbs), ()=>'no breadcrumb trail') },
+  { id: 'template-inconsistent', kind: 'needs', pillar: 'alignment', severity: 'low', params: { minPct: 80 },
+    when: (c, p)=> c.navPct < p.minPct || c.footPct < p.minPct,
+    title: 'Template Inconsistencies',
+    message: 'Global elements fluctuate in presence. The room changes shape more often than expected.',
+    details: (c)=> onPages(c, c.pages.filter(x=>!x.hasNav || !x.hasFooter), x=>`missing ${[!x.hasNav && '<nav>', !x.hasFooter && '<footer>'].filter(Boolean).join(' and ')}`) },
+
+  // ---- freshness ----
+  { id: 'freshness-stale', kind: 'needs', pillar: 'freshness', severity: 'medium', params: { maxAgeDays: 365, minShare: 0.5 },
+    when: (c, p)=> !!c.freshness?.dated && c.pages.filter(x=>pageAge(x) > p.maxAgeDays).length >= Math.ceil(c.freshness.dated*p.minShare),
+    title: 'Aging Content',
+    message: 'Much of the dated material has not been touched in over a year. Answers about what is current tend to look elsewhere.',
+    details: (c, p)=> onPages(c, c.pages.filter(x=>pageAge(x) > p.maxAgeDays), x=>`last updated ${lastUpdated(x.freshness).slice(0,10)} (${pageAge(x)} days ago)`) },
+  { id: 'freshness-undated', kind: 'needs', pillar: 'freshness', severity: 'low', params: { minShare: 0.5 },
+    when: (c, p)=> !!c.freshness && c.freshness.dated < Math.ceil(c.total*p.minShare),
+    title: 'Undated Pages',
+    message: 'Most sections carry no date in markup, headers or the sitemap. Without a timestamp, recency has to be guessed.',
+    details: (c)=> onPages(c, c.pages.filter(x=>!lastUpdated(x.freshness)), ()=>'no Last-Modified header, sitemap lastmod or declared date') },
+  { id: 'freshness-article-dates', kind: 'needs', pillar: 'freshness', severity: 'medium', params: {},
+    when: (c)=> c.pages.some(x=>isArticle(x) && !articleDated(x)),
+    title: 'Articles Without Dates',
+    message: 'Some articles publish without a visible or declared date. A story without a dateline is hard to place in time.',
+    details: (c)=> onPages(c, c.pages.filter(x=>isArticle(x) && !articleDated(x)), ()=>'no datePublished, dateModified, article:published_time or <time>') },
+  { id: 'freshness-no-feed', kind: 'needs', pillar: 'freshness', severity: 'low', params: {},
+    when: (c)=> !!c.freshness && !c.freshness.feed && c.freshness.articles > 0,
+    title: 'No Update Feed',
+    message: 'Articles are published without an RSS or Atom feed alongside them. New material waits to be found instead of being announced.',
+    details: (c)=> siteWide(c, 'no <link rel="alternate"> RSS/Atom feed advertised on crawled pages') },
+  { id: 'freshness-feed-stale', kind: 'needs', pillar: 'freshness', severity: 'low', params: { maxAgeDays: 180 },
+    when: (c, p)=> !!c.freshness?.feed && (c.freshness.feed.ageDays === null || c.freshness.feed.ageDays > p.maxAgeDays),
+    vars: (c)=> ({ feedNote: c.freshness.feed.ageDays === null ? 'could not be read' : 'has gone quiet' }),
+    title: 'Quiet Update Feed',
+    message: 'The advertised feed {feedNote}. A feed that stops talking suggests the site has too.',
+    details: (c)=>{
+      const f = c.freshness.feed;
+      return siteWide(c, f.ageDays === null ? `${f.url}: ${f.error || 'no dated items'}` : `${f.url}: newest item ${f.latest.slice(0,10)} (${f.ageDays} days ago)`);
+    } },
+  { id: 'freshness-copyright', kind: 'needs', pillar: 'freshness', severity: 'low', params: { maxYearsBehind: 1 },
+    when: (c, p)=> !!c.freshness?.copyrightYear && c.freshness.currentYear - c.freshness.copyrightYear > p.maxYearsBehind,
+    vars: (c)=> ({ year: c.freshness.copyrightYear }),
+    title: 'Stale Copyright Year',
+    message: 'The footer still reads © {year}. Small as it is, it reads like a sign nobody has checked in a while.',
+    details: (c, p)=> onPages(c, c.pages.filter(x=>x.freshness?.copyrightYear && c.freshness.currentYear - x.freshness.copyrightYear > p.maxYearsBehind), x=>`© ${x.freshness.copyrightYear}`) },
+
+  // full-only extra surface
+  { id: 'contact-limited', kind: 'needs', pillar: 'trust', severity: 'low', params: { minShare: 0.6 },
+    when: (c, p)=> c.contactSignals < Math.ceil(c.total*p.minShare),
+    title: 'Limited Contact Footprint',
+    message: 'Direct touchpoints surface intermittently. When the handshake is not obvious, trust has to travel farther.',
+    details: (c)=> onPages(c, c.pages.filter(x=>!x.contactInfo.phone && !x.contactInfo.email && !x.contactInfo.address), ()=>'no phone, email or address markup') },
+  { id: 'social-minimal', kind: 'needs', pillar: 'trust', severity: 'low', params: {},
+    when: (c)=> c.socialAvg === 0,
+    title: 'Minimal Social Presence',
+    message: 'Social paths do not present themselves prominently. The broader footprint feels thinner than the site center of gravity.',
+    details: (c)=> onPages(c, c.pages.filter(x=>!x.socialLinkCount), ()=>'no social profile links') },
+  { id: 'external-dense', kind: 'needs', pillar: 'alignment', severity: 'low', params: { maxAvgLinks: 8 },
+    when: (c, p)=> c.extLinksAvg > p.maxAvgLinks,
+    title: 'High External Link Density',
+    message: 'Outbound references appear frequently throughout. The narrative steps outside the room more than it stays in it.',
+    details: (c, p)=> onPages(c, c.pages.filter(x=>x.externalLinkCount>p.maxAvgLinks), x=>`${x.externalLinkCount} outbound links`) },
+];
+
+const fill = (tpl, vars)=> String(tpl).replace(/\{(\w+)\}/g, (m, k)=> k in vars ? String(vars[k]) : m);
+
+// one rule against one context: null when it does not fire, otherwise the finding
+export function runRule(rule, ctx){
+  if (rule.enabled === false) return null;
+  const params = rule.params || {};
+  if (!rule.when(ctx, params)) return null;
+  const vars = { host: ctx.host, ...params, ...(rule.vars ? rule.vars(ctx, params) : {}) };
+  const item = { id: rule.id, pillar: rule.pillar, severity: rule.severity, title: fill(rule.title, vars), description: fill(rule.message, vars) };
+  if (rule.details) item.details = rule.details(ctx, params);
+  return item;
+}
+
+// a rule that throws (usually a bad config value) is skipped, not fatal to the report
+export function evaluateRules(rules, ctx){
+  const working = [], needsAttention = [];
+  for (const rule of rules){
+    try{
+      const item = runRule(rule, ctx);
+      if (item) (rule.kind === 'working' ? working : needsAttention).push(item);
+    }catch(e){
+      console.error(`Rule ${rule.id} failed:`, e.message);
+    }
+  }
+  return { working, needsAttention };
+}
+
+// ---- configuration ----
+function checkOverrides(where, overrides={}){
+  for (const [id, o] of Object.entries(overrides)){
+    const rule = RULES.find(r=>r.id===id);
+    if (!rule){ console.warn(`${where}: unknown rule "${id}"`); continue; }
+    for (const k of Object.keys(o.params || {})) if (!(k in rule.params)) console.warn(`${where}: rule "${id}" has no param "${k}"`);
+    if (o.severity && !SEVERITIES.includes(o.severity)) throw new Error(`${where}: rule "${id}" severity must be one of ${SEVERITIES.join(', ')}`);
+  }
+}
+
+// a broken config file should stop the server, not silently fall back to defaults
+export function loadRuleConfig(file=process.env.RULES_CONFIG){
+  if (!file) return {};
+  let config;
+  try{ config = JSON.parse(fs.readFileSync(file, 'utf8')); }
+  catch(e){ throw new Error(`RULES_CONFIG ${file}: ${e.message}`); }
+  checkOverrides('RULES_CONFIG rules', config.rules);
+  for (const [name, prof] of Object.entries(config.profiles || {})) checkOverrides(`RULES_CONFIG profile ${name}`, prof.rules);
+  for (const [host, h] of Object.entries(config.hosts || {})){
+    if (h.profile && !config.profiles?.[h.profile]) throw new Error(`RULES_CONFIG host ${host}: unknown profile "${h.profile}"`);
+    checkOverrides(`RULES_CONFIG host ${host}`, h.rules);
+  }
+  return config;
+}
+
+export function rulesFor(config={}, host='', rules=RULES){
+  const hostCfg = config.hosts?.[host] || {};
+  const layers = [config.rules, config.profiles?.[hostCfg.profile]?.rules, hostCfg.rules].filter(Boolean);
+  return rules.map(rule=>layers.reduce((r, layer)=>{
+    const o = layer[rule.id];
+    if (!o) return r;
+    const picked = Object.fromEntries(OVERRIDABLE.filter(k=>k in o).map(k=>[k, o[k]]));
+    return { ...r, ...picked, params: { ...r.params, ...o.params } };
+  }, rule));
+}
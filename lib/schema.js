@@ -0,0 +1,197 @@
+// lib/schema.js — structured data inventory: JSON-LD (incl. @graph / arrays / nesting), microdata, RDFa
+// - extractSchema($) runs per page and returns typed entities plus parse/validation problems
+// - summarizeSchema(pages) rolls pages up into a site-wide type inventory and per-template gaps
+
+// required properties we check per type (subset of Google rich-result requirements that matter for entity clarity)
+export const REQUIRED_PROPS = {
+  Organization:   ['name', 'url'],
+  LocalBusiness:  ['name', 'address'],
+  WebSite:        ['name', 'url'],
+  WebPage:        ['name'],
+  Article:        ['headline', 'author', 'datePublished'],
+  BlogPosting:    ['headline', 'author', 'datePublished'],
+  NewsArticle:    ['headline', 'author', 'datePublished'],
+  Product:        ['name', 'offers'],
+  Offer:          ['price', 'priceCurrency'],
+  FAQPage:        ['mainEntity'],
+  Question:       ['name', 'acceptedAnswer'],
+  BreadcrumbList: ['itemListElement'],
+  Person:         ['name'],
+  Event:          ['name', 'startDate', 'location'],
+  Recipe:         ['name', 'recipeIngredient'],
+  Review:         ['author', 'reviewRating'],
+  HowTo:          ['name', 'step'],
+};
+
+// the types the report calls out site-wide, in display order
+export const KEY_TYPES = ['Organization', 'WebSite', 'BreadcrumbList', 'FAQPage', 'Article', 'Product'];
+
+// template -> types we expect to see on it
+const TEMPLATE_EXPECTS = {
+  home:    ['Organization', 'WebSite'],
+  article: ['Article', 'BreadcrumbList'],
+  product: ['Product', 'BreadcrumbList'],
+  faq:     ['FAQPage'],
+};
+const ARTICLE_TYPES = new Set(['Article', 'BlogPosting', 'NewsArticle', 'TechArticle', 'Report']);
+const ORG_TYPES = new Set(['Organization', 'LocalBusiness', 'Corporation', 'NGO', 'EducationalOrganization', 'GovernmentOrganization']);
+
+// "https://schema.org/Product" / "schema:Product" -> "Product"
+const shortType = (t)=> String(t||'').trim().replace(/^https?:\/\/schema\.org\//i,'').replace(/^schema:/i,'');
+const typesOf = (node)=> [].concat(node?.['@type'] || []).map(shortType).filter(Boolean);
+
+function validate(type, props){
+  const required = REQUIRED_PROPS[type];
+  if (!required) return [];
+  return required.filter(p=>{
+    const v = props[p];
+    return v === undefined || v === null || v === '' || (Array.isArray(v) && !v.length);
+  });
+}
+
+// ---- JSON-LD ----
+function walkJsonLd(node, out, depth=0){
+  if (!node || typeof node !== 'object' || depth > 6) return;
+  if (Array.isArray(node)){ node.forEach(n=>walkJsonLd(n, out, depth)); return; }
+  if (node['@graph']) walkJsonLd(node['@graph'], out, depth);
+  const types = typesOf(node);
+  if (types.length){
+    const props = Object.fromEntries(Object.entries(node).filter(([k])=>!k.startsWith('@')));
+    out.push({ types, props, nested: depth > 0 });
+  }
+  // nested entities (author: {@type: Person}, offers: {@type: Offer}, mainEntity: [Question...])
+  for (const [k, v] of Object.entries(node)){
+    if (k === '@graph' || k === '@context') continue;
+    if (v && typeof v === 'object') walkJsonLd(v, out, depth + 1);
+  }
+}
+
+// ---- microdata ----
+function microdataEntities($){
+  const out = [];
+  $('[itemscope][itemtype]').each((_, el)=>{
+    const types = String($(el).attr('itemtype')).split(/\s+/).map(shortType).filter(Boolean);
+    const props = {};
+    // itemprops that belong to this scope, not to a nested itemscope
+    $(el).find('[itemprop]').each((__, p)=>{
+      if ($(p).parent().closest('[itemscope]')[0] !== el) return;
+      const name = $(p).attr('itemprop');
+      const value = $(p).is('[itemscope]') ? {} : ($(p).attr('content') || $(p).attr('href') || $(p).attr('src') || $(p).attr('datetime') || $(p).text().trim());
+      for (const n of String(name).split(/\s+/)) if (n && props[n] === undefined) props[n] = value;
+    });
+    out.push({ types, props, nested: $(el).parent().closest('[itemscope]').length > 0 });
+  });
+  return out;
+}
+
+// ---- RDFa (typeof/property) ----
+function rdfaEntities($){
+  const out = [];
+  $('[typeof]').each((_, el)=>{
+    const types = String($(el).attr('typeof')).split(/\s+/).map(shortType).filter(Boolean);
+    const props = {};
+    $(el).find('[property]').each((__, p)=>{
+      if ($(p).parent().closest('[typeof]')[0] !== el) return;
+      const name = shortType($(p).attr('property'));
+      const value = $(p).attr('content') || $(p).attr('href') || $(p).attr('resource') || $(p).text().trim();
+      if (name && props[name] === undefined) props[name] = value;
+    });
+    out.push({ types, props, nested: $(el).parent().closest('[typeof]').length > 0 });
+  });
+  return out;
+}
+
+export function extractSchema($){
+  const entities = [];
+  const errors = [];
+
+  $('script[type="application/ld+json"]').each((i, el)=>{
+    const raw = $(el).contents().text().trim();
+    if (!raw) return;
+    let data;
+    try{ data = JSON.parse(raw); }
+    catch(e){
+      // some CMSs wrap the block in HTML comments or CDATA
+      try{ data = JSON.parse(raw.replace(/^\s*(<!--|<!\[CDATA\[)/,'').replace(/(-->|\]\]>)\s*$/,'')); }
+      catch{ errors.push({ source: 'json-ld', block: i, message: `Invalid JSON: ${e.message}` }); return; }
+    }
+    const found = [];
+    walkJsonLd(data, found);
+    found.forEach(f=>entities.push({ ...f, source: 'json-ld' }));
+  });
+  microdataEntities($).forEach(f=>entities.push({ ...f, source: 'microdata' }));
+  rdfaEntities($).forEach(f=>entities.push({ ...f, source: 'rdfa' }));
+
+  // keep the page payload small: types, source and what is missing, not the full property bags
+  const typed = entities.map(e=>{
+    const missing = [...new Set(e.types.flatMap(t=>validate(t, e.props)))];
+    return { types: e.types, source: e.source, nested: e.nested, missing };
+  });
+  typed.filter(e=>e.missing.length).forEach(e=>errors.push({
+    source: e.source, type: e.types[0], message: `${e.types[0]} missing ${e.missing.join(', ')}`
+  }));
+
+  return { entities: typed, types: [...new Set(typed.flatMap(e=>e.types))], errors };
+}
+
+// rough page template from URL and on-page signals; good enough to group pages for gap reporting
+export function templateOf(page){
+  let path = '/';
+  try{ path = new URL(page.url).pathname.toLowerCase(); }catch{}
+  const types = new Set(page.schema?.types || []);
+  if (page.level === 0 || path === '/') return 'home';
+  if (/\/(faq|faqs|help|support)(\/|$)/.test(path) || types.has('FAQPage')) return 'faq';
+  if (/\/(product|products|shop|store|item)s?\//.test(path) || types.has('Product')) return 'product';
+  if (/\/(blog|news|articles?|posts?|insights|resources|stories)\//.test(path) || [...types].some(t=>ARTICLE_TYPES.has(t))) return 'article';
+  return 'page';
+}
+
+export const hasType = (types, wanted)=>{
+  if (wanted === 'Article') return types.some(t=>ARTICLE_TYPES.has(t));
+  if (wanted === 'Organization') return types.some(t=>ORG_TYPES.has(t));
+  return types.includes(wanted);
+};
+
+export function summarizeSchema(pages=[]){
+  const total = pages.length;
+  const typeCounts = {};
+  const templates = {};
+  const invalid = [];
+  let withSchema = 0;
+
+  for (const p of pages){
+    const types = p.schema?.types || [];
+    if (types.length) withSchema++;
+    types.forEach(t=>{ typeCounts[t] = (typeCounts[t]||0) + 1; });
+    (p.schema?.errors || []).forEach(e=>invalid.push({ url: p.url, ...e }));
+
+    const tpl = templateOf(p);
+    templates[tpl] = templates[tpl] || { pages: 0, missing: {} };
+    templates[tpl].pages++;
+    for (const want of TEMPLATE_EXPECTS[tpl] || []){
+      if (!hasType(types, want)) templates[tpl].missing[want] = (templates[tpl].missing[want]||0) + 1;
+    }
+  }
+
+  // Organization / WebSite only need to appear once, usually on the homepage
+  const siteTypes = pages.flatMap(p=>p.schema?.types || []);
+  const present = KEY_TYPES.filter(t=>hasType(siteTypes, t));
+
+  // a template "lacks" a type when at least half of its pages go without it
+  const gaps = Object.entries(templates).flatMap(([template, t])=>
+    Object.entries(t.missing)
+      .filter(([, n])=>n >= Math.ceil(t.pages/2))
+      .map(([type, n])=>({ template, type, pages: n, of: t.pages }))
+  );
+
+  return {
+    coverage: total ? withSchema/total : 0,
+    pagesWithSchema: withSchema,
+    typeCounts,
+    present,
+    absent: KEY_TYPES.filter(t=>!present.includes(t)),
+    invalidJson: invalid.filter(e=>/^Invalid JSON/.test(e.message)),
+    missingProps: invalid.filter(e=>!/^Invalid JSON/.test(e.message)),
+    gaps
+  };
+}
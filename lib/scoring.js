@@ -0,0 +1,195 @@
+// lib/scoring.js — the SnipeRank scoring model
+// - Four headline pillars worth 25 points each; the headline score is their sum (0-100)
+// - Freshness & Engagement is scored the same way (out of 25) but reported alongside, not added in
+// - Each pillar is a weighted set of sub-signals. A signal measures something in the crawl as a value
+//   between 0 and 1 and earns value × points; its weight is its share of the pillar
+// - The same breakdown backs /api/score?explain=1 and the "What goes into this score?" modal
+// - Thresholds below are the levels at which a signal earns full points
+
+import { KEY_TYPES } from './schema.js';
+import { RECENT_DAYS } from './freshness.js';
+import { ANSWER_WORDS, LONG_PARAGRAPH_WORDS, hasFormats } from './structure.js';
+
+const PILLAR_POINTS = 25;
+export const FULL_DEPTH_WORDS = 600;      // average words per page for full content-depth credit
+const FULL_LINK_DEPTH = 8;         // average internal links per page for full discoverability credit
+const MIN_PAGE_LINKS = 3;          // a page with fewer internal links counts as isolated
+const MAX_TITLE_LENGTH = 60;
+const MAX_EXTERNAL_AVG = 8;        // outbound links per page before credibility credit starts to fall
+const CONTACT_TARGET = 0.6;        // share of pages with a contact path for full credit
+const FRESH_FEED_DAYS = 90;        // newest feed item this recent earns full feed credit
+const FORMATS_TARGET = 0.7;        // share of pages with lists / tables / Q&A for full extractability credit
+const QUESTIONS_TARGET = 0.3;      // share of pages with question headings or a FAQ for full credit
+const EASE_FLOOR = 30, EASE_FULL = 60; // Flesch reading ease: no credit at the floor, full credit at EASE_FULL
+
+export const PILLARS = {
+  access:    'AI Access Readiness',
+  trust:     'Trust & Verification Signals',
+  clarity:   'LLM Interpretability & Clarity',
+  alignment: 'Prompt-Pattern Alignment',
+  freshness: 'Freshness & Engagement Signals',
+};
+export const HEADLINE_PILLARS = ['access', 'trust', 'clarity', 'alignment'];
+
+const share = (pages, test)=> pages.length ? pages.filter(test).length / pages.length : 0;
+const avgOf = (pages, key)=> pages.length ? pages.reduce((s,p)=>s+(p[key]||0),0) / pages.length : 0;
+const pctText = (v)=> `${Math.round(v*100)}%`;
+const cap = (v)=> Math.max(0, Math.min(1, v));
+
+// each signal: id, pillar, label, points, measure(ctx) -> { value: 0..1, detail }
+export const SIGNALS = [
+  // ---- access ----
+  { id: 'aiAgentsAllowed', pillar: 'access', label: 'AI crawlers allowed (robots.txt + live fetch)', points: 8,
+    measure: ({ access })=> access
+      ? { value: access.allowedShare, detail: `${Math.round(access.allowedShare*access.agents.length)} of ${access.agents.length} agents allowed` }
+      : { value: 0.5, detail: 'AI crawler audit unavailable; half credit' } },
+  { id: 'noaiAbsent', pillar: 'access', label: 'No noai / noimageai directives', points: 2,
+    measure: ({ access, pages })=>{
+      const flagged = share(pages, p=>p.aiDirectives?.noai || p.aiDirectives?.noimageai);
+      const siteWide = !!(access?.directives.noai || access?.directives.noimageai);
+      return { value: siteWide ? 0 : 1 - flagged, detail: siteWide ? 'site-wide noai directive' : `${pctText(flagged)} of pages opt out` };
+    } },
+  { id: 'llmsTxt', pillar: 'access', label: 'llms.txt published', points: 2,
+    measure: ({ access })=> ({ value: access?.llmsTxt.present ? 1 : 0, detail: access?.llmsTxt.present ? 'present' : 'missing' }) },
+  { id: 'linkDepth', pillar: 'access', label: 'Internal link depth (discoverability)', points: 4,
+    measure: ({ pages })=>{ const a = avgOf(pages, 'internalLinkCount'); return { value: cap(a/FULL_LINK_DEPTH), detail: `${a.toFixed(1)} internal links per page (full credit at ${FULL_LINK_DEPTH})` }; } },
+  { id: 'navigation', pillar: 'access', label: 'Navigation present on every page', points: 3,
+    measure: ({ pages })=>{ const v = share(pages, p=>p.hasNav); return { value: v, detail: `${pctText(v)} of pages have <nav>` }; } },
+  // indexability (lib/indexability.js)
+  { id: 'indexable', pillar: 'access', label: 'Pages open to indexing (no noindex)', points: 4,
+    measure: ({ indexability: x })=> x
+      ? { value: x.indexable / x.total, detail: `${x.indexable} of ${x.total} pages indexable${x.noindexCount ? `; ${x.noindexCount} noindex` : ''}` }
+      : { value: 0.5, detail: 'not measured; half credit' } },
+  { id: 'indexSignals', pillar: 'access', label: 'Valid canonical and hreflang signals', points: 2,
+    measure: ({ indexability: x })=> x
+      ? { value: (x.clean.pages - x.clean.noCanonical/2) / x.total, detail: `${x.clean.pages} of ${x.total} pages without canonical / hreflang issues; ${x.canonical.missing} without a canonical (half credit)` }
+      : { value: 0.5, detail: 'not measured; half credit' } },
+
+  // ---- trust ----
+  { id: 'https', pillar: 'trust', label: 'HTTPS everywhere', points: 8,
+    measure: ({ pages })=>{ const v = share(pages, p=>p.hasSSL); return { value: v, detail: `${pctText(v)} of pages over HTTPS` }; } },
+  { id: 'entityIdentity', pillar: 'trust', label: 'Organization + WebSite entities declared', points: 5,
+    measure: ({ schema })=>{
+      const found = ['Organization','WebSite'].filter(t=>schema.present.includes(t));
+      return { value: found.length/2, detail: found.length ? `${found.join(' + ')} declared` : 'neither declared' };
+    } },
+  { id: 'contactPaths', pillar: 'trust', label: 'Visible contact paths', points: 5,
+    measure: ({ pages })=>{
+      const v = share(pages, p=>p.contactInfo.phone || p.contactInfo.email || p.contactInfo.address);
+      return { value: cap(v/CONTACT_TARGET), detail: `${pctText(v)} of pages show phone, email or address (full credit at ${pctText(CONTACT_TARGET)})` };
+    } },
+  { id: 'socialProfiles', pillar: 'trust', label: 'Social profile links', points: 3,
+    measure: ({ pages })=>{ const v = share(pages, p=>p.socialLinkCount>0); return { value: v, detail: `${pctText(v)} of pages link to social profiles` }; } },
+  { id: 'outboundBalance', pillar: 'trust', label: 'Balanced outbound references', points: 4,
+    measure: ({ pages })=>{
+      const a = avgOf(pages, 'externalLinkCount');
+      const value = a === 0 ? 0.5 : a <= MAX_EXTERNAL_AVG ? 1 : cap(1 - (a-MAX_EXTERNAL_AVG)/MAX_EXTERNAL_AVG);
+      return { value, detail: `${a.toFixed(1)} outbound links per page` };
+    } },
+
+  // ---- clarity ----
+  { id: 'singleH1', pillar: 'clarity', label: 'One H1 per page', points: 4,
+    measure: ({ pages })=>{ const v = share(pages, p=>p.h1Count===1); return { value: v, detail: `${pctText(v)} of pages have exactly one H1` }; } },
+  { id: 'titles', pillar: 'clarity', label: `Unique titles under ${MAX_TITLE_LENGTH} characters`, points: 4,
+    measure: ({ pages })=>{
+      const counts = pages.reduce((m,p)=>m.set(p.title, (m.get(p.title)||0)+1), new Map());
+      const v = share(pages, p=>p.title.length>0 && p.title.length<=MAX_TITLE_LENGTH && counts.get(p.title)===1);
+      return { value: v, detail: `${pctText(v)} of titles present, unique and short enough` };
+    } },
+  { id: 'metaDescriptions', pillar: 'clarity', label: 'Meta descriptions', points: 3,
+    measure: ({ pages })=>{ const v = share(pages, p=>(p.metaDesc||'').length>0); return { value: v, detail: `${pctText(v)} of pages have one` }; } },
+  { id: 'contentDepth', pillar: 'clarity', label: 'Content depth', points: 3,
+    measure: ({ pages })=>{ const a = avgOf(pages, 'wordCount'); return { value: cap(a/FULL_DEPTH_WORDS), detail: `${Math.round(a)} words per page (full credit at ${FULL_DEPTH_WORDS})` }; } },
+  { id: 'altText', pillar: 'clarity', label: 'Image alt text', points: 1,
+    measure: ({ pages })=>{
+      const imgs = pages.reduce((s,p)=>s+(p.imageCount||0),0);
+      const alts = pages.reduce((s,p)=>s+(p.imageAltCount||0),0);
+      const v = imgs ? alts/imgs : 1;
+      return { value: v, detail: imgs ? `${pctText(v)} of ${imgs} images` : 'no images found' };
+    } },
+  { id: 'schemaValidity', pillar: 'clarity', label: 'Structured data without errors', points: 2,
+    measure: ({ pages, schema })=>{
+      const withSchema = pages.filter(p=>p.hasSchema);
+      if (!withSchema.length) return { value: 0, detail: 'no structured data to validate' };
+      const v = share(withSchema, p=>!(p.schema?.errors||[]).length);
+      return { value: v, detail: `${pctText(v)} of marked-up pages are error-free${schema.invalidJson.length ? `; ${schema.invalidJson.length} JSON-LD block(s) do not parse` : ''}` };
+    } },
+  // answer extractability (lib/structure.js)
+  { id: 'extractableFormats', pillar: 'clarity', label: 'Lists, tables and Q&A blocks in body copy', points: 2,
+    measure: ({ pages })=>{ const v = share(pages, p=>p.structure && hasFormats(p.structure)); return { value: cap(v/FORMATS_TARGET), detail: `${pctText(v)} of pages (full credit at ${pctText(FORMATS_TARGET)})` }; } },
+  { id: 'questionHeadings', pillar: 'clarity', label: 'Question-style headings or FAQ', points: 2,
+    measure: ({ structure: s })=> s
+      ? { value: cap(s.questionShare/QUESTIONS_TARGET), detail: `${pctText(s.questionShare)} of pages${s.faqPages ? `; FAQ on ${s.faqPages}` : ''} (full credit at ${pctText(QUESTIONS_TARGET)})` }
+      : { value: 0, detail: 'not measured' } },
+  { id: 'answerFirst', pillar: 'clarity', label: `Sections that answer in the first ${ANSWER_WORDS} words`, points: 2,
+    measure: ({ structure: s })=> s?.sections
+      ? { value: s.answerFirstShare, detail: `${pctText(s.answerFirstShare)} of ${s.sections} H2/H3 sections` }
+      : { value: 0, detail: 'no H2/H3 sections with body text' } },
+  { id: 'paragraphLength', pillar: 'clarity', label: `Paragraphs under ${LONG_PARAGRAPH_WORDS} words`, points: 1,
+    measure: ({ structure: s })=> s?.paragraphs
+      ? { value: 1 - s.longParagraphShare, detail: `${pctText(1 - s.longParagraphShare)} of ${s.paragraphs} paragraphs; median ${s.medianParagraphWords} words` }
+      : { value: 0, detail: 'no paragraphs found' } },
+  { id: 'readability', pillar: 'clarity', label: 'Readable copy (Flesch reading ease)', points: 1,
+    measure: ({ structure: s })=> s?.readability != null
+      ? { value: cap((s.readability - EASE_FLOOR)/(EASE_FULL - EASE_FLOOR)), detail: `reading ease ${s.readability} (full credit at ${EASE_FULL})` }
+      : { value: 0.5, detail: 'too little prose to measure; half credit' } },
+
+  // ---- alignment ----
+  { id: 'schemaCoverage', pillar: 'alignment', label: 'Structured data coverage', points: 7,
+    measure: ({ pages })=>{ const v = share(pages, p=>p.hasSchema); return { value: v, detail: `${pctText(v)} of pages carry schema` }; } },
+  { id: 'keyTypes', pillar: 'alignment', label: `Key schema types (${KEY_TYPES.join(', ')})`, points: 5,
+    measure: ({ schema })=> ({ value: schema.present.length/KEY_TYPES.length, detail: schema.present.length ? `${schema.present.join(', ')} present` : 'none present' }) },
+  { id: 'connectedPages', pillar: 'alignment', label: `Pages with ${MIN_PAGE_LINKS}+ internal links`, points: 5,
+    measure: ({ pages })=>{ const v = share(pages, p=>p.internalLinkCount>=MIN_PAGE_LINKS); return { value: v, detail: `${pctText(v)} of pages` }; } },
+  { id: 'sectioning', pillar: 'alignment', label: 'Pages broken into H2 sections', points: 5,
+    measure: ({ pages })=>{ const v = share(pages, p=>p.h2Count>0); return { value: v, detail: `${pctText(v)} of pages use H2s` }; } },
+  { id: 'breadcrumbs', pillar: 'alignment', label: 'Breadcrumb trails', points: 3,
+    measure: ({ pages })=>{ const v = share(pages, p=>p.breadcrumbs); return { value: v, detail: `${pctText(v)} of pages` }; } },
+
+  // ---- freshness (not part of the headline score) ----
+  { id: 'recentUpdates', pillar: 'freshness', label: `Pages updated in the last ${RECENT_DAYS} days`, points: 8,
+    measure: ({ freshness: f })=> f?.dated
+      ? { value: f.recent/f.dated, detail: `${pctText(f.recent/f.dated)} of dated pages${f.medianAgeDays !== null ? `; median age ${f.medianAgeDays} days` : ''}` }
+      : { value: 0, detail: 'no update dates found' } },
+  { id: 'datedPages', pillar: 'freshness', label: 'Pages that declare a date (schema, meta, <time>, sitemap)', points: 4,
+    measure: ({ freshness: f })=>{ const v = f?.total ? f.dated/f.total : 0; return { value: v, detail: `${pctText(v)} of pages` }; } },
+  { id: 'cacheValidators', pillar: 'freshness', label: 'Last-Modified / ETag headers', points: 2,
+    measure: ({ freshness: f })=>{ const v = f?.total ? f.validators/f.total : 0; return { value: v, detail: `${pctText(v)} of pages send one` }; } },
+  { id: 'articleDates', pillar: 'freshness', label: 'Articles with published / modified dates', points: 4,
+    measure: ({ freshness: f })=> f?.articles
+      ? { value: f.articlesDated/f.articles, detail: `${pctText(f.articlesDated/f.articles)} of article pages` }
+      : { value: 1, detail: 'no article pages found' } },
+  { id: 'feed', pillar: 'freshness', label: 'Active RSS / Atom feed', points: 4,
+    measure: ({ freshness: f })=>{
+      const feed = f?.feed;
+      if (!feed) return { value: 0, detail: 'no feed advertised' };
+      if (feed.ageDays === null) return { value: 0.4, detail: `feed advertised but unreadable${feed.error ? ` (${feed.error})` : ''}` };
+      const value = feed.ageDays <= FRESH_FEED_DAYS ? 1 : feed.ageDays <= RECENT_DAYS ? 0.6 : 0.3;
+      return { value, detail: `newest item ${feed.ageDays} days old` };
+    } },
+  { id: 'copyrightYear', pillar: 'freshness', label: 'Current copyright year', points: 3,
+    measure: ({ freshness: f })=>{
+      if (!f?.copyrightYear) return { value: 0.5, detail: 'no copyright notice found' };
+      const behind = f.currentYear - f.copyrightYear;
+      return { value: behind <= 1 ? 1 : cap(1 - (behind-1)/3), detail: `© ${f.copyrightYear}` };
+    } },
+];
+
+const round1 = (n)=> Math.round(n*10)/10;
+
+// ctx: { pages, access, schema, freshness, structure, indexability } (schema = summarizeSchema(pages), freshness = summarizeFreshness(...),
+// structure = summarizeStructure(pages), indexability = auditIndexability(...))
+export function scoreSite(ctx){
+  const breakdown = {};
+  for (const [key, label] of Object.entries(PILLARS)){
+    const signals = SIGNALS.filter(s=>s.pillar===key).map(s=>{
+      const { value, detail } = s.measure(ctx);
+      const v = cap(value);
+      return { id: s.id, label: s.label, value: Math.round(v*100)/100, weight: Math.round(s.points/PILLAR_POINTS*100)/100, points: round1(v*s.points), available: s.points, detail };
+    });
+    const exact = signals.reduce((sum,s)=>sum+s.value*s.available, 0);
+    breakdown[key] = { label, earned: Math.round(exact), available: PILLAR_POINTS, headline: HEADLINE_PILLARS.includes(key), signals };
+  }
+  const pillars = Object.fromEntries(Object.entries(breakdown).map(([k,b])=>[k, b.earned]));
+  return { pillars, score: HEADLINE_PILLARS.reduce((s,k)=>s+pillars[k],0), breakdown };
+}
@@ -0,0 +1,177 @@
+// lib/site-crawler.js — site crawl for analyzeWebsite: robots/sitemap seeding + per-page extraction
+// - analyze: 25 pages, 5s fetch timeout, 30s budget; full: 300 pages, 8s timeout, 180s budget
+// - Budgets can be tuned with CRAWL_BUDGET_ANALYZE_MS / CRAWL_BUDGET_FULL_MS, pool size with CRAWL_CONCURRENCY
+// - pageCache (from lib/crawl-cache.js) keeps ETag / Last-Modified per URL; a repeat crawl sends them back and
+//   reuses the stored page and links on 304 Not Modified
+// - Fetches go through lib/net-guard.js: private-network targets, oversized bodies and non-HTML responses are refused
+// - integrity (lib/integrity.js) records status, redirect hops and timing for every fetch, plus which pages
+//   link to which URLs, for the Access Integrity audit
+
+import { isHtmlType } from './net-guard.js';
+import { tracedGet } from './integrity.js';
+import * as cheerio from 'cheerio';
+import { CRAWLER_UA, fetchRobots, isAllowed, crawlDelayFor, fetchSitemapEntries } from './robots.js';
+import { parseAIDirectives } from './ai-access.js';
+import { runCrawl, normalizeUrl } from './crawler.js';
+import { extractSchema } from './schema.js';
+import { extractFreshness } from './freshness.js';
+import { visibleText, extractRendering } from './rendering.js';
+import { extractStructure } from './structure.js';
+import { extractOutline } from './headings.js';
+import { extractIndexability } from './indexability.js';
+import { envInt } from './env.js';
+
+const hostOf = (u)=>{ try{ return new URL(u).hostname.replace(/^www\./,''); }catch{ return ''; } };
+
+export const CRAWL_PROFILES = {
+  analyze: { maxPages: 25,  timeout: 5000, budgetMs: envInt('CRAWL_BUDGET_ANALYZE_MS', 30000),  concurrency: envInt('CRAWL_CONCURRENCY', 4), perHostConcurrency: 2 },
+  full:    { maxPages: 300, timeout: 8000, budgetMs: envInt('CRAWL_BUDGET_FULL_MS', 180000),    concurrency: envInt('CRAWL_CONCURRENCY', 4), perHostConcurrency: 3 },
+};
+// floor between request starts on one host, even without a Crawl-delay
+const MIN_HOST_DELAY_MS = 100;
+const SKIP_EXT = /\.(pdf|jpg|jpeg|png|gif|webp|svg|zip|doc|docx|xls|xlsx|ppt|pptx|mp3|mp4|xml|gz)$/i;
+
+// Priority pages for faster, more targeted crawling (used when the site has no sitemap)
+const PRIORITY_PATHS = ['/about', '/about-us', '/services', '/products', '/contact', '/blog', '/news'];
+
+export function extractPage($, url, { startUrl, headers={} }={}){
+  const host = hostOf(startUrl || url);
+  // script and style bodies are not content (cheerio's .text() would count them)
+  const bodyText = visibleText($);
+  const words = bodyText.split(' ').filter(Boolean);
+  const schema = extractSchema($);
+  const title = $('title').text().trim() || '';
+
+  return {
+    url,
+    title,
+    metaDesc: $('meta[name="description"]').attr('content')?.trim() || '',
+    h1Count: $('h1').length,
+    h1Text: $('h1').map((i, el) => $(el).text().trim()).get(),
+    h2Count: $('h2').length,
+    h3Count: $('h3').length,
+    // full H1-H6 outline with skipped levels, empty / duplicate / styling headings (lib/headings.js)
+    headings: extractOutline($, title),
+    wordCount: words.length,
+    // opening copy for the insights digest (lib/insights.js)
+    excerpt: bodyText.slice(0, 280),
+    imageCount: $('img').length,
+    imageAltCount: $('img[alt]').length,
+    // evidence for the alt-text finding; capped so image-heavy pages do not bloat the report
+    imagesMissingAlt: $('img:not([alt])').map((_, el) => $(el).attr('src') || '').get().filter(Boolean).slice(0, 10),
+    internalLinkCount: $(`a[href^="/"], a[href*="${host}"]`).length,
+    externalLinkCount: $('a[href^="http"]:not([href*="' + host + '"])').length,
+    hasSchema: schema.types.length > 0,
+    schema,
+    hasNav: $('nav').length > 0,
+    hasFooter: $('footer').length > 0,
+    formCount: $('form').length,
+    buttonCount: $('button, input[type="submit"], .btn, [role="button"]').length,
+    socialLinkCount: $('a[href*="facebook"], a[href*="twitter"], a[href*="linkedin"], a[href*="instagram"]').length,
+    contactInfo: {
+      phone: $('a[href^="tel:"], .phone').length > 0,
+      email: $('a[href^="mailto:"]').length > 0,
+      address: $('.address, .location').length > 0
+    },
+    breadcrumbs: $('.breadcrumb, .breadcrumbs, nav[aria-label*="breadcrumb"]').length > 0,
+    // canonical, meta robots / X-Robots-Tag and hreflang alternates (lib/indexability.js)
+    indexability: extractIndexability($, url, headers),
+    aiDirectives: parseAIDirectives([
+      ...$('meta[name="robots"]').map((_, el) => $(el).attr('content')).get(),
+      ...[].concat(headers['x-robots-tag'] || [])
+    ]),
+    freshness: extractFreshness($, url, headers),
+    // what a crawler that does not run JavaScript sees (lib/rendering.js)
+    rendering: extractRendering($, bodyText),
+    // answer extractability for the clarity pillar (lib/structure.js)
+    structure: extractStructure($, schema.types),
+    hasSSL: url.startsWith('https://'),
+    level: url === normalizeUrl(startUrl) ? 0 : Math.min(3, url.split('/').length - 3)
+  };
+}
+
+// pageCache: Map url -> { etag, lastModified, page, links, internal, external }, read and refreshed in place
+// integrity: createIntegrityLog() from lib/integrity.js, filled in place
+export async function crawlSitePages(startUrl, { reportType='analyze', maxPages, robots=null, signal=null, onEvent, pageCache=null, integrity=null }={}){
+  const profile = CRAWL_PROFILES[reportType] || CRAWL_PROFILES.analyze;
+  const limit = maxPages || profile.maxPages;
+  const { timeout } = profile;
+  const host = hostOf(startUrl);
+
+  // robots.txt first: disallowed paths are never fetched, Crawl-delay spaces out requests
+  const rules = robots || await fetchRobots(startUrl, { timeout });
+  const allowed = (u)=>isAllowed(rules, u, CRAWLER_UA);
+  const crawlDelayMs = (crawlDelayFor(rules, CRAWLER_UA) || 0) * 1000;
+
+  // seeds: homepage, then sitemap URLs ranked by priority/lastmod, else the usual key sections
+  const seeds = [startUrl];
+  const { entries } = await fetchSitemapEntries(startUrl, rules, { timeout, maxUrls: limit * 4 });
+  if (entries.length) seeds.push(...entries.map(e=>e.loc));
+  else PRIORITY_PATHS.forEach(p=>{ try{ seeds.push(new URL(p, startUrl).href); }catch{} });
+  // sitemap lastmod is freshness evidence for the pages it lists; listing a noindex page is a conflict
+  const lastmods = new Map(entries.map(e=>[normalizeUrl(e.loc), e.lastmod]));
+
+  const withSitemap = (page, url)=>{
+    page.inSitemap = lastmods.has(url);
+    const lastmod = Date.parse(lastmods.get(url) || '');
+    if (Number.isFinite(lastmod)) page.freshness = { ...page.freshness, sitemapLastmod: new Date(lastmod).toISOString() };
+    return page;
+  };
+
+  const visit = async (url, { deadline, signal: sig, pagesSoFar })=>{
+    const cached = pageCache?.get(url);
+    const conditional = {};
+    if (cached?.etag) conditional['If-None-Match'] = cached.etag;
+    if (cached?.lastModified) conditional['If-Modified-Since'] = cached.lastModified;
+    const { resp, trace } = await tracedGet(url, {
+      timeout: Math.max(1000, Math.min(timeout, deadline - Date.now())),
+      signal: sig || undefined,
+      responseType: 'text',
+      headers: { 'User-Agent': CRAWLER_UA, ...conditional },
+      validateStatus: (s)=> (s >= 200 && s < 300) || (s === 304 && !!cached)
+    }).catch((e)=>{ integrity?.fetched(e.trace); throw e; });
+    integrity?.fetched(trace);
+    if (resp.status === 304){
+      integrity?.linked(url, cached.internal || cached.links, cached.external);
+      return { page: withSitemap({ ...cached.page }, url), links: cached.links, revalidated: true };
+    }
+    // PDFs, images and feeds that slipped past SKIP_EXT are not pages
+    if (!isHtmlType(resp.headers?.['content-type'])) throw new Error(`Not HTML (${resp.headers['content-type']})`);
+    const $ = cheerio.load(resp.data);
+    const page = withSitemap(extractPage($, url, { startUrl, headers: resp.headers || {} }), url);
+
+    const internal = new Set(), external = new Set();
+    $('a[href]').each((_, a)=>{
+      const n = normalizeUrl($(a).attr('href'), url);
+      if (n) (hostOf(n) === host ? internal : external).add(n);
+    });
+    integrity?.linked(url, internal, external);
+    // quick analyze stops discovering once most of its page allowance is spoken for
+    const links = page.level < 3 && (reportType === 'full' || pagesSoFar < Math.floor(limit * 0.8)) ? [...internal] : [];
+    const etag = resp.headers?.etag, lastModified = resp.headers?.['last-modified'];
+    if (pageCache){
+      if (etag || lastModified) pageCache.set(url, { etag, lastModified, page, links, internal: [...internal], external: [...external] });
+      else pageCache.delete(url);
+    }
+    return { page, links };
+  };
+
+  return runCrawl({
+    seeds,
+    visit,
+    accept: (u)=> hostOf(u) === host && !SKIP_EXT.test(new URL(u).pathname) && allowed(u),
+    maxPages: limit,
+    maxQueue: limit * 2, // Limit queue size for speed
+    concurrency: profile.concurrency,
+    // a Crawl-delay means one request at a time at that spacing
+    perHost: crawlDelayMs
+      ? { concurrency: 1, delayMs: crawlDelayMs }
+      : { concurrency: profile.perHostConcurrency, delayMs: MIN_HOST_DELAY_MS },
+    budgetMs: profile.budgetMs,
+    signal,
+    onEvent: (e)=>{
+      if (e.type === 'error') console.log(`Failed to crawl ${e.url}:`, e.error);
+      if (onEvent) onEvent({ ...e, maxPages: limit });
+    }
+  });
+}
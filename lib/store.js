@@ -0,0 +1,88 @@
+// lib/store.js — JSON-file report store (one file per report + one history index per host)
+// - DATA_DIR (default ./data) holds reports/<id>.json and sites/<host>.json
+// - Writes go through a temp file + rename so a crash never leaves half a report behind
+// - IDs are time-ordered (base36 timestamp + random suffix) so history sorts naturally
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+export const DATA_DIR = path.resolve(process.env.DATA_DIR || 'data');
+const REPORTS_DIR = path.join(DATA_DIR, 'reports');
+const SITES_DIR = path.join(DATA_DIR, 'sites');
+
+const ID_RE = /^[a-z0-9]{6,16}-[a-f0-9]{8}$/;
+const HOST_RE = /^[a-z0-9.-]{1,253}$/;
+
+export const isReportId = (id)=> ID_RE.test(String(id||''));
+export const normalizeHost = (h)=> String(h||'').trim().toLowerCase().replace(/^www\./,'');
+
+const newId = ()=> `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+
+export async function writeJsonAtomic(file, data){
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(3).toString('hex')}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data));
+  await fs.rename(tmp, file);
+}
+
+export async function readJson(file, fallback=null){
+  try{ return JSON.parse(await fs.readFile(file, 'utf8')); }
+  catch(e){ if (e.code === 'ENOENT') return fallback; throw e; }
+}
+
+// index updates for the same host are serialized so concurrent saves do not drop entries
+const indexLocks = new Map();
+function withHostLock(host, fn){
+  const prev = indexLocks.get(host) || Promise.resolve();
+  const next = prev.then(fn, fn);
+  indexLocks.set(host, next.catch(()=>{}));
+  return next;
+}
+
+// page payload trimmed to the metrics the report and diff views use
+const slimPage = (p)=> ({
+  ...p,
+  schema: p.schema ? { types: p.schema.types, errors: p.schema.errors } : undefined
+});
+
+export async function saveReport({ url, host, reportType, analysis }){
+  const id = newId();
+  const h = normalizeHost(host);
+  const record = {
+    id,
+    url,
+    host: h,
+    reportType,
+    createdAt: new Date().toISOString(),
+    ...analysis,
+    pages: (analysis.pages || []).map(slimPage)
+  };
+  await writeJsonAtomic(path.join(REPORTS_DIR, `${id}.json`), record);
+
+  if (HOST_RE.test(h)){
+    await withHostLock(h, async ()=>{
+      const file = path.join(SITES_DIR, `${h}.json`);
+      const index = await readJson(file, []);
+      index.push({ id, url, reportType, createdAt: record.createdAt, score: record.score, pillars: record.pillars });
+      await writeJsonAtomic(file, index);
+    });
+  }
+  return record;
+}
+
+export async function getReport(id){
+  if (!isReportId(id)) return null;
+  return readJson(path.join(REPORTS_DIR, `${id}.json`));
+}
+
+// newest first
+export async function listReports(host, { reportType=null, limit=50 }={}){
+  const h = normalizeHost(host);
+  if (!HOST_RE.test(h)) return [];
+  const index = await readJson(path.join(SITES_DIR, `${h}.json`), []);
+  return index
+    .filter(r=>!reportType || r.reportType === reportType)
+    .reverse()
+    .slice(0, limit);
+}
@@ -0,0 +1,123 @@
+// lib/structure.js — answer extractability: how easily a model can lift an answer out of a page
+// - Reads the main content only (nav, header, footer and aside are left out)
+// - Per page: question-style headings, FAQ / Q&A blocks, definition lists, data tables, lists,
+//   paragraph lengths, Flesch reading ease, and how quickly each H2/H3 section answers its heading
+// - A section "answers first" when its opening sentence is ANSWER_WORDS words or fewer
+// - A page is a FAQ with FAQPage / QAPage schema (JSON-LD or microdata), <details>/<summary> blocks, or
+//   MIN_FAQ_PAIRS question headings that answer first; class names like "question" prove nothing
+// - summarizeStructure() rolls pages up for the clarity pillar (lib/scoring.js) and the rules
+
+export const LONG_PARAGRAPH_WORDS = 100;
+export const ANSWER_WORDS = 40;
+const MIN_READABILITY_WORDS = 100;    // below this, reading ease is too noisy to report
+const MIN_LIST_ITEMS = 3;
+const MIN_FAQ_PAIRS = 2;
+const CHROME = 'nav, header, footer, aside, script, style, noscript, template, svg, form';
+const QUESTION_RE = /\?\s*$|^(how|what|why|when|where|which|who|whom|whose|can|could|does|do|did|is|are|was|should|will|would)\b/i;
+
+const squash = (s)=> String(s || '').replace(/\s+/g, ' ').trim();
+const wordsIn = (s)=> squash(s).split(' ').filter(Boolean).length;
+const firstSentence = (t)=> squash(t).split(/(?<=[.!?])\s+(?=[A-Z0-9"'])/)[0] || '';
+const median = (arr)=>{
+  if (!arr.length) return 0;
+  const s = [...arr].sort((a,b)=>a-b), m = Math.floor(s.length/2);
+  return s.length % 2 ? s[m] : Math.round((s[m-1] + s[m]) / 2);
+};
+
+// vowel groups, minus a silent trailing e; close enough for reading ease
+const syllables = (word)=>{
+  const w = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!w) return 0;
+  if (w.length <= 3) return 1;
+  return Math.max(1, (w.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '').match(/[aeiouy]{1,2}/g) || []).length);
+};
+
+// Flesch reading ease: ~60-70 plain English, under 30 academic
+export function readingEase(text){
+  const words = squash(text).split(' ').filter(w=>/[a-z]/i.test(w));
+  if (words.length < MIN_READABILITY_WORDS) return null;
+  const sentences = Math.max(1, (squash(text).match(/[.!?]+(\s|$)/g) || []).length);
+  const syl = words.reduce((s, w)=>s + syllables(w), 0);
+  const score = 206.835 - 1.015 * (words.length / sentences) - 84.6 * (syl / words.length);
+  return Math.round(Math.max(0, Math.min(100, score)));
+}
+
+export function extractStructure($, schemaTypes=[]){
+  const scope = ($('main').first().length ? $('main').first() : $('body').first()).clone();
+  scope.find(CHROME).remove();
+
+  const headings = scope.find('h2, h3').toArray().map(h=>({ el: h, text: squash($(h).text()) })).filter(h=>h.text);
+  const questionHeadings = headings.filter(h=>QUESTION_RE.test(h.text)).length;
+
+  // sections: a heading and the siblings up to the next H1-H3
+  let sections = 0, answerFirst = 0, qaPairs = 0;
+  const slow = [];
+  for (const h of headings){
+    const body = squash($(h.el).nextUntil('h1, h2, h3').text());
+    if (!body) continue;
+    sections++;
+    const lead = wordsIn(firstSentence(body));
+    if (lead <= ANSWER_WORDS){
+      answerFirst++;
+      if (QUESTION_RE.test(h.text)) qaPairs++;
+    }
+    else if (slow.length < 3) slow.push({ heading: h.text.slice(0, 80), words: lead });
+  }
+
+  const faqSchema = schemaTypes.some(t=>t === 'FAQPage' || t === 'QAPage');
+  const faqBlocks = scope.find('details > summary').length + scope.find('[itemtype*="Question"]').length;
+
+  const lists = scope.find('ul, ol').filter((_, el)=>$(el).children('li').length >= MIN_LIST_ITEMS).length;
+  const tables = scope.find('table').filter((_, el)=>$(el).attr('role') !== 'presentation' && $(el).find('tr').length >= 2).length;
+  const definitionLists = scope.find('dl').filter((_, el)=>$(el).children('dt').length > 0).length;
+
+  const paragraphs = scope.find('p').toArray().map(p=>wordsIn($(p).text())).filter(n=>n > 0);
+  const long = paragraphs.filter(n=>n > LONG_PARAGRAPH_WORDS);
+  const prose = scope.find('p, li, dd, td').toArray().map(el=>squash($(el).text())).join(' ');
+
+  return {
+    headings: headings.length,
+    questionHeadings,
+    faq: faqSchema || faqBlocks > 0 || qaPairs >= MIN_FAQ_PAIRS,
+    lists,
+    tables,
+    definitionLists,
+    paragraphs: paragraphs.length,
+    medianParagraphWords: median(paragraphs),
+    longParagraphs: long.length,
+    // reduce, not Math.max(...): a page with tens of thousands of paragraphs would overflow the call stack
+    longestParagraph: paragraphs.reduce((m, n)=>Math.max(m, n), 0),
+    readability: readingEase(prose),
+    sections,
+    answerFirst,
+    slowSections: slow
+  };
+}
+
+// lists, tables, definition lists or a FAQ: something a model can lift without rewriting
+export const hasFormats = (s)=> s.lists + s.tables + s.definitionLists > 0 || s.faq;
+
+// site-level view; pages crawled before this existed (no p.structure) are left out
+export function summarizeStructure(pages){
+  const measured = pages.filter(p=>p.structure);
+  if (!measured.length) return null;
+  const sum = (k)=> measured.reduce((s, p)=>s + (p.structure[k] || 0), 0);
+  const share = (test)=> measured.filter(p=>test(p.structure)).length / measured.length;
+  const scored = measured.map(p=>p.structure.readability).filter(v=>v !== null);
+  const paragraphs = sum('paragraphs'), sections = sum('sections');
+  return {
+    total: measured.length,
+    formatsShare: share(hasFormats),
+    questionShare: share(s=>s.questionHeadings > 0 || s.faq),
+    faqPages: measured.filter(p=>p.structure.faq).length,
+    tables: sum('tables'),
+    lists: sum('lists'),
+    definitionLists: sum('definitionLists'),
+    paragraphs,
+    longParagraphShare: paragraphs ? sum('longParagraphs') / paragraphs : 0,
+    medianParagraphWords: median(measured.map(p=>p.structure.medianParagraphWords).filter(Boolean)),
+    readability: scored.length ? Math.round(scored.reduce((s, v)=>s + v, 0) / scored.length) : null,
+    sections,
+    answerFirstShare: sections ? sum('answerFirst') / sections : null
+  };
+}
@@ -1,14 +1,60 @@
 // Deploy speed optimized server v2.6.0 (25/300 pages)
 // - Speed optimized: analyze=25 pages with 5s timeout, full=300 pages with 8s timeout
 // - Prioritized crawling: homepage, key pages first
+// - Concurrent polite crawl (lib/crawler.js): worker pool, per-host limits, 30s/180s time budgets
+// - Honors robots.txt (Disallow, Crawl-delay) and seeds the queue from sitemap.xml / sitemap indexes
+// - Finished analyses are cached per start URL + report type (lib/crawl-cache.js): repeat requests within the TTL
+//   reuse them, concurrent ones share one crawl, stale ones revalidate pages with conditional requests
+// - Pillars + headline score from one weighted model (lib/scoring.js); /api/score?explain=1 returns the breakdown
+// - Freshness & Engagement pillar from header, sitemap, schema, article and feed dates (lib/freshness.js)
+// - Clarity includes answer extractability: lists/tables/Q&A, question headings, answer-first sections,
+//   paragraph length and reading ease (lib/structure.js)
+// - "AI-visible without JS": share of page text present in the raw HTML, with empty app shells flagged (lib/rendering.js)
+// - Access Integrity: status, redirect hops and timing for every fetched URL, broken internal links with their
+//   source pages, redirect chains and soft 404s; CHECK_OUTBOUND_LINKS=1 also HEAD-checks outbound links (lib/integrity.js)
+// - Per-page H1-H6 outline with skipped, empty, duplicate and styling headings and H1/title mismatches (lib/headings.js)
+// - AI Access Readiness leans on an AI-crawler audit (robots per agent, live UA probes, llms.txt, noai) and on
+//   indexability: noindex / nofollow, canonical targets and chains, hreflang codes and return links (lib/indexability.js)
 // - Uses ?report=analyze|full to size both bullets and LLM insights
+// - /api/plan turns the findings into a prioritized 30-day action plan (lib/plan.js), also in exports
+// - Visitor-supplied URLs are checked against private/reserved networks on every hop (lib/net-guard.js) and
+//   crawls are rate-limited per client IP and per target host (lib/rate-limit.js)
+// - Full-report requests are stored as leads and emailed a link (api/send-link.js); admins export them as CSV
+// - Engine insights are grounded in a crawl digest when an LLM is configured, templated otherwise (lib/insights.js)
+// - Saved reports export to Markdown, standalone HTML and PDF (lib/export.js)
+// - Working / Needs Attention come from the rule registry in lib/rules.js, tunable via RULES_CONFIG
+// - Needs Attention items carry affected URLs + evidence; analyze (teaser) output hides them unless ?details=1
 
 import express from 'express';
 import cors from 'cors';
-import axios from 'axios';
-import * as cheerio from 'cheerio';
 import { fileURLToPath } from 'url';
 import path from 'path';
+import crypto from 'crypto';
+import { fetchRobots } from './lib/robots.js';
+import { auditAIAccess } from './lib/ai-access.js';
+import { crawlSitePages, CRAWL_PROFILES } from './lib/site-crawler.js';
+import { summarizeSchema } from './lib/schema.js';
+import { auditFeed, summarizeFreshness } from './lib/freshness.js';
+import { summarizeRendering } from './lib/rendering.js';
+import { summarizeStructure } from './lib/structure.js';
+import { createIntegrityLog, auditIntegrity, integrityRows, integritySummary, OUTBOUND_LIMITS } from './lib/integrity.js';
+import { auditIndexability } from './lib/indexability.js';
+import { generateInsights, templateInsights } from './lib/insights.js';
+import { createProvider, llmConfigured } from './lib/llm.js';
+import { buildPlan, rewritePlan } from './lib/plan.js';
+import { listLeads, leadsToCsv } from './lib/leads.js';
+import { checkTarget } from './lib/net-guard.js';
+import { createCrawlCache, crawlKey } from './lib/crawl-cache.js';
+import { rateLimit, crawlLimits, RATE_WINDOW_MS } from './lib/rate-limit.js';
+import { envInt } from './lib/env.js';
+import sendLink from './api/send-link.js';
+import { scoreSite } from './lib/scoring.js';
+import { buildContext, evaluateRules, loadRuleConfig, rulesFor } from './lib/rules.js';
+import { saveReport, getReport, listReports, isReportId, normalizeHost } from './lib/store.js';
+import { diffReports } from './lib/diff.js';
+import { createJobQueue, isJobId } from './lib/jobs.js';
+import { siteRow, compareSites } from './lib/compare.js';
+import { EXPORT_FORMATS, exportFilename, toMarkdown, toHtml, toPdf } from './lib/export.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -16,21 +62,22 @@ const PORT = process.env.PORT || 3000;
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-app.use(cors());
-app.use(express.json());
+app.use(cors({ exposedHeaders: ['X-Report-Id', 'X-Crawl-Cache'] }));
+app.use(express.json({ limit: '100kb' }));
+// client IPs for rate limiting come from X-Forwarded-For; TRUST_PROXY is the number of proxy hops to believe
+app.set('trust proxy', envInt('TRUST_PROXY', 1, { min: 0 }) || false);
 
 // ---- helpers ----
 const OVERRIDE = new Set(['yoramezra.com','quontora.com']);
+// threshold / message overrides for the finding rules (RULES_CONFIG); read once at boot
+const RULE_CONFIG = loadRuleConfig();
+// engine insights use the model only when one is configured; the templates need no key
+const INSIGHTS_LLM = llmConfigured() ? createProvider({ task: 'insights', timeout: 30000 }) : null;
+const PLAN_LLM = llmConfigured() ? createProvider({ task: 'plan', timeout: 30000 }) : null;
+// outbound links are someone else's servers: HEAD-checking them is opt-in
+const CHECK_OUTBOUND = process.env.CHECK_OUTBOUND_LINKS === '1';
 const hostOf = (u)=>{ try{ return new URL(u).hostname.replace(/^www\./,''); }catch{ return ''; } };
 const clamp = (n,lo,hi)=>Math.max(lo,Math.min(hi,n));
-const pct = (num,den)=> den ? Math.round((num/den)*100) : 0;
-const avg = (arr)=> arr.length ? Math.round(arr.reduce((s,v)=>s+v,0)/arr.length) : 0;
-const stdev = (arr)=> {
-  if (arr.length < 2) return 0;
-  const m = arr.reduce((s,v)=>s+v,0)/arr.length;
-  const v = arr.reduce((s,v)=>s+(v-m)**2,0)/(arr.length-1);
-  return Math.round(Math.sqrt(v));
-};
 const uniqueByTitle = (arr=[])=>{
   const seen=new Set(); const out=[];
   for (const it of arr){
@@ -39,6 +86,8 @@ const uniqueByTitle = (arr=[])=>{
   }
   return out;
 };
+// Express 4 ignores rejected promises: async routes go through this so failures reach the error handler
+const asyncHandler = (fn)=> (req, res, next)=> Promise.resolve(fn(req, res, next)).catch(next);
 const highScore = ()=>({ pillars:{access:22,trust:23,clarity:22,alignment:22}, score:89 });
 
 const splitSents = (t)=> String(t||'').replace(/\s+/g,' ').trim().split(/(?<=[.!?])\s+(?=[A-Z0-9])/).filter(Boolean);
@@ -77,137 +126,8 @@ function polish(desc, mode, domain, salt=0){
   return paras.slice(0,3).join('\n\n'); // will render as multi-line inside <li>
 }
 
-// ---- optimized crawler with priority pages ----
-async function crawlSitePages(startUrl, maxPages=25, reportType='analyze'){
-  const host = hostOf(startUrl);
-  const visited = new Set();
-  const pages = [];
-  
-  // Speed optimization: different timeouts for different modes
-  const timeout = reportType === 'analyze' ? 5000 : 8000;
-  
-  // Priority pages for faster, more targeted crawling
-  const priorityPaths = [
-    '',           // homepage
-    '/',          // homepage alt
-    '/about',
-    '/about-us',
-    '/services',
-    '/products',
-    '/contact',
-    '/blog',
-    '/news'
-  ];
-  
-  // Build priority queue
-  const queue = [startUrl];
-  priorityPaths.forEach(path => {
-    if (path === '' || path === '/') return; // already have homepage
-    try {
-      const priorityUrl = new URL(path, startUrl).href;
-      if (!queue.includes(priorityUrl)) queue.push(priorityUrl);
-    } catch {}
-  });
-
-  while (queue.length && pages.length < maxPages){
-    const current = queue.shift();
-    if (visited.has(current)) continue;
-    
-    try{
-      visited.add(current);
-      const resp = await axios.get(current, {
-        timeout: timeout,
-        headers: { 'User-Agent': 'SnipeRank SEO Analyzer Bot' }
-      });
-      const $ = cheerio.load(resp.data);
-      const bodyText = $('body').text().replace(/\s+/g,' ').trim();
-      const words = bodyText.split(' ').filter(Boolean);
-
-      const pageData = {
-        url: current,
-        title: $('title').text().trim() || '',
-        metaDesc: $('meta[name="description"]').attr('content')?.trim() || '',
-        h1Count: $('h1').length,
-        h1Text: $('h1').map((i, el) => $(el).text().trim()).get(),
-        h2Count: $('h2').length,
-        h3Count: $('h3').length,
-        wordCount: words.length,
-        imageCount: $('img').length,
-        imageAltCount: $('img[alt]').length,
-        internalLinkCount: $(`a[href^="/"], a[href*="${host}"]`).length,
-        externalLinkCount: $('a[href^="http"]:not([href*="' + host + '"])').length,
-        hasSchema: $('script[type="application/ld+json"]').length > 0,
-        hasNav: $('nav').length > 0,
-        hasFooter: $('footer').length > 0,
-        formCount: $('form').length,
-        buttonCount: $('button, input[type="submit"], .btn, [role="button"]').length,
-        socialLinkCount: $('a[href*="facebook"], a[href*="twitter"], a[href*="linkedin"], a[href*="instagram"]').length,
-        contactInfo: {
-          phone: $('a[href^="tel:"], .phone').length > 0,
-          email: $('a[href^="mailto:"]').length > 0,
-          address: $('.address, .location').length > 0
-        },
-        breadcrumbs: $('.breadcrumb, .breadcrumbs, nav[aria-label*="breadcrumb"]').length > 0,
-        hasSSL: current.startsWith('https://'),
-        level: current === startUrl ? 0 : Math.min(3, current.split('/').length - 3)
-      };
-      pages.push(pageData);
-
-      // Only discover more pages if we haven't hit the limit and we're not doing a quick analyze
-      if (pageData.level < 3 && pages.length < maxPages && (reportType === 'full' || pages.length < Math.floor(maxPages * 0.8))){
-        $('a[href]').each((_, link) => {
-          const href = $(link).attr('href');
-          if (!href) return;
-          if (href.startsWith('/') || href.includes(host)){
-            let full;
-            try{
-              if (href.startsWith('/')) full = new URL(href, startUrl).href;
-              else if (href.includes(host)) full = href.split('#')[0].split('?')[0];
-              if (full &&
-                !visited.has(full) &&
-                !queue.includes(full) &&
-                !full.match(/\.(pdf|jpg|jpeg|png|gif|zip|doc|docx)$/i) &&
-                queue.length < maxPages * 2 // Limit queue size for speed
-              ) queue.push(full);
-            }catch{}
-          }
-        });
-      }
-    }catch(e){
-      console.log(`Failed to crawl ${current}:`, e.message);
-      // Continue with other pages instead of stopping
-    }
-  }
-  return pages;
-}
-
-// ---- scoring & targets ----
-function calculateQualityScore(pages){
-  if (!pages || !pages.length) return 30;
-  let score = 40;
-  const total = pages.length;
-
-  const httpsPages = pages.filter(p=>p.hasSSL).length;
-  score += (httpsPages / total) * 10;
-
-  const avgWords = pages.reduce((s,p)=>s+p.wordCount,0)/total;
-  if (avgWords >= 600) score += 12;
-  else if (avgWords >= 400) score += 8;
-  else if (avgWords >= 200) score += 4;
-
-  const properH1 = pages.filter(p=>p.h1Count===1).length;
-  score += (properH1/total) * 8;
-
-  const avgLinks = pages.reduce((s,p)=>s+p.internalLinkCount,0)/total;
-  if (avgLinks >= 6) score += 10;
-  else if (avgLinks >= 3) score += 6;
-
-  const schemaPages = pages.filter(p=>p.hasSchema).length;
-  score += (schemaPages/total) * 8;
-
-  return Math.min(100, Math.max(30, Math.round(score)));
-}
-
+// ---- targets ----
+// list sizes band on the headline score (lib/scoring.js)
 function targetsFor(reportType, score){
   if (reportType === 'analyze') return { working: 5, needs: 10 }; // fixed for short
   // full-report banding
@@ -216,136 +136,18 @@ function targetsFor(reportType, score){
   return              { working: 10, needs: 15 };
 }
 
-// ---- AI insights (different for each engine) ----
-function generateAIInsights(pages, host, mode='analyze'){
-  if (!pages || !pages.length){
-    const engines = ['ChatGPT','Claude','Gemini','Copilot','Perplexity'];
-    return engines.map(engine => ({
-      description: `Unable to analyze ${host} - ${engine} requires sufficient content access for meaningful evaluation.`
-    }));
-  }
-
-  const total = pages.length;
-  const avgWords = Math.round(pages.reduce((s,p)=>s+p.wordCount,0)/total);
-  const schemaPages = pages.filter(p=>p.hasSchema).length;
-  const properH1 = pages.filter(p=>p.h1Count===1).length;
-  const avgLinks = Math.round(pages.reduce((s,p)=>s+p.internalLinkCount,0)/total);
-  const metaPages = pages.filter(p=>p.metaDesc.length>0).length;
-  const httpsPages = pages.filter(p=>p.hasSSL).length;
-
-  // Different insights per engine
-  const insights = {
-    ChatGPT: `Content structure analysis reveals ${properH1===total?'consistent heading hierarchy':'inconsistent heading patterns'} across the analyzed sections of ${host}. The ${avgWords}-word average content depth ${avgWords>=500?'supports comprehensive topic coverage':'may benefit from expansion'}, while internal linking patterns create ${avgLinks>=5?'strong content relationships':'opportunities for enhanced connectivity'}.`,
-    
-    Claude: `Technical infrastructure assessment shows ${httpsPages===total?'consistent security implementation':'mixed security protocols'} throughout ${host}. Schema markup coverage at ${Math.round((schemaPages/total)*100)}% ${schemaPages>=total*0.7?'provides strong semantic signals':'indicates room for structured data enhancement'}, supporting improved content interpretation.`,
-    
-    Gemini: `Meta description analysis indicates ${metaPages>=total*0.8?'comprehensive preview coverage':'gaps in content previews'} across the evaluated sections of ${host}. Content organization demonstrates ${avgWords>=400?'substantial depth per section':'opportunities for content expansion'} with ${avgLinks} average internal connections per area.`,
-    
-    Copilot: `Accessibility and crawling evaluation of ${host} reveals ${properH1===total && httpsPages===total?'strong foundational signals':'areas requiring optimization attention'}. The current ${avgWords}-word content average ${avgWords>=600?'exceeds recommended thresholds':'approaches minimum depth requirements'} for effective indexing.`,
-    
-    Perplexity: `Information architecture analysis shows ${schemaPages>=total*0.6?'adequate structured data implementation':'limited semantic markup presence'} throughout ${host}. Cross-referencing patterns with ${avgLinks} average internal links per section ${avgLinks>=6?'create strong topical clusters':'suggest opportunities for enhanced content connectivity'}.`
-  };
-
-  if (mode === 'full') {
-    // For full mode, add second paragraphs
-    insights.ChatGPT += `\n\nDeeper content analysis reveals patterns in user experience signals and engagement indicators. The current implementation shows potential for optimization in areas where content depth intersects with navigational clarity.`;
-    
-    insights.Claude += `\n\nAdvanced crawling assessment indicates opportunities for enhanced semantic relationships between content sections. The technical foundation supports improved AI understanding through strategic markup expansion.`;
-    
-    insights.Gemini += `\n\nComprehensive structure evaluation suggests potential improvements in content clustering and internal link distribution. The existing framework provides a solid foundation for enhanced topical authority development.`;
-    
-    insights.Copilot += `\n\nExtended technical analysis reveals opportunities for improved content discoverability and indexing efficiency. The current structure supports optimization initiatives focused on semantic clarity and accessibility enhancement.`;
-    
-    insights.Perplexity += `\n\nDetailed information architecture review identifies potential enhancements in cross-content referencing and topic clustering. The existing foundation enables strategic improvements in content relationship mapping.`;
-  }
-
-  return ['ChatGPT','Claude','Gemini','Copilot','Perplexity'].map(engine => ({
-    description: insights[engine]
-  }));
-}
-
 // ---- dynamic analysis ----
-function generateCompleteAnalysis(pages, host, reportType){
+function generateCompleteAnalysis(pages, host, reportType, { access=null, freshness=null, integrity=null, indexability=null, score=0 }={}){
   if (!pages || !pages.length){
     return {
       working: [],
-      needsAttention: [{ title:'Site Crawl Failed', description: polish(`The crawl for ${host} did not surface analyzable content. That usually feels like a closed door rather than a blank room.`, reportType, host) }],
-      qualityScore: 30
+      needsAttention: [{ title:'Site Crawl Failed', description: polish(`The crawl for ${host} did not surface analyzable content. That usually feels like a closed door rather than a blank room.`, reportType, host) }]
     };
   }
 
-  const total = pages.length;
-  const httpsPages = pages.filter(p=>p.hasSSL).length;
-  const titleOK = pages.filter(p=>p.title.length>0);
-  const metaOK  = pages.filter(p=>p.metaDesc.length>0);
-  const longTitles = pages.filter(p=>p.title.length>60);
-  const dupTitle = total - new Set(pages.map(p=>p.title)).size;
-
-  const wordsArr = pages.map(p=>p.wordCount);
-  const avgWordsV = avg(wordsArr);
-  const spreadV = stdev(wordsArr);
-  const thinPages = pages.filter(p=>p.wordCount<300);
-
-  const h1Singles = pages.filter(p=>p.h1Count===1);
-  const h1None = pages.filter(p=>p.h1Count===0);
-  const h1Multi = pages.filter(p=>p.h1Count>1);
-
-  const intArr = pages.map(p=>p.internalLinkCount);
-  const avgInt = avg(intArr);
-  const weakInt = pages.filter(p=>p.internalLinkCount<3);
-
-  const schemaPages = pages.filter(p=>p.hasSchema).length;
-  const imgAltPctArr = pages.map(p => (p.imageCount ? Math.round((p.imageAltCount/p.imageCount)*100) : 100));
-  const avgAltPct = avg(imgAltPctArr);
-
-  const crumbs = pages.filter(p=>p.breadcrumbs).length;
-  const navPct = pct(pages.filter(p=>p.hasNav).length, total);
-  const footPct = pct(pages.filter(p=>p.hasFooter).length, total);
-
-  const extLinksAvg = avg(pages.map(p=>p.externalLinkCount));
-  const socialAvg = avg(pages.map(p=>p.socialLinkCount));
-  const contactPhone = pages.filter(p=>p.contactInfo.phone).length;
-  const contactEmail = pages.filter(p=>p.contactInfo.email).length;
-  const contactAddr  = pages.filter(p=>p.contactInfo.address).length;
-
-  const W=[], N=[];
-
-  // working (dynamic) - NO PAGE COUNTS
-  if (httpsPages===total) W.push({ title:'Complete HTTPS Security', description:`All analyzed sections resolve over HTTPS. The foundation feels solid; readers do not step around mixed locks to get the gist.` });
-  if (pct(titleOK.length,total)>=95 && longTitles.length===0 && dupTitle===0) W.push({ title:'Title Coverage & Differentiation', description:`Strong title presence with distinct, scannable labels. Previews hold their edges without colliding.` });
-  if (pct(metaOK.length,total)>=80) W.push({ title:'Meta Description Presence', description:`Strong meta description coverage provides consistent previews. Most entries arrive with a hint rather than a cold open.` });
-  if (schemaPages>=Math.ceil(total*0.7)) W.push({ title:'Structured Data Footprint', description:`Comprehensive structured data implementation declares typed context. Names and roles tend to keep their shape when lifted elsewhere.` });
-  if (avgInt>=6 && !weakInt.length) W.push({ title:'Internal Path Consistency', description:`Cross-links maintain strong density with consistent patterns. Nearby ideas do not feel far away.` });
-  if (avgAltPct>=85) W.push({ title:'Image Alt Coverage', description:`Alt text covers most imagery comprehensively. When visuals drop out, the thread usually remains intact.` });
-  if (avgWordsV>=600) W.push({ title:'Substantial Content Depth', description:`Content depth maintains substantial coverage throughout. Sections read like chapters, not captions.` });
-  if (h1Singles.length===total) W.push({ title:'Clear Heading Spine', description:`Consistent single H1 structure throughout. Primary topics stand alone instead of competing for the mic.` });
-  if (navPct>=90 && footPct>=90) W.push({ title:'Template Consistency', description:`Global furniture shows up reliably throughout the site. Orientation tends to persist from section to section.` });
-  if (crumbs>=Math.ceil(total*0.6)) W.push({ title:'Breadcrumb Traces', description:`Strong breadcrumb implementation exposes clear trails. Sections announce where they live in the larger map.` });
-
-  // needs (dynamic) - NO PAGE COUNTS
-  if (httpsPages!==total) N.push({ title:'HTTPS Gaps', description:`Some sections travel without security locks. The tone changes when they do, affecting trust signals.` });
-  if (titleOK.length<total) N.push({ title:'Missing Titles', description:`Some sections publish without nameplates. Untitled entries tend to blur at the doorway.` });
-  if (longTitles.length>0) N.push({ title:'Overlong Titles', description:`Some titles run too long. Edges get trimmed, and the key phrase can fall outside the frame.` });
-  if (dupTitle>0) N.push({ title:'Duplicate Titles', description:`Title collisions appear across the site. Different rooms sharing the same label invite mix-ups.` });
-  if (pct(metaOK.length,total)<80) N.push({ title:'Thin Previews', description:`Meta description coverage needs enhancement. Without that preface, the first line has to do extra work.` });
-  if (thinPages.length>0) N.push({ title:'Thin Content Sections', description:`Some sections fall short of substantial depth. Skimming turns into skipping when the thread is that short.` });
-  if (avgWordsV<400) N.push({ title:'Shallow Average Depth', description:`Overall content coverage could be more substantial. Ideas arrive, but they do not stay long.` });
-  if (h1None.length>0) N.push({ title:'Missing H1 Headers', description:`Some sections step onstage without lead headings. The scene opens mid-conversation.` });
-  if (h1Multi.length>0) N.push({ title:'Multiple H1 Anchors', description:`Some sections carry more than one lead heading. Two spotlights on the same stage split attention.` });
-  if (avgInt<6) N.push({ title:'Sparse Internal Trails', description:`Internal linking could be stronger throughout. Hops between related ideas feel longer than they need to.` });
-  if (weakInt.length>0) N.push({ title:'Isolated Content Areas', description:`Some sections sit with few connections. They read like side paths that do not loop back.` });
-  if (schemaPages<Math.ceil(total*0.7)) N.push({ title:'Typed Context Gaps', description:`Structured data signals need broader implementation. Where typing fades, names and roles smudge at the edges.` });
-  if (avgAltPct<70) N.push({ title:'Alt-Text Coverage Gaps', description:`Alt attribute coverage needs improvement across imagery. When captions go missing, pictures turn into placeholders.` });
-  if (crumbs<Math.ceil(total*0.4)) N.push({ title:'Limited Breadcrumb Trails', description:`Breadcrumb implementation could be expanded. Without that line, sections float more than they stack.` });
-  if (navPct<80 || footPct<80) N.push({ title:'Template Inconsistencies', description:`Global elements fluctuate in presence. The room changes shape more often than expected.` });
-
-  // full-only extra surface
-  if (contactPhone+contactEmail+contactAddr < Math.ceil(total*0.6)) N.push({ title:'Limited Contact Footprint', description:`Direct touchpoints surface intermittently. When the handshake is not obvious, trust has to travel farther.` });
-  if (socialAvg===0) N.push({ title:'Minimal Social Presence', description:`Social paths do not present themselves prominently. The broader footprint feels thinner than the site center of gravity.` });
-  if (extLinksAvg>8) N.push({ title:'High External Link Density', description:`Outbound references appear frequently throughout. The narrative steps outside the room more than it stays in it.` });
+  const { working: W, needsAttention: N } = evaluateRules(rulesFor(RULE_CONFIG, host), buildContext(pages, host, access, freshness, integrity, indexability));
 
   // count banding
-  const score = calculateQualityScore(pages);
   const { working: wTarget, needs: nTarget } = targetsFor((reportType||'analyze'), score);
 
   // grow with neutral seeds if short
@@ -380,85 +182,103 @@ function generateCompleteAnalysis(pages, host, reportType){
   Wuniq = Wuniq.map((x,i)=> ({...x, description: polish(x.description, mode, host, i)})).slice(0, wTarget);
   Nuniq = Nuniq.map((x,i)=> ({...x, description: polish(x.description, mode, host, i)})).slice(0, nTarget);
 
-  return { working: Wuniq, needsAttention: Nuniq, qualityScore: score };
+  return { working: Wuniq, needsAttention: Nuniq };
 }
 
 // ---- top-level analyze ----
-async function analyzeWebsite(url, reportType='analyze'){
+// onProgress receives { phase: 'robots'|'crawl'|'scoring', ... } as the run advances; signal aborts the crawl
+// pageCache carries ETag / Last-Modified from an earlier crawl of the same site (see lib/crawl-cache.js)
+async function analyzeWebsite(url, reportType='analyze', { onProgress, signal=null, pageCache=null }={}){
   const host = hostOf(url);
+  const progress = (phase, extra={})=>{ if (onProgress) try{ onProgress({ phase, ...extra }); }catch{} };
   try{
     // Speed optimization: 25 pages for analyze (fast), 300 for full (comprehensive)
-    const maxPages = reportType==='full' ? 300 : 25;
-    const pages = await crawlSitePages(url, maxPages, reportType);
-    if (!pages.length) throw new Error('No pages crawled');
-
-    let analysis = generateCompleteAnalysis(pages, host, reportType);
-    const pillars = {
-      access: clamp(18 + Math.floor((pages.reduce((s,p)=>s+p.internalLinkCount,0)/pages.length)/2), 15, 25),
-      trust: clamp(18 + (pages.filter(p=>p.hasSSL).length===pages.length ? 3 : 0), 15, 25),
-      clarity: clamp(18 + (pages.filter(p=>p.h1Count===1).length===pages.length ? 3 : 0), 15, 25),
-      alignment: clamp(18 + Math.floor((pages.filter(p=>p.hasSchema).length/pages.length)*4), 15, 25),
+    const { timeout, maxPages } = CRAWL_PROFILES[reportType] || CRAWL_PROFILES.analyze;
+    progress('robots', { maxPages });
+    const robots = await fetchRobots(url, { timeout });
+    const onEvent = (e)=>{
+      if (e.type === 'done' && e.stats.revalidated) console.log(`${host}: ${e.stats.revalidated}/${e.stats.fetched} pages unchanged since the last crawl`);
+      if (e.type !== 'fetch' && e.type !== 'page' && e.type !== 'error') return;
+      const { fetched, queued, failed } = e.stats;
+      progress('crawl', { event: e.type, url: e.url, fetched, queued, failed, maxPages: e.maxPages });
     };
-
-    if (OVERRIDE.has(host)){
-      const o=highScore();
-      Object.assign(pillars, o.pillars);
-      analysis.qualityScore = o.score;
-    }
-
-    const insights = generateAIInsights(pages, host, reportType==='analyze'?'analyze':'full');
-
-    return { ...analysis, pillars, score: analysis.qualityScore, insights };
+    const log = createIntegrityLog();
+    const [pages, access] = await Promise.all([
+      crawlSitePages(url, { reportType, robots, signal, onEvent, pageCache, integrity: log }),
+      auditAIAccess(url, robots, { timeout })
+    ]);
+    if (signal?.aborted) throw new Error('Analysis cancelled');
+    if (!pages.length) throw new Error('No pages crawled');
+    progress('scoring', { pages: pages.length });
+
+    const schema = summarizeSchema(pages);
+    const [feed, integrity, indexability] = await Promise.all([
+      auditFeed(pages, robots, { timeout }),
+      auditIntegrity(log, pages, { startUrl: url, robots, timeout, signal, outbound: CHECK_OUTBOUND ? OUTBOUND_LIMITS[reportType] || OUTBOUND_LIMITS.analyze : null }),
+      auditIndexability(pages, log, { timeout, signal })
+    ]);
+    const freshness = summarizeFreshness(pages, feed);
+    const rendering = summarizeRendering(pages);
+    const structure = summarizeStructure(pages);
+    // one model for pillars and headline score; the breakdown is what ?explain=1 returns
+    let { pillars, score, breakdown } = scoreSite({ pages, access, schema, freshness, structure, indexability });
+    // a fixed reference score has no signals behind it: the measured breakdown would contradict it
+    if (OVERRIDE.has(host)){ const o = highScore(); pillars = { ...pillars, ...o.pillars }; score = o.score; breakdown = null; }
+
+    const analysis = generateCompleteAnalysis(pages, host, reportType, { access, freshness, integrity, indexability, score });
+    const insights = await generateInsights({ host, pages, pillars, score, schema, access, freshness, structure, integrity, indexability }, { mode: reportType==='analyze'?'analyze':'full', llm: INSIGHTS_LLM });
+
+    return { ...analysis, pillars, score, breakdown, insights, access, schema, freshness, rendering, structure, integrity, indexability, pages };
   }catch(e){
     console.error('Analysis failed:', e.message);
     const fallback = {
       working: [],
-      needsAttention: [{ title:'Analysis Incomplete', description: polish(`${host} crawl fell short - only partial signals were observable. This reads more like access posture than content posture.`, 'full', host) }],
-      qualityScore: 60
+      needsAttention: [{ title:'Analysis Incomplete', description: polish(`${host} crawl fell short - only partial signals were observable. This reads more like access posture than content posture.`, 'full', host) }]
     };
     return {
       ...fallback,
       pillars: { access:15, trust:15, clarity:15, alignment:15 },
-      score: fallback.qualityScore,
-      insights: generateAIInsights([], host, reportType==='analyze'?'analyze':'full')
+      score: 60,
+      breakdown: null,
+      insights: templateInsights([], host, reportType==='analyze'?'analyze':'full'),
+      failed: true
     };
   }
 }
 
-// ---- endpoints ----
-app.get('/', (_req,res)=>res.send('SnipeRank Backend v2.6.0 - Speed Optimized'));
+// ---- persistence & rendering shared by live and saved reports ----
+const bandText = (s)=> s>=70?"Rank: Highly Visible ★★★★☆": s>=55?"Rank: Partially Visible ★★★☆☆": s>=40?"Rank: Needs Work ★★☆☆☆":"Rank: Low Visibility ★☆☆☆☆";
 
-app.get('/report.html', async (req,res)=>{
-  const url = req.query.url;
-  const report = (req.query.report==='full')?'full':'analyze';
-  if (!url) return res.status(400).send('<p style="color:red">Missing URL parameter.</p>');
-  try{ new URL(url); }catch{ return res.status(400).send('<p style="color:red">Invalid URL format.</p>'); }
+// ---- crawl cache ----
+const crawlCache = createCrawlCache({ keep: (analysis)=>!analysis.failed });
 
-  const analysis = await analyzeWebsite(url, report);
-  const li = (t,d)=> `<li><strong>${t}:</strong> ${d}</li>`;
-  const html = `
-    <div class="section-title">✅ What's Working</div>
-    <ul>${analysis.working.map(x=>li(x.title,x.description)).join('')}</ul>
-    <div class="section-title">🚨 Needs Attention</div>
-    <ul>${analysis.needsAttention.map(x=>li(x.title,x.description)).join('')}</ul>
-    <div class="section-title">🤖 AI Engine Insights</div>
-    <ul>${analysis.insights.map(x=>`<li>${x.description}</li>`).join('')}</ul>
-  `;
-  res.setHeader('Content-Type','text/html');
-  res.send(html);
-});
+// analyzeWebsite behind the cache; resolves { analysis, cache: 'hit'|'shared'|'revalidated'|'miss' }
+async function analyzeCached(url, reportType='analyze', { signal=null, onProgress=null }={}){
+  const { value, cache } = await crawlCache.get(crawlKey(url, reportType), (opts)=>analyzeWebsite(url, reportType, opts), { signal, onProgress });
+  return { analysis: value, cache };
+}
 
-app.get('/api/score', async (req,res)=>{
-  const url = req.query.url;
-  if (!url) return res.status(400).json({ error:'Missing url parameter' });
-  try{ new URL(url); }catch{ return res.status(400).json({ error:'Invalid URL format' }); }
+// one saved report per analysis: cache hits and shared crawls hand back the id of the first save
+const savedIds = new WeakMap();
+
+// failed crawls are not worth a permalink; storage errors never fail the request
+function persistReport(url, reportType, analysis){
+  if (analysis.failed) return Promise.resolve(null);
+  if (!savedIds.has(analysis)){
+    savedIds.set(analysis, saveReport({ url, host: hostOf(url), reportType, analysis }).then(saved=>saved.id, (e)=>{
+      console.error('Report save failed:', e.message);
+      savedIds.delete(analysis);
+      return null;
+    }));
+  }
+  return savedIds.get(analysis);
+}
 
+// explain adds the per-signal breakdown from lib/scoring.js (null for failed, fixed-score or pre-breakdown reports)
+function scoreCard(url, analysis, { explain=false }={}){
   const host = hostOf(url);
-  const analysis = await analyzeWebsite(url, 'analyze');
   const total = analysis.pillars.access + analysis.pillars.trust + analysis.pillars.clarity + analysis.pillars.alignment;
 
-const bandText = (s)=> s>=70?"Rank: Highly Visible ★★★★☆": s>=55?"Rank: Partially Visible ★★★☆☆": s>=40?"Rank: Needs Work ★★☆☆☆":"Rank: Low Visibility ★☆☆☆☆";
-  
   // dynamic highlights: first four needs (first sentence only)
   const highlights = analysis.needsAttention.slice(0,4).map(x=>{
     const first = splitSents(x.description)[0] || x.description;
@@ -467,9 +287,360 @@ const bandText = (s)=> s>=70?"Rank: Highly Visible ★★★★☆": s>=55?"Rank
 
   const logos = { ChatGPT:"/img/chatgpt-logo.png", Claude:"/img/claude-logo.png", Gemini:"/img/gemini-logo.png", Copilot:"/img/copilot-logo.png", Perplexity:"/img/perplexity-logo.png" };
   const order = ["ChatGPT","Claude","Gemini","Copilot","Perplexity"];
-  const insights = analysis.insights.map((ins, i)=>({ engine: order[i]||'Engine', text: ins.description, logo: logos[order[i]]||'' }));
+  const insights = analysis.insights.map((ins, i)=>{
+    const engine = ins.engine || order[i] || 'Engine';
+    return { engine, text: ins.description, evidence: ins.evidence || [], logo: logos[engine]||'' };
+  });
+
+  const card = { url, host, score: total, pillars: analysis.pillars, highlights, band: bandText(total), override: OVERRIDE.has(host), insights, access: analysis.access || null, rendering: analysis.rendering || null };
+  if (explain) card.breakdown = analysis.breakdown || null;
+  return card;
+}
+
+// page-level evidence (affected URLs) is for clients and the team; the public teaser (analyze) hides it unless ?details=1
+const showDetails = (req, reportType)=> reportType === 'full' || req.query.details === '1';
+const withDetails = (items=[], show)=> show ? items : items.map(({ details, ...x })=>x);
+
+const esc = (s)=> String(s ?? '').replace(/[&<>"']/g, c=>({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
+
+// collapsed list under a finding; long lists are cut so a 300-page crawl stays readable
+function renderDetails(d){
+  if (!d) return '';
+  if (d.scope === 'site') return `<details class="finding-details"><summary>Evidence (site-wide)</summary><p>${esc(d.evidence)}</p></details>`;
+  const shown = d.pages.slice(0,25);
+  const more = d.pages.length - shown.length;
+  return `<details class="finding-details"><summary>Affected: ${d.affected} of ${d.total} pages (${d.share}%)</summary><ul>${
+    shown.map(p=>`<li><a href="${esc(p.url)}" target="_blank" rel="noopener nofollow">${esc(p.url)}</a> — ${esc(p.evidence)}</li>`).join('')
+  }${more > 0 ? `<li>…and ${more} more</li>` : ''}</ul></details>`;
+}
+
+// Access Integrity: counts for everyone, the URLs themselves only where page-level details are shown
+function renderIntegrity(integrity, { details=false }={}){
+  if (!integrity) return '';
+  const rows = integrityRows(integrity).map(r=>{
+    const shown = r.items.slice(0,25);
+    const more = r.items.length - shown.length;
+    const list = details && shown.length ? `<details class="finding-details"><summary>${r.items.length} URL${r.items.length === 1 ? '' : 's'}</summary><ul>${
+      shown.map(x=>`<li><a href="${esc(x.url)}" target="_blank" rel="noopener nofollow">${esc(x.url)}</a> — ${esc(x.evidence)}</li>`).join('')
+    }${more > 0 ? `<li>…and ${more} more</li>` : ''}</ul></details>` : '';
+    return `<li><strong>${esc(r.label)}:</strong> ${esc(r.text)}${list}</li>`;
+  });
+  return `
+    <div class="section-title">🔗 Access Integrity</div>
+    <p>${esc(integritySummary(integrity))}</p>
+    <ul>${rows.join('')}</ul>
+  `;
+}
+
+function renderReportHtml(analysis, { details=false }={}){
+  // rule titles and messages are config-editable (RULES_CONFIG): escaped like every other piece of text
+  const li = (x)=> `<li><strong>${esc(x.title)}:</strong> ${esc(x.description)}${details ? renderDetails(x.details) : ''}</li>`;
+  return `
+    <div class="section-title">✅ What's Working</div>
+    <ul>${analysis.working.map(li).join('')}</ul>
+    <div class="section-title">🚨 Needs Attention</div>
+    <ul>${analysis.needsAttention.map(li).join('')}</ul>
+    ${renderIntegrity(analysis.integrity, { details })}
+    <div class="section-title">🤖 AI Engine Insights</div>
+    <ul>${analysis.insights.map(x=>`<li>${esc(x.description)}</li>`).join('')}</ul>
+  `;
+}
+
+const permalinkFor = (id)=> id ? `/saved-report.html?id=${id}` : null;
+
+// ---- abuse guards ----
+// every crawled site counts against the visitor's IP and its own host (lib/rate-limit.js); 0 turns a limit off
+const competitorsOf = (req)=> [].concat(req.query.competitors || []).flatMap(c=>String(c).split(',')).map(c=>c.trim()).filter(Boolean);
+// saved-report lookups (?id=) crawl nothing; a comparison crawls the primary and every competitor
+const limitCrawls = crawlLimits((req)=> [req.query.url || req.body?.url]);
+const limitCompare = crawlLimits((req)=> [req.query.url, ...competitorsOf(req)]);
+const limitLeads = rateLimit({ name: 'lead', windowMs: RATE_WINDOW_MS, max: envInt('RATE_LIMIT_LEADS', 5, { min: 0 }),
+  message: 'Too many report requests from your network. Please try again later.' });
+
+// ---- endpoints ----
+app.get('/', (_req,res)=>res.send('SnipeRank Backend v2.6.0 - Speed Optimized'));
+
+// cheap liveness check; the front-end pages also use it to find the API (same origin or the hosted backend)
+app.get('/api/health', (_req,res)=>res.json({ ok:true, version:'2.6.0', uptime: Math.round(process.uptime()), crawlCache: crawlCache.stats() }));
+
+app.get('/report.html', limitCrawls, asyncHandler(async (req,res)=>{
+  // ?id= re-renders a saved report without crawling again
+  if (req.query.id){
+    const saved = await getReport(req.query.id);
+    if (!saved) return res.status(404).send('<p style="color:red">Report not found.</p>');
+    res.setHeader('Content-Type','text/html');
+    res.setHeader('X-Report-Id', saved.id);
+    return res.send(renderReportHtml(saved, { details: showDetails(req, saved.reportType) }));
+  }
+
+  const url = req.query.url;
+  const report = (req.query.report==='full')?'full':'analyze';
+  if (!url) return res.status(400).send('<p style="color:red">Missing URL parameter.</p>');
+  const bad = await checkTarget(url);
+  if (bad) return res.status(400).send(`<p style="color:red">${esc(bad)}.</p>`);
+
+  const { analysis, cache } = await analyzeCached(url, report);
+  const id = await persistReport(url, report, analysis);
+  res.setHeader('Content-Type','text/html');
+  res.setHeader('X-Crawl-Cache', cache);
+  if (id) res.setHeader('X-Report-Id', id);
+  res.send(renderReportHtml(analysis, { details: showDetails(req, report) }));
+}));
+
+app.get('/api/score', limitCrawls, asyncHandler(async (req,res)=>{
+  const url = req.query.url;
+  if (!url) return res.status(400).json({ error:'Missing url parameter' });
+  const bad = await checkTarget(url);
+  if (bad) return res.status(400).json({ error: bad });
+
+  const { analysis, cache } = await analyzeCached(url, 'analyze');
+  const reportId = await persistReport(url, 'analyze', analysis);
+  res.setHeader('X-Crawl-Cache', cache);
+
+  // ?explain=1 adds every sub-signal's value, weight and points (see lib/scoring.js)
+  res.json({ ...scoreCard(url, analysis, { explain: req.query.explain === '1' }), reportId, permalink: permalinkFor(reportId) });
+}));
+
+// ---- live progress (Server-Sent Events) ----
+// events: progress {phase, fetched, queued, failed, url, maxPages} -> complete {score card + html + reportId} | failed
+app.get('/api/stream', limitCrawls, asyncHandler(async (req,res)=>{
+  const url = req.query.url;
+  const report = (req.query.report==='full')?'full':'analyze';
+  if (!url) return res.status(400).json({ error:'Missing url parameter' });
+  const bad = await checkTarget(url);
+  if (bad) return res.status(400).json({ error: bad });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  const send = (event, data)=>{ if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`); };
+  // proxies drop idle streams; a comment line every 15s keeps this one open during slow fetches
+  const heartbeat = setInterval(()=>{ if (!res.writableEnded) res.write(': keep-alive\n\n'); }, 15000);
+
+  // visitor left: stop crawling their site
+  const ac = new AbortController();
+  res.on('close', ()=>{ clearInterval(heartbeat); if (!res.writableEnded) ac.abort(); });
+
+  try{
+    const { analysis } = await analyzeCached(url, report, { signal: ac.signal, onProgress: (p)=>send('progress', p) });
+    if (ac.signal.aborted) return;
+    const reportId = await persistReport(url, report, analysis);
+    send('complete', { ...scoreCard(url, analysis, { explain: req.query.explain === '1' }), reportType: report, reportId, permalink: permalinkFor(reportId), html: renderReportHtml(analysis, { details: showDetails(req, report) }) });
+  }catch(e){
+    send('failed', { error: 'Analysis failed', message: e.message });
+  }finally{
+    clearInterval(heartbeat);
+    res.end();
+  }
+}));
+
+// ---- async jobs (full reports without holding a request open) ----
+const jobs = createJobQueue({
+  run: async (job, { signal, onProgress })=>{
+    const { url, reportType } = job.params;
+    const { analysis } = await analyzeCached(url, reportType, { signal, onProgress });
+    if (analysis.failed) throw new Error('The site could not be crawled');
+    const reportId = await persistReport(url, reportType, analysis);
+    return { ...scoreCard(url, analysis), reportType, reportId, permalink: permalinkFor(reportId) };
+  }
+});
+jobs.restore()
+  .then(n=>{ if (n) console.log(`Resumed ${n} pending analysis job(s)`); })
+  .catch(e=>console.error('Job restore failed:', e.message));
+
+app.post('/api/jobs', limitCrawls, asyncHandler(async (req,res)=>{
+  const url = req.body?.url;
+  const reportType = (req.body?.report==='analyze')?'analyze':'full';
+  if (!url) return res.status(400).json({ error:'Missing url parameter' });
+  const bad = await checkTarget(url);
+  if (bad) return res.status(400).json({ error: bad });
+
+  const job = await jobs.enqueue({ url, reportType });
+  res.status(202).location(`/api/jobs/${job.id}`).json({ id: job.id, status: job.status, createdAt: job.createdAt });
+}));
+
+app.get('/api/jobs/:id', (req,res)=>{
+  if (!isJobId(req.params.id)) return res.status(400).json({ error:'Invalid job id' });
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error:'Job not found' });
+  res.json(job);
+});
+
+app.delete('/api/jobs/:id', asyncHandler(async (req,res)=>{
+  if (!isJobId(req.params.id)) return res.status(400).json({ error:'Invalid job id' });
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error:'Job not found' });
+  if (!(await jobs.cancel(job.id))) return res.status(409).json({ error:`Job already ${job.status}` });
+  res.json({ id: job.id, status: 'cancelled' });
+}));
+
+// ---- competitor comparison ----
+const MAX_COMPETITORS = envInt('COMPARE_MAX_COMPETITORS', 4);
 
-  res.json({ url, host, score: total, pillars: analysis.pillars, highlights, band: bandText(total), override: OVERRIDE.has(host), insights });
+// ?url=primary&competitors=a.com,b.com (or repeated &competitors=); each site gets a quick analyze-size crawl
+app.get('/api/compare', limitCompare, asyncHandler(async (req,res)=>{
+  const url = req.query.url;
+  const competitors = competitorsOf(req);
+  if (!url) return res.status(400).json({ error:'Missing url parameter' });
+  if (!competitors.length) return res.status(400).json({ error:'Provide at least one competitor' });
+  if (competitors.length > MAX_COMPETITORS) return res.status(400).json({ error:`At most ${MAX_COMPETITORS} competitors per comparison` });
+  for (const u of [url, ...competitors]){
+    const bad = await checkTarget(u);
+    if (bad) return res.status(400).json({ error:`${bad}: ${u}` });
+  }
+
+  // two sites at a time: different hosts, but it is still our outbound bandwidth
+  const urls = [url, ...competitors];
+  const rows = new Array(urls.length);
+  let next = 0;
+  const worker = async ()=>{
+    while (next < urls.length){
+      const i = next++;
+      const { analysis } = await analyzeCached(urls[i], 'analyze');
+      const reportId = await persistReport(urls[i], 'analyze', analysis);
+      rows[i] = siteRow({ url: urls[i], host: hostOf(urls[i]), score: scoreCard(urls[i], analysis).score, reportId, analysis });
+    }
+  };
+  await Promise.all([worker(), worker()]);
+
+  const [primary, ...others] = rows;
+  if (primary.failed) return res.status(502).json({ error:'The site could not be crawled' });
+  res.json(compareSites(primary, others));
+}));
+
+// ---- saved reports ----
+app.get('/api/reports/:id', asyncHandler(async (req,res)=>{
+  if (!isReportId(req.params.id)) return res.status(400).json({ error:'Invalid report id' });
+  const saved = await getReport(req.params.id);
+  if (!saved) return res.status(404).json({ error:'Report not found' });
+
+  const { id, reportType, createdAt, working, needsAttention, schema, integrity, pages } = saved;
+  const show = showDetails(req, reportType);
+  res.json({ id, reportType, createdAt, permalink: permalinkFor(id), ...scoreCard(saved.url, saved, { explain: req.query.explain === '1' }), working, needsAttention: withDetails(needsAttention, show), schema, integrity: integrity || null, pages });
+}));
+
+// ?format=md|html|pdf, served as a download named after the host and run date
+app.get('/api/reports/:id/export', asyncHandler(async (req,res)=>{
+  if (!isReportId(req.params.id)) return res.status(400).json({ error:'Invalid report id' });
+  const format = String(req.query.format || 'pdf').toLowerCase();
+  if (!EXPORT_FORMATS[format]) return res.status(400).json({ error:`Unsupported format: ${format}. Use one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  const saved = await getReport(req.params.id);
+  if (!saved) return res.status(404).json({ error:'Report not found' });
+
+  const card = scoreCard(saved.url, saved);
+  const plan = buildPlan({ ...saved, ...card, reportId: saved.id });
+  const details = showDetails(req, saved.reportType);
+  const report = { ...saved, ...card, plan, details, needsAttention: withDetails(saved.needsAttention, details) };
+  try{
+    const body = format === 'md' ? toMarkdown(report) : format === 'html' ? toHtml(report) : await toPdf(report);
+    res.setHeader('Content-Type', EXPORT_FORMATS[format].type);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(report, format)}"`);
+    res.send(body);
+  }catch(e){
+    console.error('Export failed:', e.message);
+    res.status(500).json({ error:'Export failed' });
+  }
+}));
+
+// ---- action plan ----
+// ?id=<saved report> or ?url= for a fresh crawl (?report=analyze|full); ?rewrite=1 lets the configured LLM reword it
+app.get('/api/plan', limitCrawls, asyncHandler(async (req,res)=>{
+  const { id, url } = req.query;
+  if (!id && !url) return res.status(400).json({ error:'Provide a report id or url' });
+
+  let report;
+  if (id){
+    if (!isReportId(id)) return res.status(400).json({ error:'Invalid report id' });
+    const saved = await getReport(id);
+    if (!saved) return res.status(404).json({ error:'Report not found' });
+    report = { ...saved, ...scoreCard(saved.url, saved), reportId: saved.id };
+  }else{
+    const bad = await checkTarget(url);
+    if (bad) return res.status(400).json({ error: bad });
+    const reportType = (req.query.report==='full')?'full':'analyze';
+    const { analysis, cache } = await analyzeCached(url, reportType);
+    res.setHeader('X-Crawl-Cache', cache);
+    if (analysis.failed) return res.status(502).json({ error:'The site could not be crawled' });
+    const reportId = await persistReport(url, reportType, analysis);
+    report = { ...analysis, ...scoreCard(url, analysis), reportId };
+  }
+
+  let plan = buildPlan(report);
+  if (req.query.rewrite === '1' && PLAN_LLM) plan = await rewritePlan(plan, PLAN_LLM);
+  res.json({ ...plan, permalink: permalinkFor(plan.reportId) });
+}));
+
+app.get('/api/sites/:host/reports', asyncHandler(async (req,res)=>{
+  const reportType = ['analyze','full'].includes(req.query.report) ? req.query.report : null;
+  const limit = clamp(parseInt(req.query.limit,10) || 50, 1, 200);
+  const reports = await listReports(req.params.host, { reportType, limit });
+  res.json({ host: req.params.host, reports: reports.map(r=>({ ...r, permalink: permalinkFor(r.id) })) });
+}));
+
+// compare two runs of one host; defaults to the latest report against the one before it (same report type)
+app.get('/api/sites/:host/diff', asyncHandler(async (req,res)=>{
+  const host = normalizeHost(req.params.host);
+  let { from, to } = req.query;
+  if ((from && !isReportId(from)) || (to && !isReportId(to))) return res.status(400).json({ error:'Invalid report id' });
+
+  const toReport = to ? await getReport(to) : await (async ()=>{
+    const [latest] = await listReports(host, { limit: 1 });
+    return latest ? getReport(latest.id) : null;
+  })();
+  if (!toReport) return res.status(404).json({ error:'No reports found for this host' });
+
+  const fromReport = from ? await getReport(from) : await (async ()=>{
+    const history = await listReports(host, { reportType: toReport.reportType, limit: 200 });
+    const prev = history.find(r=>r.createdAt < toReport.createdAt);
+    return prev ? getReport(prev.id) : null;
+  })();
+  if (!fromReport) return res.status(404).json({ error:'No earlier report to compare against' });
+  if (fromReport.host !== host || toReport.host !== host) return res.status(400).json({ error:'Both reports must belong to this host' });
+
+  // always older -> newer, whichever order the ids came in
+  const [older, newer] = fromReport.createdAt <= toReport.createdAt ? [fromReport, toReport] : [toReport, fromReport];
+  res.json(diffReports(older, newer));
+}));
+
+// ---- leads ----
+app.post('/api/send-link', limitLeads, sendLink);
+
+// Authorization: Bearer <ADMIN_TOKEN>; without a configured token the admin endpoints stay closed
+const digest = (s)=> crypto.createHash('sha256').update(String(s)).digest();
+function requireAdmin(req,res,next){
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) return res.status(503).json({ error:'Admin access is not configured' });
+  const given = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!given || !crypto.timingSafeEqual(digest(given), digest(token))) return res.status(401).json({ error:'Unauthorized' });
+  next();
+}
+
+// ?format=csv|json (default json), ?since=<ISO date>, ?limit=
+app.get('/api/admin/leads', requireAdmin, asyncHandler(async (req,res)=>{
+  const since = req.query.since ? new Date(req.query.since) : null;
+  if (since && isNaN(since)) return res.status(400).json({ error:'Invalid since date' });
+  const limit = req.query.limit ? clamp(parseInt(req.query.limit,10) || 1, 1, 10000) : null;
+  const leads = await listLeads({ since: since && since.toISOString(), limit });
+  if (String(req.query.format).toLowerCase() === 'csv'){
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="sniperank-leads-${new Date().toISOString().slice(0,10)}.csv"`);
+    return res.send(leadsToCsv(leads));
+  }
+  res.json({ count: leads.length, leads });
+}));
+
+// ---- errors ----
+// whatever a route threw (a corrupt or unreadable data file, a failed write) ends here instead of crashing the process
+app.use((err, req, res, next)=>{
+  if (res.headersSent) return next(err);
+  const status = err.status >= 400 && err.status < 500 ? err.status : 500;   // body-parser errors carry their own 4xx
+  if (status === 500) console.error(`${req.method} ${req.path} failed:`, err.message);
+  const message = status === 500 ? 'Internal server error' : err.message;
+  if (req.path === '/report.html') return res.status(status).send(`<p style="color:red">${esc(message)}.</p>`);
+  res.status(status).json({ error: message });
 });
 
 app.listen(PORT, ()=> console.log(`SnipeRank Backend v2.6.0 running on port ${PORT}`));
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareSites } from '../lib/compare.js';
+
+const row = (host, values)=> ({
+  url: `https://${host}/`, host, reportId: null, failed: false,
+  values: { score: 50, access: 10, trust: 10, clarity: 10, alignment: 10, schemaCoverage: 50, avgWords: 400, h1Consistency: 50, aiBotAccess: 50, ...values }
+});
+
+test('compareSites marks lead, trail and even metrics against the strongest competitor', ()=>{
+  const out = compareSites(row('me.test', { score: 60, trust: 8 }), [row('a.test', { score: 55, trust: 12 }), row('b.test', { trust: 9 })]);
+  const position = Object.fromEntries(out.matrix.map(m=>[m.metric, m.position]));
+  assert.equal(position.score, 'lead');
+  assert.equal(position.trust, 'trail');
+  assert.equal(position.access, 'even');
+  assert.match(out.trail[0].text, /a\.test/);
+});
+
+test('compareSites ranks trailing gaps by share of scale, not raw units', ()=>{
+  // 20 words behind is a small gap; 5 of 25 pillar points is a large one
+  const out = compareSites(row('me.test', { avgWords: 400, access: 10 }), [row('a.test', { avgWords: 420, access: 15 })]);
+  assert.deepEqual(out.trail.map(t=>t.metric), ['access', 'avgWords']);
+  assert.ok(out.trail.every(t=>!('gap' in t)));
+});
+
+test('compareSites refuses a primary site that could not be crawled', ()=>{
+  const down = { ...row('me.test', { score: 60, access: 15 }), failed: true };
+  assert.throws(()=>compareSites(down, [row('a.test')]), /me\.test could not be crawled/);
+});
+
+test('compareSites leaves failed competitors out of the matrix', ()=>{
+  const out = compareSites(row('me.test'), [{ ...row('down.test', { score: 99 }), failed: true }]);
+  assert.ok(out.matrix.every(m=>m.competitors.length === 0 && m.position === 'even'));
+  assert.equal(out.competitors[0].failed, true);
+});
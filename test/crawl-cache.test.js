@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCrawlCache, crawlKey } from '../lib/crawl-cache.js';
+
+const KEY = crawlKey('https://Example.com/', 'quick');
+
+// a run that finishes when the test says so and records the signal it was given
+const pendingRun = ()=>{
+  const r = { calls: 0 };
+  r.fn = ({ signal, onProgress })=>{
+    r.calls++;
+    r.signal = signal;
+    r.onProgress = onProgress;
+    return new Promise((resolve, reject)=>{
+      r.finish = resolve;
+      signal.addEventListener('abort', ()=>reject(new Error('aborted')), { once: true });
+    });
+  };
+  return r;
+};
+
+test('a joiner that aborts leaves the shared crawl running for the others', async ()=>{
+  const cache = createCrawlCache({ ttlMs: 60000 });
+  const run = pendingRun();
+  const a = new AbortController(), b = new AbortController();
+  const seen = { a: [], b: [] };
+  const first = cache.get(KEY, run.fn, { signal: a.signal, onProgress: p=>seen.a.push(p) });
+  const second = cache.get(KEY, run.fn, { signal: b.signal, onProgress: p=>seen.b.push(p) });
+
+  run.onProgress({ pages: 1 });
+  a.abort();
+  run.onProgress({ pages: 2 });
+  assert.equal(run.signal.aborted, false);
+  run.finish({ ok: true });
+
+  assert.deepEqual(await second, { value: { ok: true }, cache: 'shared' });
+  assert.equal(run.calls, 1);
+  assert.deepEqual([seen.a, seen.b], [[{ pages: 1 }], [{ pages: 1 }, { pages: 2 }]]);
+  await first;
+});
+
+test('the shared crawl is aborted once every joiner has gone, and nothing is cached', async ()=>{
+  const cache = createCrawlCache({ ttlMs: 60000 });
+  const run = pendingRun();
+  const a = new AbortController(), b = new AbortController();
+  const first = cache.get(KEY, run.fn, { signal: a.signal });
+  const second = cache.get(KEY, run.fn, { signal: b.signal });
+  a.abort();
+  b.abort();
+
+  assert.equal(run.signal.aborted, true);
+  await assert.rejects(first, /aborted/);
+  await assert.rejects(second, /aborted/);
+  assert.equal(cache.stats().entries, 0);
+  assert.equal(cache.stats().inflight, 0);
+});
+
+test('a caller without a signal keeps the crawl alive after the others abort', async ()=>{
+  const cache = createCrawlCache({ ttlMs: 60000 });
+  const run = pendingRun();
+  const a = new AbortController();
+  const first = cache.get(KEY, run.fn, { signal: a.signal });
+  const pinned = cache.get(KEY, run.fn);
+  a.abort();
+  assert.equal(run.signal.aborted, false);
+  run.finish('done');
+  assert.equal((await pinned).value, 'done');
+  await first;
+});
+
+test('a fresh entry is a hit; an expired one is refetched with the old page cache', async (t)=>{
+  let now = 1_000_000;
+  t.mock.method(Date, 'now', ()=>now);
+  const cache = createCrawlCache({ ttlMs: 1000 });
+  const caches = [];
+  const run = async ({ pageCache })=>{
+    caches.push(pageCache);
+    pageCache.set('https://example.com/', { etag: '"v1"' });
+    return { crawl: caches.length };
+  };
+
+  assert.deepEqual(await cache.get(KEY, run), { value: { crawl: 1 }, cache: 'miss' });
+  now += 999;
+  assert.deepEqual(await cache.get(KEY, run), { value: { crawl: 1 }, cache: 'hit', age: 1 });
+  now += 1;
+  assert.deepEqual(await cache.get(KEY, run), { value: { crawl: 2 }, cache: 'revalidated' });
+  assert.equal(caches.length, 2);
+  assert.equal(caches[1], caches[0], 'the revalidating crawl gets the previous page cache');
+});
+
+test('a result the keep predicate rejects is not cached', async ()=>{
+  const cache = createCrawlCache({ ttlMs: 60000, keep: (v)=>!v.failed });
+  let calls = 0;
+  const run = async ()=> (++calls === 1 ? { failed: true } : { score: 80 });
+
+  assert.deepEqual((await cache.get(KEY, run)).value, { failed: true });
+  assert.equal(cache.stats().entries, 0);
+  assert.deepEqual(await cache.get(KEY, run), { value: { score: 80 }, cache: 'miss' });
+  assert.equal((await cache.get(KEY, run)).cache, 'hit');
+  assert.equal(calls, 2);
+});
+
+test('the least recently used entry is evicted past maxEntries', async ()=>{
+  const cache = createCrawlCache({ ttlMs: 60000, maxEntries: 2 });
+  const run = async ()=> ({});
+  const key = (h)=> crawlKey(`https://${h}.test/`, 'quick');
+  await cache.get(key('a'), run);
+  await cache.get(key('b'), run);
+  await cache.get(key('a'), run);
+  await cache.get(key('c'), run);
+  assert.equal((await cache.get(key('a'), run)).cache, 'hit');
+  assert.equal((await cache.get(key('b'), run)).cache, 'miss');
+});
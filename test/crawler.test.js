@@ -0,0 +1,146 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runCrawl, hostLimiter, normalizeUrl } from '../lib/crawler.js';
+import { crawlSitePages } from '../lib/site-crawler.js';
+import { CRAWLER_UA } from '../lib/robots.js';
+import { startFixture, html } from './fixture-site.js';
+
+// the fixture listens on 127.0.0.1, which the SSRF guard refuses by default
+process.env.ALLOW_PRIVATE_TARGETS = '1';
+
+const sleep = (ms)=> new Promise(r=>setTimeout(r, ms));
+
+// ---- runCrawl on a synthetic link graph ----
+const graph = (links, { slow={} }={})=> async (url)=>{
+  const path = new URL(url).pathname;
+  if (slow[path]) await sleep(slow[path]);
+  if (!(path in links)) throw new Error('404');
+  return { page: { url, path }, links: links[path].map(p=>new URL(p, url).href) };
+};
+
+test('normalizeUrl folds host case, default ports, trailing slashes and tracking params', ()=>{
+  assert.equal(normalizeUrl('HTTP://Example.com:80/a/?utm_source=x&b=2&a=1#top'), 'http://example.com/a?a=1&b=2');
+  assert.equal(normalizeUrl('/x', 'https://example.com/y'), 'https://example.com/x');
+  assert.equal(normalizeUrl('mailto:a@example.com'), null);
+});
+
+test('runCrawl returns pages in discovery order, not completion order', async ()=>{
+  const pages = await runCrawl({
+    seeds: ['http://site.test/'],
+    visit: graph({ '/': ['/a', '/b'], '/a': ['/c'], '/b': [], '/c': [] }, { slow: { '/a': 60 } }),
+    concurrency: 3,
+    perHost: { concurrency: 3 }
+  });
+  assert.deepEqual(pages.map(p=>p.path), ['/', '/a', '/b', '/c']);
+});
+
+test('runCrawl stops at maxPages and reports why', async ()=>{
+  const links = { '/': Array.from({ length: 10 }, (_, i)=>`/p${i}`) };
+  for (let i = 0; i < 10; i++) links[`/p${i}`] = [];
+  let done = null;
+  const pages = await runCrawl({ seeds: ['http://site.test/'], visit: graph(links), maxPages: 3, onEvent: (e)=>{ if (e.type === 'done') done = e; } });
+  assert.equal(pages.length, 3);
+  assert.equal(done.reason, 'limit');
+});
+
+test('runCrawl counts a failing visit and keeps going', async ()=>{
+  const errors = [];
+  const pages = await runCrawl({
+    seeds: ['http://site.test/'],
+    visit: graph({ '/': ['/gone', '/ok'], '/ok': [] }),
+    onEvent: (e)=>{ if (e.type === 'error') errors.push(e.url); }
+  });
+  assert.deepEqual(pages.map(p=>p.path), ['/', '/ok']);
+  assert.deepEqual(errors, ['http://site.test/gone']);
+});
+
+test('runCrawl spaces request starts per host but not across hosts', async ()=>{
+  const starts = [];
+  await runCrawl({
+    seeds: ['http://one.test/', 'http://one.test/a', 'http://one.test/b', 'http://two.test/'],
+    visit: async (url)=>{ starts.push({ host: new URL(url).host, at: Date.now() }); return { page: { url } }; },
+    concurrency: 4,
+    perHost: { concurrency: 1, delayMs: 80 }
+  });
+  const one = starts.filter(s=>s.host === 'one.test').map(s=>s.at);
+  assert.equal(one.length, 3);
+  for (let i = 1; i < one.length; i++) assert.ok(one[i] - one[i-1] >= 75, `gap ${one[i] - one[i-1]}ms`);
+  const two = starts.find(s=>s.host === 'two.test').at;
+  assert.ok(two - one[0] < 75, 'a second host does not wait for the first');
+});
+
+test('hostLimiter never lets more than `concurrency` requests in at once', async ()=>{
+  const limiter = hostLimiter({ concurrency: 2 });
+  let active = 0, peak = 0;
+  await Promise.all(Array.from({ length: 6 }, async ()=>{
+    await limiter.acquire('h');
+    active++; peak = Math.max(peak, active);
+    await sleep(10);
+    active--;
+    limiter.release('h');
+  }));
+  assert.equal(peak, 2);
+});
+
+// ---- crawlSitePages against a local fixture site ----
+async function fixtureSite(){
+  const routes = {
+    '/': html('Home', '<a href="/a">a</a><a href="/private/x">p</a><a href="/moved">m</a><a href="/missing">x</a>'),
+    '/a': html('A', '<a href="/c">c</a>'),
+    '/b': html('B'),
+    '/c': html('C'),
+    '/from-sitemap': html('From sitemap'),
+    '/private/x': html('Private'),
+    '/private/secret': html('Secret'),
+    '/moved': { status: 301, headers: { location: '/b' } }
+  };
+  const site = await startFixture(routes);
+  routes['/robots.txt'] = { type: 'text/plain', body: `User-agent: *\nDisallow: /private\nCrawl-delay: 0.2\nSitemap: ${site.origin}/sitemap.xml\n` };
+  routes['/sitemap.xml'] = { type: 'application/xml', body: `<?xml version="1.0"?><urlset>
+    <url><loc>${site.origin}/from-sitemap</loc><priority>0.9</priority></url>
+    <url><loc>${site.origin}/private/secret</loc></url></urlset>` };
+  return site;
+}
+
+test('crawlSitePages honors robots.txt, seeds from the sitemap and follows redirects', async ()=>{
+  const site = await fixtureSite();
+  try{
+    const pages = await crawlSitePages(`${site.origin}/`);
+    const paths = pages.map(p=>new URL(p.url).pathname);
+    assert.equal(paths[0], '/', 'homepage first');
+    assert.ok(paths.includes('/from-sitemap'), 'sitemap URL crawled');
+    assert.ok(paths.includes('/a') && paths.includes('/c'), 'links followed');
+    assert.ok(!paths.some(p=>p.startsWith('/private')), 'disallowed pages left out');
+    assert.ok(!site.requests.some(r=>r.path.startsWith('/private')), 'disallowed pages never fetched');
+    assert.ok(site.requests.some(r=>r.path === '/missing') && !paths.includes('/missing'), '404 fetched but not a page');
+    assert.equal(pages.find(p=>p.url.endsWith('/moved'))?.title, 'B', 'redirect followed');
+    assert.ok(site.requests.every(r=>r.ua === CRAWLER_UA));
+  }finally{
+    await site.close();
+  }
+});
+
+test('crawlSitePages spaces page fetches by Crawl-delay', async ()=>{
+  const site = await fixtureSite();
+  try{
+    await crawlSitePages(`${site.origin}/`);
+    // redirect hops (/moved -> /b) belong to the same visit and are not spaced
+    const home = site.requests.findIndex(r=>r.path === '/');
+    const times = site.requests.slice(home).filter(r=>r.path !== '/b').map(r=>r.at);
+    assert.ok(times.length >= 5);
+    for (let i = 1; i < times.length; i++) assert.ok(times[i] - times[i-1] >= 190, `gap ${times[i] - times[i-1]}ms`);
+  }finally{
+    await site.close();
+  }
+});
+
+test('crawlSitePages stops at maxPages', async ()=>{
+  const site = await fixtureSite();
+  try{
+    const pages = await crawlSitePages(`${site.origin}/`, { maxPages: 2 });
+    assert.equal(pages.length, 2);
+    assert.equal(new URL(pages[0].url).pathname, '/');
+  }finally{
+    await site.close();
+  }
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffReports, siteMetrics } from '../lib/diff.js';
+
+const page = (url, o={})=> ({ url, wordCount: 500, h1Count: 1, hasSchema: true, metaDesc: 'About us', ...o });
+const report = (o)=> ({ host: 'example.com', pillars: {}, working: [], needsAttention: [], pages: [], ...o });
+
+test('diffReports sorts findings into resolved, introduced and unchanged, ignoring version suffixes', ()=>{
+  const from = report({
+    id: 'a', score: 60,
+    needsAttention: [{ title: 'Missing FAQ schema' }, { title: 'Link Trail Density • v1' }, { title: 'Thin pages' }]
+  });
+  const to = report({
+    id: 'b', score: 68,
+    needsAttention: [{ title: 'link trail density • v2' }, { title: 'Slow first byte' }]
+  });
+  const d = diffReports(from, to);
+  assert.deepEqual(d.needsAttention, {
+    resolved: [{ title: 'Missing FAQ schema' }, { title: 'Thin pages' }],
+    introduced: [{ title: 'Slow first byte' }],
+    unchanged: 1
+  });
+  assert.deepEqual(d.score, { from: 60, to: 68, delta: 8 });
+});
+
+test('diffReports tracks pages added, removed, fixed and regressed', ()=>{
+  const from = report({ pages: [page('https://example.com/'), page('https://example.com/old'), page('https://example.com/blog', { wordCount: 120, h1Count: 0 })] });
+  const to = report({ pages: [page('https://example.com/', { hasSchema: false }), page('https://example.com/blog'), page('https://example.com/new')] });
+  const d = diffReports(from, to);
+  assert.deepEqual(d.pages, {
+    added: ['https://example.com/new'],
+    removed: ['https://example.com/old'],
+    fixed: [{ url: 'https://example.com/blog', check: 'thin' }, { url: 'https://example.com/blog', check: 'h1Missing' }],
+    regressed: [{ url: 'https://example.com/', check: 'noSchema' }]
+  });
+  assert.deepEqual(d.metrics.thinPages, { from: 1, to: 0, delta: -1, improved: true });
+  assert.deepEqual(d.metrics.schemaCoverage, { from: 100, to: 67, delta: -33, improved: false });
+});
+
+test('siteMetrics of an empty crawl is all zeros, with full alt coverage', ()=>{
+  const m = siteMetrics([]);
+  assert.equal(m.pages, 0);
+  assert.equal(m.avgWords, 0);
+  assert.equal(m.altCoverage, 100);
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { envInt } from '../lib/env.js';
+
+test('envInt reads whole numbers and falls back on anything else', (t)=>{
+  const warned = t.mock.method(console, 'warn', ()=>{});
+  const env = { A: '25', B: ' 7 ', UNIT: '10k', FRAC: '2.5', EMPTY: '' };
+  assert.equal(envInt('A', 1, {}, env), 25);
+  assert.equal(envInt('B', 1, {}, env), 7);
+  assert.equal(envInt('MISSING', 3, {}, env), 3);
+  assert.equal(envInt('EMPTY', 3, {}, env), 3);
+  assert.equal(warned.mock.calls.length, 0, 'unset is not a mistake');
+
+  assert.equal(envInt('UNIT', 3, {}, env), 3);
+  assert.equal(envInt('FRAC', 3, {}, env), 3);
+  assert.equal(warned.mock.calls.length, 2);
+  assert.match(warned.mock.calls[0].arguments[0], /^UNIT="10k"/);
+});
+
+test('envInt only takes 0 where min allows it, and never a negative limit', (t)=>{
+  t.mock.method(console, 'warn', ()=>{});
+  const env = { ZERO: '0', NEG: '-1' };
+  assert.equal(envInt('ZERO', 4, {}, env), 4);
+  assert.equal(envInt('ZERO', 4, { min: 0 }, env), 0);
+  assert.equal(envInt('NEG', 20, { min: 0 }, env), 20);
+});
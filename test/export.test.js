@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toMarkdown, toHtml, exportFilename } from '../lib/export.js';
+import { createIntegrityLog, auditIntegrity } from '../lib/integrity.js';
+
+const fetched = (url, status)=> ({ url, status, finalUrl: url, hops: [], ms: 20 });
+
+async function sampleReport(o={}){
+  const log = createIntegrityLog();
+  log.fetched(fetched('https://example.com/', 200));
+  log.fetched(fetched('https://example.com/gone', 404));
+  return {
+    url: 'https://example.com/', host: 'example.com', reportType: 'quick', createdAt: '2026-03-01T10:00:00Z',
+    score: 64, band: 'Needs work', pillars: { access: 18, trust: 15, clarity: 16, alignment: 15 },
+    integrity: await auditIntegrity(log, []),
+    working: [{ title: 'HTTPS everywhere', description: 'All pages load over HTTPS.' }],
+    needsAttention: [{
+      title: 'Thin pages', description: 'Some pages say very little.',
+      details: { scope: 'pages', affected: 1, total: 2, share: 50, pages: [{ url: 'https://example.com/about', evidence: '120 words' }] }
+    }],
+    insights: [{ engine: 'ChatGPT', text: 'Clear offer.' }],
+    pages: [],
+    ...o
+  };
+}
+
+test('toMarkdown leaves out every affected URL when details is false', async ()=>{
+  assert.equal(toMarkdown(await sampleReport({ details: false })), `# SnipeRank AI SEO Analysis
+
+**Site:** https://example.com/  
+**Date:** 2026-03-01  
+**SnipeRank Score:** 64/100 — Needs work
+
+## Pillars
+
+| Pillar | Score |
+| --- | ---: |
+| AI Access Readiness | 18/25 |
+| Trust & Verification Signals | 15/25 |
+| LLM Interpretability & Clarity | 16/25 |
+| Prompt-Pattern Alignment | 15/25 |
+
+## ✅ What's Working
+
+### HTTPS everywhere
+
+All pages load over HTTPS.
+
+## 🚨 Needs Attention
+
+### Thin pages
+
+Some pages say very little.
+
+## 🔗 Access Integrity
+
+2 URLs fetched: 1 OK, 0 redirected, 1 broken. Average response 20 ms.
+
+- **Broken internal links:** 1 URL answered with an error.
+- **Redirect chains:** None found.
+- **Soft 404s:** Missing-page probe not run.
+
+## 🤖 AI Engine Insights
+
+- **ChatGPT:** Clear offer.
+`);
+});
+
+test('toMarkdown lists affected pages and broken URLs when details are shown', async ()=>{
+  const md = toMarkdown(await sampleReport({ details: true }));
+  assert.match(md, /### Thin pages\n\nSome pages say very little\.\n\n\*Affected: 1 of 2 pages \(50%\)\*\n\n- https:\/\/example\.com\/about — 120 words\n/);
+  assert.match(md, /- \*\*Broken internal links:\*\* 1 URL answered with an error\.\n {2}- https:\/\/example\.com\/gone — 404/);
+});
+
+test('toHtml strips the same details, escapes content and stays self-contained', async ()=>{
+  const hidden = toHtml(await sampleReport({ details: false, working: [{ title: '<script>alert(1)</script>', description: 'x' }] }));
+  assert.doesNotMatch(hidden, /example\.com\/about|example\.com\/gone|Affected:/);
+  assert.match(hidden, /<h3>&lt;script&gt;alert\(1\)&lt;\/script&gt;<\/h3>/);
+  assert.doesNotMatch(hidden, /<script|<link|src="http/);
+
+  const shown = toHtml(await sampleReport());
+  assert.match(shown, /<p class="detail">Affected: 1 of 2 pages \(50%\)<\/p><ul class="detail"><li>https:\/\/example\.com\/about — 120 words<\/li><\/ul>/);
+  assert.match(shown, /<li>https:\/\/example\.com\/gone — 404/);
+});
+
+test('exportFilename carries the host and the report date', async ()=>{
+  assert.equal(exportFilename(await sampleReport(), 'pdf'), 'sniperank-example.com-2026-03-01.pdf');
+});
@@ -0,0 +1,24 @@
+// test/fixture-site.js — a throwaway local site for crawler tests
+// - routes: { '/path': body | { status, type, body, headers } }; unknown paths answer 404
+// - Every request is logged as { path, at } so tests can check order and spacing
+
+import http from 'http';
+
+export async function startFixture(routes){
+  const requests = [];
+  const server = http.createServer((req, res)=>{
+    const path = req.url.split('?')[0];
+    requests.push({ path, at: Date.now(), ua: req.headers['user-agent'] });
+    const r = routes[path];
+    if (r === undefined){ res.writeHead(404, { 'content-type': 'text/plain' }); return res.end('not found'); }
+    const { status=200, type='text/html', body='', headers={} } = typeof r === 'string' ? { body: r } : r;
+    res.writeHead(status, { 'content-type': type, ...headers });
+    res.end(body);
+  });
+  await new Promise(r=>server.listen(0, '127.0.0.1', r));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  return { origin, requests, close: ()=> new Promise(r=>server.close(r)) };
+}
+
+export const html = (title, body='')=>
+  `<html><head><title>${title}</title></head><body><nav></nav><h1>${title}</h1>${body}</body></html>`;
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lastUpdated, summarizeFreshness } from '../lib/freshness.js';
+
+const NOW = Date.parse('2026-06-15T12:00:00Z');
+const page = (path, freshness)=> ({ url: `https://example.com${path}`, freshness: { etag: false, feeds: [], ...freshness } });
+
+test('lastUpdated skips dates in the future but tolerates a little clock skew', ()=>{
+  assert.equal(lastUpdated({ modified: '2099-01-01T00:00:00.000Z', published: '2026-01-10T00:00:00.000Z' }, NOW), '2026-01-10T00:00:00.000Z');
+  assert.equal(lastUpdated({ modified: '2026-06-16T06:00:00.000Z' }, NOW), '2026-06-16T06:00:00.000Z');
+  assert.equal(lastUpdated({ lastModified: '2031-01-01T00:00:00.000Z' }, NOW), null);
+});
+
+test('future dates do not count as recent or pull the median age down', ()=>{
+  const s = summarizeFreshness([
+    page('/a', { modified: '2099-12-31T00:00:00.000Z' }),
+    page('/b', { sitemapLastmod: '2027-01-01T00:00:00.000Z', published: '2023-06-15T12:00:00.000Z' }),
+    page('/c', { modified: '2026-05-16T12:00:00.000Z' }),
+    page('/d', { lastModified: '2024-06-15T12:00:00.000Z' })
+  ], { url: 'https://example.com/feed', latest: '2030-01-01T00:00:00.000Z' }, NOW);
+  assert.equal(s.dated, 3);
+  assert.equal(s.recent, 1);
+  assert.equal(s.medianAgeDays, 730);
+  assert.equal(s.feed.ageDays, null);
+});
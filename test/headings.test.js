@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { extractOutline, headingsWith, outlineLines, titleMatch } from '../lib/headings.js';
+
+const outlineOf = (body, title)=> extractOutline(cheerio.load(`<html><body>${body}</body></html>`), title);
+
+test('a heading more than one level below the previous one is flagged as skipped', ()=>{
+  const h = outlineOf('<h1>Garden sheds</h1><h3>Sizes</h3><h2>Materials</h2><h3>Timber</h3><h6>Care</h6>');
+  assert.deepEqual(h.outline.map(x=>x.issues || []), [[], ['skipped'], [], [], ['skipped']]);
+  assert.equal(h.skipped, 2);
+  assert.deepEqual(headingsWith(h, 'skipped'), ['H3 "Sizes" after H1', 'H6 "Care" after H3']);
+  assert.deepEqual(outlineLines(h), [
+    'H1 Garden sheds',
+    '    H3 Sizes [skipped]',
+    '  H2 Materials',
+    '    H3 Timber',
+    '          H6 Care [skipped]'
+  ]);
+});
+
+test('going back up any number of levels, or starting below H1, is not a skip', ()=>{
+  assert.equal(outlineOf('<h2>Intro</h2><h3>Detail</h3><h4>More</h4><h2>Next</h2>').skipped, 0);
+});
+
+test('empty, duplicate and styling headings are flagged; an image alt counts as text', ()=>{
+  const h = outlineOf('<h1><img src="/logo.png" alt="Acme Sheds"></h1><h2></h2><h2>Pricing</h2><h2>pricing</h2><h3>01</h3><h3>LIMITED TIME OFFER</h3><h3>FAQ</h3>');
+  assert.equal(h.h1, 'Acme Sheds');
+  assert.deepEqual([h.empty, h.duplicates, h.styling], [1, 1, 2]);
+});
+
+test('titleMatch compares the H1 with the title, ignoring stop words', ()=>{
+  assert.equal(titleMatch('The best garden sheds', 'Garden Sheds | Acme'), 0.67);
+  assert.equal(titleMatch('', 'Acme'), null);
+  assert.equal(outlineOf('<h1>Garden sheds</h1>', 'Garden sheds and more').titleMatch, 1);
+});
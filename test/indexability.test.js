@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { extractIndexability, parseRobotsDirectives, hreflangProblem, auditIndexability } from '../lib/indexability.js';
+import { createIntegrityLog } from '../lib/integrity.js';
+
+const u = (path)=> `https://example.com${path}`;
+
+// a crawled page: its head markup and response headers, fetched 200 with no redirect
+function crawl(list){
+  const log = createIntegrityLog();
+  const pages = list.map(([path, head, headers={}, o={}])=>{
+    log.fetched({ url: u(path), status: 200, finalUrl: u(path), hops: [], ms: 10 });
+    return { url: u(path), indexability: extractIndexability(cheerio.load(`<html><head>${head}</head><body></body></html>`), u(path), headers), ...o };
+  });
+  return { pages, log };
+}
+const canonical = (path)=> `<link rel="canonical" href="${path}">`;
+
+test('a canonical that points at a page canonicalized elsewhere is reported as a chain', async ()=>{
+  const { pages, log } = crawl([
+    ['/a', canonical('/b')],
+    ['/b', canonical('/c')],
+    ['/c', canonical('/c')],
+    ['/d', canonical('https://example.com/c')]
+  ]);
+  const a = await auditIndexability(pages, log);
+  assert.deepEqual(a.canonical.chains, [{ url: u('/a'), canonical: u('/b'), next: u('/c'), problem: `canonical ${u('/b')} is itself canonicalized to ${u('/c')}` }]);
+  assert.deepEqual(a.canonical.issues, []);
+  assert.deepEqual([a.canonical.present, a.canonical.self, a.targetsChecked], [4, 1, 0]);
+  assert.deepEqual(a.clean, { pages: 3, noCanonical: 0 });
+});
+
+test('meta robots and X-Robots-Tag disagreeing on noindex is a conflict', async ()=>{
+  const { pages, log } = crawl([
+    ['/meta-noindex', '<meta name="robots" content="noindex">', { 'x-robots-tag': 'index, follow' }],
+    ['/header-noindex', '<meta name="robots" content="index">', { 'x-robots-tag': 'googlebot: noindex' }],
+    ['/both', '<meta name="robots" content="noindex">', { 'x-robots-tag': 'noindex' }, { inSitemap: true }],
+    ['/other-bot', '', { 'x-robots-tag': 'otherbot: noindex' }]
+  ]);
+  const a = await auditIndexability(pages, log);
+  assert.deepEqual(a.conflicts, [
+    { url: u('/meta-noindex'), problem: 'meta robots and X-Robots-Tag disagree on index / noindex' },
+    { url: u('/header-noindex'), problem: 'meta robots and X-Robots-Tag disagree on index / noindex' },
+    { url: u('/both'), problem: 'noindex page listed in the XML sitemap' }
+  ]);
+  assert.deepEqual(a.noindex.map(n=>[n.url, n.source]), [
+    [u('/meta-noindex'), 'meta robots'], [u('/header-noindex'), 'X-Robots-Tag'], [u('/both'), 'meta robots and X-Robots-Tag']
+  ]);
+  assert.equal(a.indexable, 1);
+});
+
+test('parseRobotsDirectives reads "none" and ignores agents that do not index for search', ()=>{
+  assert.deepEqual(parseRobotsDirectives(['none']), { noindex: true, nofollow: true, index: false, follow: false });
+  assert.equal(parseRobotsDirectives(['otherbot: noindex', 'bingbot: nofollow']).noindex, false);
+  assert.equal(parseRobotsDirectives(['unavailable_after: 2030-01-01, noindex']).noindex, true);
+});
+
+test('hreflangProblem accepts real codes and explains the rest', ()=>{
+  assert.equal(hreflangProblem('en-GB'), null);
+  assert.equal(hreflangProblem('x-default'), null);
+  assert.match(hreflangProblem('en_GB'), /underscore; use a hyphen \(en-GB\)/);
+  assert.match(hreflangProblem('en-UK'), /not a country code; use GB/);
+  assert.match(hreflangProblem('english'), /not a language\[-region\] code/);
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createIntegrityLog, auditIntegrity, integritySummary } from '../lib/integrity.js';
+
+const trace = (url, status, hops=[])=> ({ url, status, finalUrl: url, hops, ms: 20 });
+
+test('auditIntegrity counts 304 revalidations as healthy, not as redirects', async ()=>{
+  const log = createIntegrityLog();
+  log.fetched(trace('https://example.com/', 200));
+  log.fetched(trace('https://example.com/a', 304));
+  log.fetched(trace('https://example.com/b', 304));
+  log.fetched({ ...trace('https://example.com/old', 200, [{ status: 301, url: 'https://example.com/old' }]), finalUrl: 'https://example.com/new' });
+  log.fetched(trace('https://example.com/gone', 404));
+
+  const i = await auditIntegrity(log, []);
+  assert.deepEqual(i.statuses, { '2xx': 2, revalidated: 2, '3xx': 0, '4xx': 1, '5xx': 0, failed: 0 });
+  assert.equal(i.redirected, 1);
+  assert.match(integritySummary(i), /^5 URLs fetched: 4 OK \(2 unchanged since the last crawl\), 1 redirected, 1 broken\./);
+});
+
+test('integritySummary reads reports saved before the revalidated bucket existed', ()=>{
+  const saved = { checked: 3, statuses: { '2xx': 3, '3xx': 0, '4xx': 0, '5xx': 0, failed: 0 }, redirected: 0, brokenCount: 0, unreachable: [], avgMs: 40 };
+  assert.equal(integritySummary(saved), '3 URLs fetched: 3 OK, 0 redirected, 0 broken. Average response 40 ms.');
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createJobQueue, MAX_ATTEMPTS } from '../lib/jobs.js';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+test.after(()=> fs.rmSync(tmp, { recursive: true, force: true }));
+
+let n = 0;
+const storeWith = (jobs)=>{
+  const file = path.join(tmp, `jobs-${n++}.json`);
+  if (jobs) fs.writeFileSync(file, JSON.stringify(jobs));
+  return file;
+};
+const saved = (file)=> JSON.parse(fs.readFileSync(file, 'utf8'));
+const job = (id, status, attempts)=> ({ id, status, attempts, params: { url: `https://${id}.test/` }, createdAt: new Date().toISOString() });
+const until = async (test)=>{ for (let i = 0; i < 100 && !test(); i++) await new Promise(r=>setTimeout(r, 10)); };
+
+test('restore re-queues interrupted jobs but fails one that keeps getting interrupted', async ()=>{
+  const file = storeWith([job('job-a-aaaaaa', 'running', 1), job('job-b-bbbbbb', 'running', MAX_ATTEMPTS), job('job-c-cccccc', 'queued', 0)]);
+  const ran = [];
+  const q = createJobQueue({ file, run: async (j)=>{ ran.push(j.id); return { ok: true }; } });
+
+  assert.equal(await q.restore(), 2);
+  await until(()=>q.get('job-c-cccccc').status === 'done');
+  assert.deepEqual(ran, ['job-a-aaaaaa', 'job-c-cccccc']);
+  assert.equal(q.get('job-a-aaaaaa').attempts, 2);
+  const stuck = q.get('job-b-bbbbbb');
+  assert.deepEqual([stuck.status, stuck.error], ['failed', 'interrupted too many times']);
+});
+
+test('an enqueue during restore waits for it instead of overwriting the saved queue', async ()=>{
+  const file = storeWith([job('job-d-dddddd', 'done', 1)]);
+  const q = createJobQueue({ file, run: async ()=> ({}) });
+  const restoring = q.restore();
+  const added = await q.enqueue({ url: 'https://new.test/' });
+  // the first write that carries the new job already carries the saved one
+  assert.deepEqual(saved(file).map(j=>j.id).sort(), ['job-d-dddddd', added.id].sort());
+  assert.equal(await restoring, 0);
+  await until(()=>q.get(added.id).status === 'done');
+});
+
+test('enqueue refuses to run over a job store that could not be read', async (t)=>{
+  t.mock.method(console, 'error', ()=>{});
+  const file = storeWith();
+  fs.writeFileSync(file, '[{ broken');
+  const q = createJobQueue({ file, run: async ()=> ({}) });
+  await assert.rejects(q.restore());
+  await assert.rejects(q.enqueue({ url: 'https://new.test/' }));
+  assert.equal(fs.readFileSync(file, 'utf8'), '[{ broken');
+});
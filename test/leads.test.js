@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// lib/store.js resolves DATA_DIR on import, so it has to be set before the modules load
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'leads-'));
+process.env.DATA_DIR = tmp;
+const { validateLead, saveLead, markEmailed, listLeads, leadsToCsv, LEAD_FIELDS } = await import('../lib/leads.js');
+const { createMailer } = await import('../lib/mailer.js');
+test.after(()=> fs.rmSync(tmp, { recursive: true, force: true }));
+
+const submission = (o={})=> ({ name: 'Ada Lovelace', email: 'Ada@Example.com ', url: 'https://www.example.com/pricing', ...o });
+
+test('validateLead normalizes the submission and lists every problem', ()=>{
+  const { lead } = validateLead(submission({ phone: '+1 (555) 010-0100' }));
+  assert.deepEqual([lead.email, lead.host, lead.phone], ['ada@example.com', 'example.com', '+1 (555) 010-0100']);
+  assert.deepEqual(validateLead({ email: 'nope', url: 'ftp://example.com', phone: 'call me' }).errors, [
+    'name is required',
+    'a valid email is required',
+    'phone may only contain digits, spaces and + ( ) . -',
+    'url must be an http(s) address'
+  ]);
+});
+
+test('saveLead keeps one lead per email and site, and a repeat updates it', async ()=>{
+  const first = await saveLead(validateLead(submission({ company: 'Engines Ltd' })).lead);
+  const again = await saveLead(validateLead(submission({ url: 'https://example.com/', company: '' })).lead);
+  const other = await saveLead(validateLead(submission({ url: 'https://other.test/' })).lead);
+
+  assert.equal(first.duplicate, false);
+  assert.deepEqual([again.duplicate, again.lead.id, again.lead.submissions], [true, first.lead.id, 2]);
+  assert.equal(again.lead.company, 'Engines Ltd', 'a blank field on the repeat keeps the old value');
+  assert.equal(again.lead.url, 'https://example.com/');
+  assert.equal(other.duplicate, false, 'same email, another site is another lead');
+
+  await markEmailed(first.lead.id);
+  const leads = await listLeads();
+  assert.equal(leads.length, 2);
+  assert.ok(leads.find(l=>l.id === first.lead.id).emailedAt);
+});
+
+test('leadsToCsv quotes cells and defuses spreadsheet formulas', ()=>{
+  const csv = leadsToCsv([{ name: '=HYPERLINK("https://evil.test","x")', company: '+cmd', message: 'line one\nsaid "hi"', phone: '-1', email: '@a', url: 'https://example.com/' }]);
+  const [header, row] = csv.split('\r\n');
+  assert.equal(header, LEAD_FIELDS.join(','));
+  assert.match(row, /,"'=HYPERLINK\(""https:\/\/evil\.test"",""x""\)",/);
+  assert.match(row, /,'@a,'-1,'\+cmd,"line one\nsaid ""hi""",https:\/\/example\.com\/,/);
+  assert.ok(csv.endsWith('\r\n'));
+});
+
+test('a mailer with no transport configured refuses to send instead of pretending', async ()=>{
+  const mailer = createMailer({});
+  assert.deepEqual([mailer.name, mailer.delivers], ['none', false]);
+  await assert.rejects(mailer.send({ to: 'ada@example.com', subject: 's', text: 't' }), /no mail transport configured/);
+  assert.equal(createMailer({ SENDGRID_API_KEY: 'k' }).delivers, true);
+});
+
+test('the console transport logs the subject only, never the recipient or the body', async (t)=>{
+  const log = t.mock.method(console, 'log', ()=>{});
+  const mailer = createMailer({ MAIL_TRANSPORT: 'console' });
+  assert.equal(mailer.delivers, false);
+  await mailer.send({ to: 'ada@example.com', subject: 'Your report', text: 'secret link' });
+  const line = log.mock.calls.map(c=>c.arguments.join(' ')).join('\n');
+  assert.match(line, /Your report/);
+  assert.doesNotMatch(line, /ada@example\.com|secret link/);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProvider, llmConfigured, extractJson, validate, generateJson, costOf } from '../lib/llm.js';
+
+const SCHEMA = {
+  type: 'object',
+  required: ['items', 'tone'],
+  properties: {
+    items: { type: 'array', minItems: 3, items: { type: 'string', minLength: 1 } },
+    tone: { type: 'string', enum: ['plain', 'formal'] }
+  }
+};
+
+test('createProvider only runs the mock when LLM_PROVIDER=mock asks for it', ()=>{
+  assert.throws(()=>createProvider({}, {}), /No LLM configured/);
+  assert.equal(llmConfigured({}), false);
+  assert.equal(createProvider({}, { LLM_PROVIDER: 'mock' }).name, 'mock');
+  assert.equal(createProvider({ task: 'full' }, { OPENAI_API_KEY: 'sk-test' }).model, 'gpt-4-turbo');
+  assert.throws(()=>createProvider({}, { LLM_PROVIDER: 'nope' }), /LLM_PROVIDER must be one of/);
+  assert.throws(()=>createProvider({}, { LLM_PROVIDER: 'openai-compatible' }), /LLM_BASE_URL is required/);
+});
+
+test('extractJson reads bare, fenced and chatty replies', ()=>{
+  assert.deepEqual(extractJson('{"a":1}'), { a: 1 });
+  assert.deepEqual(extractJson('Here you go:\n```json\n{"a":2}\n```\nAnything else?'), { a: 2 });
+  assert.deepEqual(extractJson('Sure! {"a":{"b":3}} Hope that helps.'), { a: { b: 3 } });
+  assert.equal(extractJson('no json here'), undefined);
+  assert.equal(extractJson('{"a":'), undefined);
+  assert.equal(extractJson(null), undefined);
+});
+
+test('validate reports every problem with its path', ()=>{
+  assert.deepEqual(validate(SCHEMA, { items: ['a', 'b', 'c'], tone: 'plain' }), []);
+  assert.deepEqual(validate(SCHEMA, []), ['$ should be an object']);
+  assert.deepEqual(validate(SCHEMA, { items: ['a', ' ', 7] }), [
+    '$.tone is missing',
+    '$.items[1] is too short',
+    '$.items[2] should be a string'
+  ]);
+  assert.deepEqual(validate(SCHEMA, { items: ['a'], tone: 'loud' }), [
+    '$.items has 1 items; at least 3 are required',
+    '$.tone should be one of plain, formal'
+  ]);
+  assert.deepEqual(validate({ type: 'array', maxItems: 1 }, [1, 2]), ['$ has 2 items; at most 1 are allowed']);
+});
+
+test('generateJson retries a reply that fails the schema and sums usage over the calls', async ()=>{
+  const llm = createProvider({}, { LLM_PROVIDER: 'mock', LLM_MOCK_FAIL_FIRST: '2' });
+  const r = await generateJson(llm, { prompt: 'list three things', schema: SCHEMA });
+  assert.equal(r.usage.calls, 3);
+  assert.equal(r.data.items.length, 3);
+  assert.ok(r.usage.inputTokens > 0 && r.usage.outputTokens > 0);
+  assert.equal(r.usage.costUsd, 0);
+});
+
+test('generateJson gives up after the last retry and hands back what it got', async ()=>{
+  const llm = createProvider({}, { LLM_PROVIDER: 'mock', LLM_MOCK_FAIL_FIRST: '5' });
+  await assert.rejects(generateJson(llm, { prompt: 'list three things', schema: SCHEMA, retries: 1 }), (err)=>{
+    assert.match(err.message, /after 2 attempts/);
+    assert.deepEqual(err.errors, ['$.items has 2 items; at least 3 are required']);
+    assert.equal(err.usage.calls, 2);
+    assert.ok(extractJson(err.raw));
+    return true;
+  });
+});
+
+test('generateJson sends the model its own reply and the problems on retry', async ()=>{
+  const seen = [];
+  const replies = ['not json', '{"items":["a","b","c"],"tone":"plain"}'];
+  const llm = { name: 'stub', model: 'gpt-4o-mini', complete: async ({ messages })=>{
+    seen.push(messages.map(m=>m.role));
+    return { text: replies.shift(), usage: { inputTokens: 1000, outputTokens: 500 } };
+  } };
+  const r = await generateJson(llm, { prompt: 'p', system: 's', schema: SCHEMA });
+  assert.deepEqual(seen, [['system', 'user'], ['system', 'user', 'assistant', 'user']]);
+  assert.equal(r.usage.costUsd, costOf('gpt-4o-mini', { inputTokens: 2000, outputTokens: 1000 }));
+});
+
+test('costOf prices by the longest matching model prefix', (t)=>{
+  assert.equal(costOf('gpt-4o-mini-2024-07-18', { inputTokens: 1e6, outputTokens: 1e6 }), 0.75);
+  assert.equal(costOf('gpt-4o-2024-08-06', { inputTokens: 1e6 }), 2.5);
+  assert.equal(costOf('claude-3-5-haiku-latest', { outputTokens: 1000 }), 0.004);
+  assert.equal(costOf('llama3.1', { inputTokens: 1e6 }), null);
+
+  t.after(()=>{ delete process.env.LLM_PRICES; });
+  process.env.LLM_PRICES = JSON.stringify({ 'llama': [1, 2] });
+  assert.equal(costOf('llama3.1', { inputTokens: 1e6, outputTokens: 1e6 }), 3);
+  process.env.LLM_PRICES = '{broken';
+  assert.equal(costOf('gpt-4o', { inputTokens: 1e6 }), 2.5, 'a malformed LLM_PRICES falls back to the table');
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import dns from 'dns';
+import { isReservedAddress, checkTarget, guardedLookup, checkRedirect, safeHttp, blockedCause, BLOCKED_CODE } from '../lib/net-guard.js';
+
+delete process.env.ALLOW_PRIVATE_TARGETS;
+
+// [address, reserved?]
+const ADDRESSES = [
+  ['127.0.0.1', true], ['127.255.255.254', true],
+  ['10.0.0.1', true], ['10.255.0.9', true],
+  ['169.254.169.254', true],
+  ['100.64.0.1', true], ['100.127.255.255', true], ['100.128.0.1', false],
+  ['172.16.5.4', true], ['172.32.0.1', false], ['192.168.1.1', true],
+  ['::1', true], ['fc00::1', true], ['fd12:3456::1', true], ['fe80::1', true],
+  ['::ffff:10.0.0.1', true], ['::ffff:a00:1', true], ['::ffff:127.0.0.1', true], ['::10.0.0.1', true],
+  ['64:ff9b::10.0.0.1', true], ['64:ff9b::a00:1', true], ['64:ff9b::808:808', false],
+  ['8.8.8.8', false], ['93.184.216.34', false], ['2606:4700::1111', false], ['::ffff:8.8.8.8', false],
+  ['not-an-ip', false]
+];
+
+for (const [ip, reserved] of ADDRESSES){
+  test(`isReservedAddress(${ip}) is ${reserved}`, ()=> assert.equal(isReservedAddress(ip), reserved));
+}
+
+const resolvesTo = (t, ...addresses)=>{
+  const all = addresses.map(address=>({ address, family: address.includes(':') ? 6 : 4 }));
+  t.mock.method(dns, 'lookup', (host, options, cb)=> cb(null, all));
+  t.mock.method(dns.promises, 'lookup', async ()=> all);
+};
+const lookup = (host, options)=> new Promise((resolve, reject)=>
+  guardedLookup(host, options, (err, address, family)=> err ? reject(err) : resolve({ address, family })));
+
+// [url, reason or null]
+const TARGETS = [
+  ['not a url', 'Invalid URL format'],
+  ['ftp://example.com/', 'Only http and https URLs can be analyzed'],
+  ['file:///etc/passwd', 'Only http and https URLs can be analyzed'],
+  ['javascript:alert(1)', 'Only http and https URLs can be analyzed'],
+  ['https://user:pw@example.com/', 'URLs with embedded credentials cannot be analyzed'],
+  ['http://127.0.0.1:8080/', 'This address is on a private or reserved network and cannot be analyzed'],
+  ['http://[::1]/', 'This address is on a private or reserved network and cannot be analyzed'],
+  ['http://[::ffff:10.0.0.1]/', 'This address is on a private or reserved network and cannot be analyzed'],
+  ['http://169.254.169.254/latest/meta-data/', 'This address is on a private or reserved network and cannot be analyzed'],
+  ['http://localhost:3000/', 'Internal hostnames cannot be analyzed'],
+  ['http://printer.local/', 'Internal hostnames cannot be analyzed'],
+  ['http://8.8.8.8/', null]
+];
+
+for (const [url, reason] of TARGETS){
+  test(`checkTarget(${url})`, async ()=> assert.equal(await checkTarget(url), reason));
+}
+
+test('checkTarget refuses a hostname that resolves to a private address', async (t)=>{
+  resolvesTo(t, '93.184.216.34', '10.1.2.3');
+  assert.equal(await checkTarget('https://sneaky.example/'), 'This host resolves to a private or reserved network and cannot be analyzed');
+  resolvesTo(t, '93.184.216.34');
+  assert.equal(await checkTarget('https://example.com/'), null);
+});
+
+test('guardedLookup refuses any reserved answer and passes public ones through', async (t)=>{
+  resolvesTo(t, '100.64.0.7');
+  await assert.rejects(lookup('cgnat.example', {}), { code: BLOCKED_CODE, message: /resolves to a private or reserved address \(100\.64\.0\.7\)/ });
+  resolvesTo(t, '2606:4700::1111', 'fc00::5');
+  await assert.rejects(lookup('mixed.example', { family: 0 }), { code: BLOCKED_CODE });
+  resolvesTo(t, '93.184.216.34');
+  assert.deepEqual(await lookup('example.com', {}), { address: '93.184.216.34', family: 4 });
+});
+
+test('a redirect to a private address or a non-http scheme is rejected', ()=>{
+  assert.throws(()=>checkRedirect({ protocol: 'http:', hostname: '10.0.0.1' }), { code: BLOCKED_CODE });
+  assert.throws(()=>checkRedirect({ protocol: 'http:', hostname: '[::1]' }), { code: BLOCKED_CODE });
+  assert.throws(()=>checkRedirect({ protocol: 'http:', hostname: '169.254.169.254' }), { code: BLOCKED_CODE });
+  assert.throws(()=>checkRedirect({ protocol: 'file:', hostname: '' }), /unsupported protocol file:/);
+  assert.doesNotThrow(()=>checkRedirect({ protocol: 'https:', hostname: 'example.com' }));
+});
+
+test('safeHttp refuses a literal private address before connecting', async ()=>{
+  const err = await safeHttp.get('http://127.0.0.1:1/').then(()=>null, e=>e);
+  assert.ok(blockedCause(err), 'the refusal is ours, not a connection error');
+});
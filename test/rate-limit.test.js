@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rateLimit, crawlLimits } from '../lib/rate-limit.js';
+
+// just enough of req/res for the limiter; works for Express and plain handlers alike
+const request = (query, ip='203.0.113.7')=> ({ query, ip });
+const response = ()=> ({
+  headers: {}, code: 200, body: null,
+  setHeader(k, v){ this.headers[k] = v; },
+  status(c){ this.code = c; return this; },
+  json(b){ this.body = b; return this; }
+});
+// runs the middlewares in order; true when the request reached the route
+const pass = (limits, req, res=response())=> [].concat(limits).every((mw)=>{ let ok = false; mw(req, res, ()=>{ ok = true; }); return ok; });
+
+test('rateLimit counts per key and answers 429 with Retry-After once the window is spent', ()=>{
+  const limit = rateLimit({ name: 't-basic', windowMs: 60000, max: 2, key: (req)=> req.ip });
+  assert.ok(pass(limit, request({})));
+  assert.ok(pass(limit, request({})));
+  const res = response();
+  assert.equal(pass(limit, request({}), res), false);
+  assert.equal(res.code, 429);
+  assert.ok(Number(res.headers['Retry-After']) > 0);
+  assert.ok(pass(limit, request({}, '198.51.100.1')), 'another client has its own bucket');
+});
+
+test('rateLimit charges one unit per key in an array and skips empty keys', ()=>{
+  const limit = rateLimit({ name: 't-array', windowMs: 60000, max: 3, key: (req)=> req.query.keys });
+  assert.ok(pass(limit, request({ keys: ['a', 'a', 'a'] })));
+  assert.equal(pass(limit, request({ keys: ['a'] })), false);
+  assert.ok(pass(limit, request({ keys: [] })));
+  assert.ok(pass(limit, request({ keys: null })));
+});
+
+// crawlLimits share the 'ip' and 'host' buckets across instances, so each case uses its own addresses and hosts
+const sites = (req)=> [req.query.url, ...(req.query.competitors || [])];
+
+test('crawlLimits charges the visitor one unit per crawled site', ()=>{
+  const limits = crawlLimits(sites, { windowMs: 60000, ip: 4, host: 10 });
+  const compare = ()=> request({ url: 'https://a.test/', competitors: ['https://b.test/', 'https://c.test/'] }, '192.0.2.1');
+  assert.ok(pass(limits, compare()));
+  const res = response();
+  assert.equal(pass(limits, compare(), res), false, 'three sites twice is over an IP limit of 4');
+  assert.equal(res.code, 429);
+  assert.ok(pass(limits, request({ id: 'saved' }, '192.0.2.1')), 'saved-report lookups crawl nothing');
+});
+
+test('crawlLimits holds competitor hosts to the same per-host limit', ()=>{
+  const limits = crawlLimits(sites, { windowMs: 60000, ip: 100, host: 2 });
+  const compare = (ip)=> request({ url: 'https://me.test/', competitors: ['https://www.rival.test/'] }, ip);
+  assert.ok(pass(limits, compare('192.0.2.2')));
+  assert.ok(pass(limits, compare('192.0.2.3')));
+  // a third visitor asking for the competitor directly finds it already crawled twice
+  assert.equal(pass(limits, request({ url: 'https://rival.test/pricing' }, '192.0.2.4')), false);
+  assert.ok(pass(limits, request({ url: 'https://fresh.test/' }, '192.0.2.4')));
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { visibleText, extractRendering, summarizeRendering } from '../lib/rendering.js';
+
+const prose = 'Acme builds weatherproof garden sheds from recycled timber and ships them across the country.';
+
+test('an empty SPA shell scores 0 and the prose only in its hydration blob is counted', ()=>{
+  const $ = cheerio.load(`<html><head><title>Acme</title></head><body>
+    <div id="__next"></div>
+    <script id="__NEXT_DATA__" type="application/json">${JSON.stringify({ props: { pageProps: { intro: prose, slug: 'sheds' } } })}</script>
+    <script src="/_next/static/chunks/main.js"></script>
+  </body></html>`);
+  const r = extractRendering($);
+  assert.equal(r.framework, 'Next.js');
+  assert.deepEqual([r.shell, r.shellRoot, r.visibility], [true, '#__next', 0]);
+  assert.deepEqual(r.hydration, ['__NEXT_DATA__']);
+  assert.equal(r.jsOnlyChars, prose.length);
+  assert.equal(r.jsOnlySample, prose);
+  assert.equal(r.externalScripts, 1);
+});
+
+test('a server-rendered page is fully visible even when it also ships its data', ()=>{
+  const $ = cheerio.load(`<body><div id="root"><main><h1>Garden sheds</h1><p>${prose.repeat(3)}</p></main></div>
+    <script>window.__INITIAL_STATE__ = {"intro":"${prose}"}</script></body>`);
+  const r = extractRendering($);
+  assert.deepEqual([r.framework, r.shell, r.visibility, r.jsOnlyChars], ['React', false, 100, 0]);
+  assert.deepEqual(r.hydration, ['__INITIAL_STATE__']);
+});
+
+test('visibleText skips scripts, styles and templates', ()=>{
+  const $ = cheerio.load('<body><style>p{color:red}</style><p>Hello   there</p><script>var x = 1</script><template><p>later</p></template></body>');
+  assert.equal(visibleText($), 'Hello there');
+});
+
+test('summarizeRendering averages measured pages and counts shells', ()=>{
+  const page = (visibility, o={})=> ({ rendering: { visibility, shell: false, jsOnlyChars: 0, framework: 'React', textRatio: 0.5, ...o } });
+  assert.deepEqual(summarizeRendering([page(100), page(0, { shell: true, jsOnlyChars: 90 }), { url: 'old' }]), {
+    score: 50, total: 2, shells: 1, jsOnlyPages: 1, framework: 'React', avgTextRatio: 0.5
+  });
+  assert.equal(summarizeRendering([{ url: 'old' }]), null);
+});
@@ -0,0 +1,232 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RULES, buildContext, runRule, evaluateRules, loadRuleConfig, rulesFor } from '../lib/rules.js';
+import { LONG_CHAIN } from '../lib/integrity.js';
+import { LONG_PARAGRAPH_WORDS } from '../lib/structure.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const YEAR = new Date().getFullYear();
+const daysAgo = (n)=> new Date(Date.now() - n * DAY).toISOString();
+
+// ---- a synthetic site that passes every check; each case below breaks (or tweaks) one thing ----
+const page = (p)=> ({
+  url: `https://example.com${p}`, title: `Page ${p}`, metaDesc: 'A short summary.', h1Count: 1, h1Text: [`Page ${p}`],
+  wordCount: 800, imageCount: 2, imageAltCount: 2, imagesMissingAlt: [], internalLinkCount: 8, externalLinkCount: 2,
+  hasSchema: true, schema: { types: p === '/' ? ['Organization', 'WebSite'] : ['WebPage'], errors: [] },
+  hasNav: true, hasFooter: true, socialLinkCount: 2, contactInfo: { phone: '+1 555 0100', email: 'hi@example.com', address: null },
+  breadcrumbs: true, hasSSL: true, aiDirectives: null,
+  rendering: { visibility: 100, shell: false, jsOnlyChars: 0, textRatio: 0.4, framework: null, hydration: [] },
+  structure: { lists: 1, tables: 0, definitionLists: 0, faq: false, questionHeadings: 1, paragraphs: 10, longParagraphs: 0, longestParagraph: 60,
+    medianParagraphWords: 40, readability: 60, sections: 4, answerFirst: 4, slowSections: [] },
+  headings: { h1: `Page ${p}`, titleMatch: 1, skipped: false, empty: false, duplicates: false, styling: false, outline: [] },
+  freshness: { modified: daysAgo(10), copyrightYear: YEAR }
+});
+
+const site = ()=> ({
+  pages: ['/', '/about', '/services'].map(page),
+  access: {
+    robotsBlocked: [], fetchBlocked: [], agents: [], directives: { noai: false, noimageai: false, source: [] },
+    llmsTxt: { present: true, url: 'https://example.com/llms.txt', status: 200 }, llmsFullTxt: { present: false }
+  },
+  freshness: { dated: 3, recent: 3, articles: 0, copyrightYear: YEAR, currentYear: YEAR,
+    feed: { url: 'https://example.com/feed.xml', ageDays: 10, latest: daysAgo(10) } },
+  integrity: { checked: 3, brokenCount: 0, broken: [], chains: [], loops: [],
+    softNotFound: { probe: { url: 'https://example.com/zz-404', status: 404, soft: false }, pages: [] },
+    outbound: { checked: 2, broken: [] } },
+  indexability: { total: 3, noindexCount: 0, noindex: [], nofollow: [], conflicts: [],
+    canonical: { present: 3, issues: [], chains: [] }, hreflang: { issues: [] } }
+});
+
+const context = (edit=()=>{})=>{
+  const s = site();
+  edit(s);
+  return buildContext(s.pages, 'example.com', s.access, s.freshness, s.integrity, s.indexability);
+};
+const each = (fn)=> (s)=> s.pages.forEach(fn);
+const dead = (url)=> ({ url, status: 404, linkedFrom: 1, sources: ['https://example.com/'] });
+
+// [rule id, edit to the healthy site, expected: null (quiet) | RegExp the description must match]
+const CASES = [
+  // AI crawler access
+  ['ai-robots-blocked', (s)=>{ s.access.robotsBlocked = ['GPTBot', 'ClaudeBot', 'CCBot', 'PerplexityBot']; }, /shuts out GPTBot, ClaudeBot, CCBot and others\. .*about example\.com/],
+  ['ai-edge-blocked', (s)=>{ s.access.fetchBlocked = ['GPTBot']; s.access.agents = [{ name: 'GPTBot', robotsAllowed: true, blocked: true, reason: '403' }]; }, /^Requests identifying as GPTBot are turned away/],
+  ['ai-noai', (s)=>{ s.access.directives = { noai: false, noimageai: true, source: ['X-Robots-Tag'] }; }, /^noimageai directives/],
+  ['ai-noai', (s)=>{ s.pages[1].aiDirectives = { noai: true }; }, /^noai directives/],
+  ['ai-no-llms-txt', (s)=>{ s.access.llmsTxt = { present: false, url: 'https://example.com/llms.txt', status: 404 }; }, /No \/llms\.txt/],
+  ['ai-open-door', ()=>{}, /allowed by robots\.txt/],
+  ['ai-open-door', (s)=>{ s.access.robotsBlocked = ['GPTBot']; }, null],
+  ['ai-llms-txt', ()=>{}, /guide is available\. /],
+  ['ai-llms-txt', (s)=>{ s.access.llmsFullTxt.present = true; }, /available alongside llms-full\.txt\./],
+  ['ai-llms-txt', (s)=>{ s.access.llmsTxt.present = false; }, null],
+  // rendering
+  ['render-js-only', each((p)=>{ p.rendering = { ...p.rendering, visibility: 30, shell: true, shellRoot: '#root', framework: 'React', textChars: 12 }; }), /^Only 30% .*; 3 of 3 pages arrive as empty React shells\./],
+  ['render-js-only', each((p)=>{ p.rendering.visibility = 70; }), /^Only 70% .*JavaScript\. /],
+  ['render-server-side', ()=>{}, /^100% of the readable text/],
+  ['render-server-side', each((p)=>{ p.rendering.visibility = 90; }), null],
+  // integrity
+  ['integrity-broken-links', (s)=>{ s.integrity.brokenCount = 1; s.integrity.broken = [dead('https://example.com/gone')]; }, /^1 linked URL answers/],
+  ['integrity-broken-links', (s)=>{ s.integrity.brokenCount = 2; s.integrity.broken = [dead('https://example.com/a'), dead('https://example.com/b')]; }, /^2 linked URLs answer/],
+  ['integrity-redirect-chains', (s)=>{ s.integrity.chains = [{ url: 'https://example.com/old', hops: [{ status: 301, url: 'https://example.com/old' }, { status: 301, url: 'https://example.com/older' }], finalUrl: 'https://example.com/new', status: 200 }]; }, new RegExp(`through ${LONG_CHAIN} or more redirects`)],
+  ['integrity-soft-404', (s)=>{ s.integrity.softNotFound.probe = { url: 'https://example.com/zz-404', status: 200, soft: true }; }, /answer as if they exist/],
+  ['integrity-outbound-broken', (s)=>{ s.integrity.outbound.broken = [dead('https://other.test/x')]; }, /^1 outbound links/],
+  ['integrity-clean', ()=>{}, /^All 3 fetched URLs/],
+  ['integrity-clean', (s)=>{ s.integrity.softNotFound.pages = [{ url: 'https://example.com/x', title: 'Not found', sources: [] }]; }, null],
+  // indexability
+  ['index-noindex', (s)=>{ Object.assign(s.indexability, { noindexCount: 1, noindex: [{ url: 'https://example.com/about', source: 'meta robots', linkedFrom: 2, inSitemap: true }] }); }, /^1 of 3 crawled pages carry noindex/],
+  ['index-noindex', (s)=>{ s.indexability.noindexCount = 1; s.indexability.total = 20; }, null],
+  ['index-directive-conflicts', (s)=>{ s.indexability.conflicts = [{ url: 'https://example.com/about', problem: 'noindex page listed in the XML sitemap' }]; }, /say one thing/],
+  ['index-nofollow', (s)=>{ s.indexability.nofollow = [{ url: 'https://example.com/about', internalLinks: 5 }]; }, /page-level nofollow/],
+  ['index-nofollow', (s)=>{ s.indexability.nofollow = [{ url: 'https://example.com/about', internalLinks: 0 }]; }, null],
+  ['canonical-invalid', (s)=>{ s.indexability.canonical.issues = [{ url: 'https://example.com/about', canonical: 'https://example.com/gone', problem: 'canonical answers 404' }]; }, /name URLs that fail/],
+  ['canonical-chains', (s)=>{ s.indexability.canonical.chains = [{ url: 'https://example.com/a', canonical: 'https://example.com/b', next: 'https://example.com/c', problem: 'chain' }]; }, /themselves canonicalized/],
+  ['canonical-missing', (s)=>{ s.indexability.canonical.present = 1; }, /declare no canonical/],
+  ['hreflang-issues', (s)=>{ s.indexability.hreflang.issues = [{ url: 'https://example.com/', problem: '"en_US" uses an underscore' }]; }, /invalid codes/],
+  ['index-clean', ()=>{}, /open to indexing/],
+  ['index-clean', (s)=>{ s.indexability.canonical.present = 2; }, null],
+  // working, site-wide
+  ['https-complete', ()=>{}, /resolve over HTTPS/],
+  ['https-complete', (s)=>{ s.pages[2].hasSSL = false; }, null],
+  ['titles-distinct', (s)=>{ s.pages[2].title = s.pages[1].title; }, null],
+  ['titles-distinct', (s)=>{ s.pages[1].title = 'x'.repeat(61); }, null],
+  ['meta-coverage', each((p)=>{ p.metaDesc = ''; }), null],
+  ['schema-footprint', ()=>{}, /typed context, including Organization and WebSite\./],
+  ['schema-footprint', (s)=>{ s.pages[1].hasSchema = false; }, null],
+  ['entity-identity', ()=>{}, /Organization and WebSite entities/],
+  ['entity-identity', (s)=>{ s.pages[0].schema.types = ['Organization']; }, null],
+  ['internal-paths', (s)=>{ s.pages[1].internalLinkCount = 2; }, null],
+  ['alt-coverage', each((p)=>{ p.imageAltCount = 1; }), null],
+  ['content-depth', each((p)=>{ p.wordCount = 500; }), null],
+  ['answer-ready', each((p)=>{ p.structure.lists = 0; }), null],
+  ['answer-ready', each((p)=>{ p.structure.answerFirst = 2; }), null],
+  ['heading-spine', (s)=>{ s.pages[1].h1Count = 2; }, null],
+  ['heading-spine', (s)=>{ s.pages[1].headings.skipped = true; }, null],
+  ['template-consistency', (s)=>{ s.pages[1].hasNav = false; }, null],
+  ['breadcrumbs', each((p)=>{ p.breadcrumbs = false; }), null],
+  ['freshness-recent', ()=>{}, /reason to lean on example\.com\./],
+  ['freshness-recent', (s)=>{ s.freshness.recent = 1; }, null],
+  ['freshness-feed', (s)=>{ s.freshness.feed.ageDays = 120; }, null],
+  // needs, site-wide
+  ['https-gaps', (s)=>{ s.pages[2].hasSSL = false; }, /without security locks/],
+  ['titles-missing', (s)=>{ s.pages[1].title = ''; }, /without nameplates/],
+  ['titles-overlong', (s)=>{ s.pages[1].title = 'x'.repeat(61); }, /run too long/],
+  ['titles-duplicate', (s)=>{ s.pages[2].title = s.pages[1].title; }, /Title collisions/],
+  ['meta-thin', (s)=>{ s.pages[1].metaDesc = ''; }, /needs enhancement/],
+  ['content-thin', (s)=>{ s.pages[1].wordCount = 120; }, /fall short/],
+  ['content-thin', (s)=>{ Object.assign(s.pages[1], { wordCount: 0, rendering: { ...s.pages[1].rendering, shell: true, shellRoot: '#app' } }); }, null],
+  ['content-shallow', each((p)=>{ p.wordCount = 350; }), /could be more substantial/],
+  ['structure-walls', (s)=>{ s.pages[1].structure.lists = 0; }, /unbroken prose/],
+  ['structure-walls', (s)=>{ Object.assign(s.pages[1], { wordCount: 200, structure: { ...s.pages[1].structure, lists: 0 } }); }, null],
+  ['structure-no-questions', each((p)=>{ p.structure.questionHeadings = 0; }), /Few headings are phrased/],
+  ['structure-no-questions', each((p)=>{ p.structure.questionHeadings = 0; p.structure.faq = true; }), null],
+  ['structure-answer-late', each((p)=>{ p.structure.answerFirst = 1; }), /^Only 25% of sections/],
+  ['structure-long-paragraphs', each((p)=>{ p.structure.longParagraphs = 5; }), new RegExp(`run past ${LONG_PARAGRAPH_WORDS} words`)],
+  ['structure-readability', each((p)=>{ p.structure.readability = 20; }), /scores 20 on the Flesch/],
+  ['h1-missing', (s)=>{ s.pages[1].h1Count = 0; }, /without lead headings/],
+  ['h1-multiple', (s)=>{ Object.assign(s.pages[1], { h1Count: 2, h1Text: ['One', 'Two'] }); }, /more than one lead heading/],
+  ['h1-title-mismatch', (s)=>{ s.pages[1].headings.titleMatch = 0.1; }, /describe different things/],
+  ['h1-title-mismatch', (s)=>{ s.pages[1].headings.titleMatch = null; }, null],
+  ['headings-skipped', (s)=>{ s.pages[1].headings.skipped = true; }, /jump levels/],
+  ['headings-empty', (s)=>{ s.pages[1].headings.empty = true; }, /hold no text/],
+  ['headings-duplicate', (s)=>{ s.pages[1].headings.duplicates = true; }, /reuse the same heading/],
+  ['headings-styling', (s)=>{ s.pages[1].headings.styling = true; }, /ALL CAPS/],
+  ['links-sparse', each((p)=>{ p.internalLinkCount = 4; }), /could be stronger/],
+  ['links-isolated', (s)=>{ s.pages[1].internalLinkCount = 1; }, /few connections/],
+  ['schema-gaps', (s)=>{ s.pages[0].schema.types = ['WebPage']; }, /no Organization, WebSite, .* markup was found site-wide\. Notably, home templates lack Organization and home templates lack WebSite\. /],
+  ['schema-gaps', (s)=>{ s.pages[1].hasSchema = false; }, /implementation; no BreadcrumbList, /],
+  ['schema-errors', (s)=>{ s.pages[1].schema.errors = [{ type: 'Product', message: 'Product is missing name' }]; }, /^Product entities are missing required properties\. /],
+  ['schema-errors', (s)=>{ s.pages[1].schema.errors = [{ message: 'Invalid JSON-LD: Unexpected token' }]; }, /^Some JSON-LD blocks do not parse/],
+  ['alt-gaps', each((p)=>{ p.imageAltCount = 0; p.imagesMissingAlt = ['/hero.png']; }), /needs improvement/],
+  ['alt-gaps', each((p)=>{ p.imageCount = 0; p.imageAltCount = 0; }), null],
+  ['breadcrumbs-limited', each((p)=>{ p.breadcrumbs = false; }), /could be expanded/],
+  ['template-inconsistent', (s)=>{ s.pages[1].hasFooter = false; }, /fluctuate/],
+  // freshness
+  ['freshness-stale', each((p)=>{ p.freshness.modified = daysAgo(800); }), /over a year/],
+  ['freshness-stale', (s)=>{ s.pages[1].freshness.modified = daysAgo(800); }, null],
+  ['freshness-undated', (s)=>{ s.freshness.dated = 1; }, /carry no date/],
+  ['freshness-article-dates', (s)=>{ Object.assign(s.pages[1], { url: 'https://example.com/blog/post', freshness: {} }); }, /without a visible or declared date/],
+  ['freshness-no-feed', (s)=>{ s.freshness.feed = null; s.freshness.articles = 2; }, /without an RSS or Atom feed/],
+  ['freshness-no-feed', (s)=>{ s.freshness.feed = null; }, null],
+  ['freshness-feed-stale', (s)=>{ s.freshness.feed.ageDays = 400; }, /feed has gone quiet\./],
+  ['freshness-feed-stale', (s)=>{ Object.assign(s.freshness.feed, { ageDays: null, error: 'HTTP 500' }); }, /feed could not be read\./],
+  ['freshness-copyright', (s)=>{ s.freshness.copyrightYear = YEAR - 3; }, new RegExp(`reads © ${YEAR - 3}\\.`)],
+  ['freshness-copyright', (s)=>{ s.freshness.copyrightYear = YEAR - 1; }, null],
+  // full-only extras
+  ['contact-limited', each((p)=>{ p.contactInfo = { phone: null, email: null, address: null }; }), /touchpoints surface intermittently/],
+  ['social-minimal', each((p)=>{ p.socialLinkCount = 0; }), /do not present themselves/],
+  ['external-dense', each((p)=>{ p.externalLinkCount = 12; }), /Outbound references appear frequently/],
+];
+
+test('the healthy site earns every Working item and no Needs Attention item', ()=>{
+  const { working, needsAttention } = evaluateRules(RULES, context());
+  assert.deepEqual(needsAttention.map(x=>x.id), []);
+  assert.deepEqual(working.map(x=>x.id), RULES.filter(r=>r.kind === 'working').map(r=>r.id));
+});
+
+test('every rule has at least one case', ()=>{
+  const covered = new Set(CASES.map(([id])=>id));
+  assert.deepEqual(RULES.map(r=>r.id).filter(id=>!covered.has(id)), []);
+});
+
+for (const [id, edit, expected] of CASES){
+  test(`${id}: ${expected ? `fires, ${expected.source.slice(0, 40)}` : 'stays quiet'}`, ()=>{
+    const rule = RULES.find(r=>r.id === id);
+    const item = runRule(rule, context(edit));
+    if (!expected) return assert.equal(item, null);
+    assert.ok(item, 'rule fired');
+    assert.match(item.description, expected);
+    assert.doesNotMatch(`${item.title} ${item.description}`, /\{\w+\}/, 'every template slot filled');
+    if (rule.kind === 'needs'){
+      assert.ok(item.details, 'needs items carry evidence');
+      assert.ok(['page', 'site'].includes(item.details.scope));
+    }
+  });
+}
+
+// ---- configuration ----
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-config-'));
+const configFile = (name, body)=>{
+  const file = path.join(tmp, name);
+  fs.writeFileSync(file, typeof body === 'string' ? body : JSON.stringify(body));
+  return file;
+};
+test.after(()=> fs.rmSync(tmp, { recursive: true, force: true }));
+
+test('rulesFor layers defaults < rules < profile < host rules and ignores keys it does not know', ()=>{
+  const config = loadRuleConfig(configFile('layers.json', {
+    rules: { 'content-thin': { params: { minWords: 500 }, severity: 'low' }, 'social-minimal': { enabled: false } },
+    profiles: { ecommerce: { rules: { 'content-thin': { params: { minWords: 700 }, kind: 'working' } } } },
+    hosts: { 'client.com': { profile: 'ecommerce', rules: { 'content-thin': { severity: 'high', title: 'Thin on {host}' } } } }
+  }));
+  const thin = (host)=> rulesFor(config, host).find(r=>r.id === 'content-thin');
+
+  assert.deepEqual([thin('other.com').params.minWords, thin('other.com').severity], [500, 'low']);
+  assert.deepEqual([thin('client.com').params.minWords, thin('client.com').severity, thin('client.com').kind], [700, 'high', 'needs']);
+  assert.equal(RULES.find(r=>r.id === 'content-thin').params.minWords, 300, 'defaults untouched');
+
+  // 600 words passes the default 300 but not the ecommerce 700
+  const ctx = context(each((p)=>{ p.wordCount = 600; }));
+  assert.equal(runRule(RULES.find(r=>r.id === 'content-thin'), ctx), null);
+  assert.equal(runRule(thin('client.com'), ctx).title, 'Thin on example.com');
+
+  const social = rulesFor(config, 'other.com').find(r=>r.id === 'social-minimal');
+  assert.equal(runRule(social, context(each((p)=>{ p.socialLinkCount = 0; }))), null, 'disabled rule never fires');
+});
+
+test('loadRuleConfig rejects broken files instead of falling back to defaults', ()=>{
+  assert.deepEqual(loadRuleConfig(''), {});
+  assert.throws(()=>loadRuleConfig(configFile('bad.json', '{ "rules": ')), /^Error: RULES_CONFIG .*bad\.json/);
+  assert.throws(()=>loadRuleConfig(configFile('severity.json', { rules: { 'content-thin': { severity: 'urgent' } } })), /severity must be one of info, low, medium, high/);
+  assert.throws(()=>loadRuleConfig(configFile('profile.json', { hosts: { 'client.com': { profile: 'missing' } } })), /unknown profile "missing"/);
+});
+
+test('evaluateRules skips a rule that throws and keeps the rest', (t)=>{
+  const logged = t.mock.method(console, 'error', ()=>{});
+  const boom = { id: 'boom', kind: 'needs', pillar: 'trust', severity: 'low', params: {}, title: 'Boom', message: 'Boom', when: ()=>{ throw new Error('bad param'); } };
+  const { needsAttention } = evaluateRules([boom, ...RULES], context((s)=>{ s.pages[2].hasSSL = false; }));
+  assert.deepEqual(needsAttention.map(x=>x.id), ['https-gaps']);
+  assert.equal(logged.mock.calls.length, 1);
+  assert.match(logged.mock.calls[0].arguments[0], /^Rule boom failed/);
+});
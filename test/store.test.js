@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// DATA_DIR is read when lib/store.js loads
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+process.env.DATA_DIR = tmp;
+const { normalizeHost, isReportId, saveReport, getReport, listReports } = await import('../lib/store.js');
+test.after(()=> fs.rmSync(tmp, { recursive: true, force: true }));
+
+test('normalizeHost trims, lowercases and drops a leading www.', ()=>{
+  assert.equal(normalizeHost('  WWW.Example.COM '), 'example.com');
+  assert.equal(normalizeHost('shop.www.example.com'), 'shop.www.example.com');
+  assert.equal(normalizeHost(undefined), '');
+});
+
+test('a saved report loads back and is listed under its normalized host, newest first', async ()=>{
+  const analysis = {
+    score: 72,
+    pillars: { access: 20, trust: 18, clarity: 17, alignment: 17 },
+    pages: [{ url: 'https://example.com/', wordCount: 420, schema: { types: ['Organization'], errors: [], raw: ['{"big":"blob"}'] } }]
+  };
+  const first = await saveReport({ url: 'https://www.example.com/', host: 'WWW.example.com', reportType: 'quick', analysis });
+  const second = await saveReport({ url: 'https://example.com/', host: 'example.com', reportType: 'full', analysis: { ...analysis, score: 80 } });
+
+  assert.ok(isReportId(first.id));
+  const loaded = await getReport(first.id);
+  assert.deepEqual(loaded, JSON.parse(JSON.stringify(first)));
+  assert.equal(loaded.host, 'example.com');
+  assert.deepEqual(loaded.pages[0].schema, { types: ['Organization'], errors: [] }, 'page schema is slimmed to what the views use');
+
+  assert.deepEqual((await listReports('www.EXAMPLE.com')).map(r=>[r.id, r.score]), [[second.id, 80], [first.id, 72]]);
+  assert.deepEqual((await listReports('example.com', { reportType: 'quick' })).map(r=>r.id), [first.id]);
+});
+
+test('getReport and listReports ignore ids and hosts that could escape the data directory', async ()=>{
+  assert.equal(await getReport('../../etc/passwd'), null);
+  assert.equal(await getReport('abcdef12-deadbeef'), null);
+  assert.deepEqual(await listReports('../reports'), []);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { extractStructure, summarizeStructure, ANSWER_WORDS } from '../lib/structure.js';
+
+const structureOf = (body, schemaTypes)=> extractStructure(cheerio.load(`<html><body>${body}</body></html>`), schemaTypes);
+const filler = (n)=> Array.from({ length: n }, (_, i)=>`word${i}`).join(' ');
+
+test('sections answer first when the opening sentence is short enough', ()=>{
+  const s = structureOf(`<main>
+    <h2>Pricing</h2><p>Plans start at $9 a month. Annual billing saves 20%.</p>
+    <h2>Delivery</h2><p>${filler(ANSWER_WORDS + 5)}. Then the answer.</p>
+    <h2>Returns</h2><p>Thirty days, no questions asked.</p>
+    <h2>Empty</h2>
+  </main>`);
+  assert.deepEqual([s.sections, s.answerFirst], [3, 2]);
+  assert.deepEqual(s.slowSections, [{ heading: 'Delivery', words: ANSWER_WORDS + 5 }]);
+  assert.equal(s.longestParagraph, ANSWER_WORDS + 8);
+});
+
+test('summarizeStructure reports the answer-first share across all sections', ()=>{
+  const page = (sections, answerFirst)=> ({ structure: { sections, answerFirst, paragraphs: 4, longParagraphs: 1, readability: null, lists: 0, tables: 0, definitionLists: 0, faq: false, questionHeadings: 0 } });
+  const s = summarizeStructure([page(3, 3), page(5, 1), { url: 'crawled before structure existed' }]);
+  assert.equal(s.total, 2);
+  assert.equal(s.answerFirstShare, 4 / 8);
+  assert.equal(s.longParagraphShare, 2 / 8);
+  assert.equal(summarizeStructure([page(0, 0)]).answerFirstShare, null);
+});
+
+// [case, body, schema types, faq?]
+const FAQ_CASES = [
+  ['a "question" class alone', '<div class="question-mark-icon"><p>Hello</p></div><section id="faq-cta"><p>Get in touch.</p></section>', [], false],
+  ['one answered question heading', '<h2>What is a shed?</h2><p>A small outbuilding.</p>', [], false],
+  ['FAQPage schema', '<p>Hello</p>', ['FAQPage'], true],
+  ['details / summary blocks', '<details><summary>Do you ship abroad?</summary><p>Yes.</p></details>', [], true],
+  ['microdata questions', '<div itemscope itemtype="https://schema.org/Question"><h3 itemprop="name">Is it waterproof?</h3></div>', [], true],
+  ['question headings that answer first', '<h2>Do you deliver?</h2><p>Yes, nationwide.</p><h2>How long does it take?</h2><p>Five working days.</p>', [], true],
+  ['question headings that never answer', `<h2>Do you deliver?</h2><p>${filler(ANSWER_WORDS + 1)}.</p><h2>How long?</h2><p>${filler(ANSWER_WORDS + 1)}.</p>`, [], false],
+];
+
+for (const [name, body, types, faq] of FAQ_CASES){
+  test(`FAQ detection: ${name}`, ()=> assert.equal(structureOf(body, types).faq, faq));
+}